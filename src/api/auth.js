@@ -3,50 +3,289 @@
  * Handles API key validation and request authentication
  */
 
+const API_KEY_RECORD_PREFIX = 'API_KEY_RECORD_';
+const API_KEY_LAST_USED_PREFIX = 'API_KEY_LAST_USED_';
+const API_KEY_LAST_USED_INTERVAL_MS = 60000;
+
+const API_SCOPES = {
+  TASKS_READ: 'tasks:read',
+  TASKS_WRITE: 'tasks:write',
+  REVIEW: 'review',
+  ADMIN: 'admin'
+};
+
 /**
- * Validate API key
+ * Validate API key and required scope
  * @param {Object} request - Request object
- * @throws {ApiError} If authentication fails
+ * @param {string|null} requiredScope - Scope the route requires (null for any valid key)
+ * @returns {Object} Caller identity {keyId, name, owner, scopes}
+ * @throws {ApiError} 401 if the key is missing, unknown or revoked; 403 if it lacks the scope
  */
-function validateApiKey(request) {
-  const apiKey = request.headers['X-API-Key'] || 
-                 request.params.apiKey || 
-                 request.body?.apiKey;
+function validateApiKey(request, requiredScope = null) {
+  const signed = isSignedRequest(request);
+  let record;
   
-  if (!apiKey) {
-    throw new ApiError('API key required', 401);
+  if (signed) {
+    record = verifySignedRequest(request);
+  } else {
+    const apiKey = request.headers['X-API-Key'] || 
+                   request.params.apiKey || 
+                   request.body?.apiKey;
+    
+    if (!apiKey) {
+      throw new ApiError('API key required', 401);
+    }
+    
+    record = findApiKeyRecord(apiKey);
+    
+    if (!record) {
+      throw new ApiError('Invalid API key', 401);
+    }
+    
+    if (record.requireSignature) {
+      throw new ApiError(`API key "${record.name}" requires signed requests`, 401);
+    }
   }
   
-  const validKey = getValidApiKey();
+  if (record.revoked) {
+    throw new ApiError(`API key "${record.name}" has been revoked`, 401);
+  }
   
-  if (apiKey !== validKey) {
-    throw new ApiError('Invalid API key', 401);
+  if (requiredScope && !hasApiScope(record, requiredScope)) {
+    throw new ApiError(
+      `API key "${record.name}" lacks required scope: ${requiredScope}`,
+      403
+    );
   }
   
+  touchApiKeyRecord(record);
+  
   // Log API access
   info('API request authenticated', {
     method: request.method,
     path: request.path,
+    keyId: record.id,
+    keyName: record.name,
+    signed: signed,
     timestamp: new Date().toISOString()
   });
+  
+  return {
+    keyId: record.id,
+    name: record.name,
+    owner: record.owner,
+    scopes: record.scopes
+  };
 }
 
 /**
- * Get valid API key from properties
- * @returns {string} Valid API key
+ * Check whether a key record grants a scope (admin grants everything)
+ * @param {Object} record - API key record
+ * @param {string} scope - Scope to check
+ * @returns {boolean} True if granted
  */
-function getValidApiKey() {
+function hasApiScope(record, scope) {
+  const scopes = record.scopes || [];
+  return scopes.includes(API_SCOPES.ADMIN) || scopes.includes(scope);
+}
+
+/**
+ * Find the registry record for a raw API key
+ * Falls back to the current legacy API_KEY property, which keeps admin scope
+ * until it is revoked. A key replaced by rotateApiKey() is not accepted.
+ * @param {string} apiKey - Raw API key
+ * @returns {Object|null} Key record or null
+ */
+function findApiKeyRecord(apiKey) {
   const scriptProperties = PropertiesService.getScriptProperties();
-  let apiKey = scriptProperties.getProperty('API_KEY');
+  const keyHash = hashApiKey(apiKey);
+  const stored = scriptProperties.getProperty(API_KEY_RECORD_PREFIX + keyHash);
   
-  if (!apiKey) {
-    // Generate and store new API key
-    apiKey = generateApiKey();
-    scriptProperties.setProperty('API_KEY', apiKey);
-    info('Generated new API key');
+  if (stored) {
+    const record = safeJsonParse(stored, null);
+    
+    if (record) {
+      record.lastUsed = scriptProperties.getProperty(API_KEY_LAST_USED_PREFIX + keyHash) || record.lastUsed;
+    }
+    
+    return record;
+  }
+  
+  const legacyKey = scriptProperties.getProperty('API_KEY');
+  
+  if (legacyKey && apiKey === legacyKey) {
+    return {
+      id: 'legacy',
+      name: 'Legacy shared key',
+      owner: 'system',
+      scopes: [API_SCOPES.ADMIN],
+      created: scriptProperties.getProperty('KEY_ROTATION_TIME') || null,
+      lastUsed: null,
+      revoked: false,
+      legacy: true
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Hash an API key for storage
+ * @param {string} apiKey - Raw API key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashApiKey(apiKey) {
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    apiKey,
+    Utilities.Charset.UTF_8
+  );
+  
+  return bytesToHex(digest);
+}
+
+/**
+ * Convert a signed byte array to lowercase hex
+ * @param {Array<number>} bytes - Bytes from Utilities digest functions
+ * @returns {string} Hex string
+ */
+function bytesToHex(bytes) {
+  return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Persist an API key record
+ * Last use is kept in its own property (see touchApiKeyRecord) and is not written here.
+ * @param {Object} record - API key record
+ */
+function saveApiKeyRecord(record) {
+  const stored = Object.assign({}, record, { lastUsed: null });
+  
+  PropertiesService.getScriptProperties()
+    .setProperty(API_KEY_RECORD_PREFIX + record.keyHash, JSON.stringify(stored));
+}
+
+/**
+ * Record key usage, throttled to limit property writes
+ * Only the last-used property is written, so a concurrent revocation of the
+ * record is never overwritten.
+ * @param {Object} record - API key record
+ */
+function touchApiKeyRecord(record) {
+  if (record.legacy) {
+    return;
+  }
+  
+  const now = Date.now();
+  const lastUsed = record.lastUsed ? new Date(record.lastUsed).getTime() : 0;
+  
+  if (now - lastUsed < API_KEY_LAST_USED_INTERVAL_MS) {
+    return;
+  }
+  
+  record.lastUsed = new Date(now).toISOString();
+  PropertiesService.getScriptProperties()
+    .setProperty(API_KEY_LAST_USED_PREFIX + record.keyHash, record.lastUsed);
+}
+
+/**
+ * Create a named API key
+ * @param {string} name - Key name (tool or agent using it)
+ * @param {string} owner - Owner email
+ * @param {Array<string>} scopes - Granted scopes
+ * @returns {Object} {key, record} - raw key is only available here
+ */
+function createApiKey(name, owner, scopes) {
+  if (!name) {
+    throw new ValidationError('Key name is required', 'name', name);
+  }
+  
+  const validScopes = Object.values(API_SCOPES);
+  const invalid = (scopes || []).filter(scope => !validScopes.includes(scope));
+  
+  if (!scopes || scopes.length === 0 || invalid.length > 0) {
+    throw new ValidationError(
+      `Scopes must be one or more of: ${validScopes.join(', ')}`,
+      'scopes',
+      scopes
+    );
+  }
+  
+  const key = generateApiKey();
+  const keyHash = hashApiKey(key);
+  const record = {
+    id: `key_${generateShortId()}`,
+    name: name,
+    owner: owner || '',
+    scopes: scopes,
+    keyHash: keyHash,
+    keyPrefix: key.substring(0, 7),
+    created: new Date().toISOString(),
+    lastUsed: null,
+    revoked: false,
+    revokedAt: null,
+    signingSecret: null,
+    requireSignature: false
+  };
+  
+  saveApiKeyRecord(record);
+  
+  info('API key created', {
+    keyId: record.id,
+    name: name,
+    owner: record.owner,
+    scopes: scopes.join(',')
+  });
+  
+  return { key: key, record: record };
+}
+
+/**
+ * List registered API keys (without secrets)
+ * @returns {Array<Object>} Key records sorted by creation date
+ */
+function listApiKeys() {
+  const properties = PropertiesService.getScriptProperties().getProperties();
+  
+  return Object.keys(properties)
+    .filter(name => name.startsWith(API_KEY_RECORD_PREFIX))
+    .map(name => safeJsonParse(properties[name], null))
+    .filter(record => record)
+    .map(record => Object.assign(record, {
+      lastUsed: properties[API_KEY_LAST_USED_PREFIX + record.keyHash] || record.lastUsed
+    }))
+    .sort((a, b) => new Date(a.created) - new Date(b.created));
+}
+
+/**
+ * Revoke an API key by ID
+ * Revoked records are kept so past usage stays attributable.
+ * @param {string} keyId - Key ID, or 'legacy' to remove the shared key
+ * @returns {Object} Revoked record
+ */
+function revokeApiKey(keyId) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  
+  if (keyId === 'legacy') {
+    scriptProperties.deleteProperty('API_KEY');
+    scriptProperties.deleteProperty('OLD_API_KEY');
+    info('Legacy API key revoked');
+    return { id: 'legacy', revoked: true };
   }
   
-  return apiKey;
+  const record = listApiKeys().find(r => r.id === keyId);
+  
+  if (!record) {
+    throw new ValidationError(`API key not found: ${keyId}`, 'keyId', keyId);
+  }
+  
+  record.revoked = true;
+  record.revokedAt = new Date().toISOString();
+  saveApiKeyRecord(record);
+  
+  info('API key revoked', { keyId: record.id, name: record.name });
+  
+  return record;
 }
 
 /**
@@ -66,20 +305,15 @@ function generateApiKey() {
 
 /**
  * Rotate API key
+ * The replaced key stops working immediately; issue named keys for a gradual switch.
  * @returns {string} New API key
  */
 function rotateApiKey() {
   const newKey = generateApiKey();
   const scriptProperties = PropertiesService.getScriptProperties();
   
-  // Store old key temporarily for graceful transition
-  const currentKey = scriptProperties.getProperty('API_KEY');
-  if (currentKey) {
-    scriptProperties.setProperty('OLD_API_KEY', currentKey);
-    scriptProperties.setProperty('KEY_ROTATION_TIME', new Date().toISOString());
-  }
-  
   scriptProperties.setProperty('API_KEY', newKey);
+  scriptProperties.setProperty('KEY_ROTATION_TIME', new Date().toISOString());
   
   info('API key rotated', {
     timestamp: new Date().toISOString()
@@ -89,12 +323,21 @@ function rotateApiKey() {
 }
 
 /**
- * Show current API key (for admin use)
- * @returns {Object} API key info
+ * Show legacy shared API key (for admin use)
+ * @returns {Object|null} API key info, or null if the legacy key was revoked
  */
 function showApiKey() {
   const ui = SpreadsheetApp.getUi();
-  const apiKey = getValidApiKey();
+  const apiKey = PropertiesService.getScriptProperties().getProperty('API_KEY');
+  
+  if (!apiKey) {
+    ui.alert(
+      'API Key',
+      'The legacy shared key is not configured. Use Advanced → Create API Key to issue a named key.',
+      ui.ButtonSet.OK
+    );
+    return null;
+  }
   
   ui.alert(
     'API Key',
@@ -108,6 +351,88 @@ function showApiKey() {
   };
 }
 
+/**
+ * Menu: create a named API key with scopes
+ */
+function showCreateApiKeyDialog() {
+  const ui = SpreadsheetApp.getUi();
+  
+  const nameResult = ui.prompt('Create API Key', 'Key name (tool or agent that will use it):', ui.ButtonSet.OK_CANCEL);
+  if (nameResult.getSelectedButton() !== ui.Button.OK) return;
+  
+  const ownerResult = ui.prompt('Create API Key', 'Owner email:', ui.ButtonSet.OK_CANCEL);
+  if (ownerResult.getSelectedButton() !== ui.Button.OK) return;
+  
+  const scopeResult = ui.prompt(
+    'Create API Key',
+    `Comma-separated scopes (${Object.values(API_SCOPES).join(', ')}):`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (scopeResult.getSelectedButton() !== ui.Button.OK) return;
+  
+  try {
+    const scopes = scopeResult.getResponseText().split(',').map(s => s.trim()).filter(s => s);
+    const created = createApiKey(
+      nameResult.getResponseText().trim(),
+      ownerResult.getResponseText().trim(),
+      scopes
+    );
+    
+    ui.alert(
+      'API Key Created',
+      `Key ID: ${created.record.id}\nName: ${created.record.name}\nScopes: ${scopes.join(', ')}\n\n` +
+      `API Key: ${created.key}\n\nCopy it now - it cannot be shown again.`,
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu: list registered API keys
+ */
+function showApiKeyList() {
+  const ui = SpreadsheetApp.getUi();
+  const keys = listApiKeys();
+  
+  let message = '';
+  
+  if (PropertiesService.getScriptProperties().getProperty('API_KEY')) {
+    message += 'legacy - Legacy shared key [admin]\n\n';
+  }
+  
+  keys.forEach(key => {
+    message += `${key.id} - ${key.name} (${key.owner || 'no owner'})${key.revoked ? ' REVOKED' : ''}\n`;
+    message += `  Scopes: ${key.scopes.join(', ')}${key.requireSignature ? '  (signed requests only)' : ''}\n`;
+    message += `  Created: ${key.created}  Last used: ${key.lastUsed || 'never'}\n\n`;
+  });
+  
+  ui.alert('API Keys', message || 'No API keys configured', ui.ButtonSet.OK);
+}
+
+/**
+ * Menu: revoke an API key
+ */
+function showRevokeApiKeyDialog() {
+  const ui = SpreadsheetApp.getUi();
+  
+  const result = ui.prompt(
+    'Revoke API Key',
+    'Enter the key ID to revoke (see List API Keys, or "legacy" for the shared key):',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+  
+  try {
+    const revoked = revokeApiKey(result.getResponseText().trim());
+    ui.alert('Success', `API key ${revoked.id} revoked`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
+
 /**
  * Validate request origin
  * @param {Object} request - Request object
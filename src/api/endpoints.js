@@ -32,6 +32,7 @@ function doGet(e) {
       method: 'GET',
       path: e.parameter.path || '',
       params: e.parameter,
+      rawBody: '',
       headers: {}
     };
     
@@ -53,6 +54,7 @@ function doGet(e) {
 function parseRequest(e) {
   const contentType = e.parameter.contentType || 'application/json';
   let body = {};
+  const rawBody = e.postData && e.postData.contents ? e.postData.contents : '';
   
   if (e.postData && e.postData.contents) {
     if (contentType.includes('application/json')) {
@@ -67,6 +69,7 @@ function parseRequest(e) {
     path: e.parameter.path || body.path || '',
     params: e.parameter,
     body: body,
+    rawBody: rawBody,
     headers: e.parameter.headers || {}
   };
 }
@@ -79,33 +82,73 @@ function parseRequest(e) {
 function routeRequest(request) {
   const routes = {
     'POST': {
-      '/api/task/update': updateTask,
-      '/api/task/assign': assignTask,
-      '/api/task/rework': reworkTask,
-      '/api/task/review': reviewTask,
-      '/api/tasks/batch': batchUpdateTasks
+      '/api/task/update': { handler: updateTask, scope: API_SCOPES.TASKS_WRITE, limit: RATE_LIMIT_CLASSES.WRITE },
+      '/api/task/assign': { handler: assignTask, scope: API_SCOPES.TASKS_WRITE, limit: RATE_LIMIT_CLASSES.WRITE },
+      '/api/task/claim-next': { handler: claimNextTask, scope: API_SCOPES.TASKS_WRITE, limit: RATE_LIMIT_CLASSES.WRITE },
+      '/api/task/release': { handler: releaseTask, scope: API_SCOPES.TASKS_WRITE, limit: RATE_LIMIT_CLASSES.WRITE },
+      '/api/task/reassign': { handler: reassignTask, scope: API_SCOPES.REVIEW, limit: RATE_LIMIT_CLASSES.WRITE },
+      '/api/task/flag': { handler: flagTask, scope: API_SCOPES.TASKS_WRITE, limit: RATE_LIMIT_CLASSES.WRITE },
+      '/api/task/unflag': { handler: unflagTask, scope: API_SCOPES.REVIEW, limit: RATE_LIMIT_CLASSES.WRITE },
+      '/api/task/rework': { handler: reworkTask, scope: API_SCOPES.REVIEW, limit: RATE_LIMIT_CLASSES.WRITE },
+      '/api/task/review': { handler: reviewTask, scope: API_SCOPES.REVIEW, limit: RATE_LIMIT_CLASSES.WRITE },
+      '/api/review/claim': { handler: claimReview, scope: API_SCOPES.REVIEW, limit: RATE_LIMIT_CLASSES.WRITE },
+      '/api/task/dispute': { handler: disputeReview, scope: API_SCOPES.TASKS_WRITE, limit: RATE_LIMIT_CLASSES.WRITE },
+      '/api/review/adjudicate': { handler: adjudicateDispute, scope: API_SCOPES.REVIEW, limit: RATE_LIMIT_CLASSES.WRITE },
+      '/api/tasks/batch': { handler: batchUpdateTasks, scope: API_SCOPES.TASKS_WRITE, limit: RATE_LIMIT_CLASSES.WRITE },
+      '/api/task/restore': { handler: restoreTask, scope: API_SCOPES.ADMIN, limit: RATE_LIMIT_CLASSES.WRITE }
     },
     'GET': {
-      '/api/task': getTask,
-      '/api/tasks': getTasks,
-      '/api/status': getApiStatus,
-      '/api/agent/groups': getAgentGroupsEndpoint,
-      '/api/agent/history': getAgentHistory
+      '/api/task': { handler: getTask, scope: API_SCOPES.TASKS_READ, limit: RATE_LIMIT_CLASSES.READ },
+      '/api/tasks': { handler: getTasks, scope: API_SCOPES.TASKS_READ, limit: RATE_LIMIT_CLASSES.QUERY },
+      '/api/status': { handler: getApiStatus, scope: null, limit: RATE_LIMIT_CLASSES.READ },
+      '/api/agent/groups': { handler: getAgentGroupsEndpoint, scope: API_SCOPES.TASKS_READ, limit: RATE_LIMIT_CLASSES.READ },
+      '/api/agent/history': { handler: getAgentHistory, scope: API_SCOPES.TASKS_READ, limit: RATE_LIMIT_CLASSES.QUERY },
+      '/api/review/queue': { handler: getReviewQueueEndpoint, scope: API_SCOPES.REVIEW, limit: RATE_LIMIT_CLASSES.QUERY },
+      '/api/review/disputes': { handler: getDisputes, scope: API_SCOPES.REVIEW, limit: RATE_LIMIT_CLASSES.QUERY },
+      '/api/rubrics': { handler: getRubrics, scope: API_SCOPES.TASKS_READ, limit: RATE_LIMIT_CLASSES.READ },
+      '/api/flags': { handler: getFlags, scope: API_SCOPES.TASKS_READ, limit: RATE_LIMIT_CLASSES.QUERY },
+      '/api/audit': { handler: getAuditLog, scope: API_SCOPES.ADMIN, limit: RATE_LIMIT_CLASSES.QUERY }
     }
   };
   
-  const handler = routes[request.method]?.[request.path];
+  const route = routes[request.method]?.[request.path];
   
-  if (!handler) {
+  if (!route) {
     throw new ApiError(`Endpoint not found: ${request.method} ${request.path}`, 404);
   }
   
-  // Validate API key
-  validateApiKey(request);
+  const handler = route.handler;
+  
+  // Validate API key and route scope; attach caller identity for handlers
+  request.auth = validateApiKey(request, route.scope);
+  
+  // Per-key token bucket for the route class (429 when exhausted)
+  request.rateLimit = enforceRateLimit(request.auth, route.limit);
+  
+  // Serialize writes so concurrent read-check-write sequences cannot interleave,
+  // replay retried idempotent calls, and record who changed what in the audit trail
+  if (request.method === 'POST') {
+    // Refuse writes while the spreadsheet schema is behind the code (503)
+    assertSchemaCurrent();
+    
+    return withScriptLock(() =>
+      withIdempotency(request, () =>
+        withAuditTrail(request, () => handler(request))));
+  }
   
   return handler(request);
 }
 
+/**
+ * Task fields clients may write through /api/task/update and /api/tasks/batch
+ * Review fields are left out: the review status is decided by the server
+ * (on completion, review and adjudication), never taken from client input.
+ */
+const CLIENT_TASK_UPDATE_FIELDS = [
+  'agentEmail', 'status', 'startTime', 'endTime',
+  'objFileId', 'alignmentFileId', 'videoFileId', 'timeTaken'
+];
+
 /**
  * Update task endpoint
  * @param {Object} request - Request object
@@ -116,15 +159,33 @@ function updateTask(request) {
   
   validateRequired(data, ['taskId']);
   
+  const revisionEntries = [];
+  const updates = buildClientTaskUpdates(data, revisionEntries);
+  
+  const result = updateTaskRecord(data.taskId, updates, { expectedVersion: data.expectedVersion });
+  
+  appendRevisionEntries(data.taskId, revisionEntries);
+  
+  return {
+    success: true,
+    task: result,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Build task updates from client input
+ * Keeps only CLIENT_TASK_UPDATE_FIELDS, sets the review status for completions
+ * and converts Drive file IDs to links.
+ * @param {Object} data - Request body, or one entry of a batch
+ * @param {Array<Object>} revisionEntries - Entries to append after the update (auto_pass is pushed)
+ * @returns {Object} Updates for updateTaskRecord
+ */
+function buildClientTaskUpdates(data, revisionEntries) {
   const updates = {};
-  const allowedFields = [
-    'agentEmail', 'status', 'startTime', 'endTime',
-    'objFileId', 'alignmentFileId', 'videoFileId', 'timeTaken',
-    'reviewStatus', 'reviewScore', 'reviewerEmail', 'reviewTime'
-  ];
   
   // Extract allowed fields
-  allowedFields.forEach(field => {
+  CLIENT_TASK_UPDATE_FIELDS.forEach(field => {
     if (data[field] !== undefined) {
       updates[field] = data[field];
     }
@@ -135,19 +196,26 @@ function updateTask(request) {
     const currentTask = getTaskById(data.taskId);
     
     if (currentTask && 
+        (currentTask.status === STATUS_VALUES.REWORK || currentTask.status === STATUS_VALUES.IN_PROGRESS) &&
         currentTask.reviewerEmail && 
         currentTask.reviewStatus === REVIEW_STATUS_VALUES.FAILED &&
-        (updates.agentEmail === currentTask.reviewerEmail || 
-         data.agentEmail === currentTask.reviewerEmail)) {
+        currentTask.agentEmail === currentTask.reviewerEmail) {
       
-      // Auto-pass if reviewer completes their own rework
+      // Auto-pass if reviewer completes their own rework; the task must already
+      // be assigned to the reviewer, an agentEmail in the same request does not count
       updates.reviewStatus = REVIEW_STATUS_VALUES.PASSED;
       // Do NOT update reviewTime - task wasn't actually reviewed
       // Keep existing reviewScore and reviewerEmail
-    } else if (!currentTask || !currentTask.reviewStatus || currentTask.status === STATUS_VALUES.REWORK) {
+    } else if (!currentTask || currentTask.status !== STATUS_VALUES.COMPLETE) {
       
-      // Set to pending review for first completion OR rework completion
-      updates.reviewStatus = REVIEW_STATUS_VALUES.PENDING;
+      // Set to pending review for first completion OR rework completion,
+      // including rework that was assigned (in_progress) before completing.
+      // With review sampling enabled, unsampled completions are auto-passed instead.
+      if (currentTask) {
+        applyReviewSampling(currentTask, updates.agentEmail || currentTask.agentEmail, updates, revisionEntries);
+      } else {
+        updates.reviewStatus = REVIEW_STATUS_VALUES.PENDING;
+      }
     }
   }
   
@@ -176,13 +244,7 @@ function updateTask(request) {
     }
   }
   
-  const result = updateTaskRecord(data.taskId, updates);
-  
-  return {
-    success: true,
-    task: result,
-    timestamp: new Date().toISOString()
-  };
+  return updates;
 }
 
 /**
@@ -203,9 +265,14 @@ function getTask(request) {
     throw new ApiError('Task not found', 404);
   }
   
+  // Revision history is served from the Revisions sheet in the legacy JSON shape
+  const history = getRevisionHistory(task);
+  task.revisionHistory = history.length > 0 ? JSON.stringify(history) : null;
+  
   return {
     success: true,
     task: task,
+    feedback: getTaskFeedback(history),
     timestamp: new Date().toISOString()
   };
 }
@@ -216,17 +283,41 @@ function getTask(request) {
  * @returns {Object} Response
  */
 function getTasks(request) {
+  const params = request.params;
   const filters = {
-    batchId: request.params.batchId,
-    status: request.params.status,
-    agentEmail: request.params.agentEmail,
-    startDate: request.params.startDate,
-    endDate: request.params.endDate,
-    limit: parseInt(request.params.limit) || 100,
-    offset: parseInt(request.params.offset) || 0
+    batchId: params.batchId,
+    status: params.status,
+    agentEmail: params.agentEmail,
+    startDate: params.startDate,
+    endDate: params.endDate,
+    group: params.group,
+    reviewStatus: params.reviewStatus,
+    exportStatus: params.exportStatus,
+    exportBatchId: params.exportBatchId,
+    minRevisionCount: parseOptionalInt(params.minRevisionCount, 'minRevisionCount'),
+    maxRevisionCount: parseOptionalInt(params.maxRevisionCount, 'maxRevisionCount'),
+    endTimeFrom: params.endTimeFrom,
+    endTimeTo: params.endTimeTo,
+    folderName: params.folderName
   };
   
-  let tasks = queryTasks(filters);
+  ['startDate', 'endDate', 'endTimeFrom', 'endTimeTo'].forEach(field => {
+    if (filters[field] && isNaN(new Date(filters[field]).getTime())) {
+      throw new ValidationError(`${field} must be an ISO date`, field, filters[field]);
+    }
+  });
+  
+  const limit = Math.min(parseInt(params.limit) || 100, 1000);
+  const offset = parseInt(params.offset) || 0;
+  
+  const result = queryTasksPage(filters, {
+    sort: params.sort,
+    cursor: params.cursor,
+    offset: offset,
+    limit: limit
+  });
+  
+  let tasks = result.tasks;
   
   // Apply field selection if requested
   if (request.params.fields) {
@@ -244,27 +335,48 @@ function getTasks(request) {
   
   // Include revision history if requested
   if (request.params.includeHistory === 'true' && !request.params.fields) {
+    const histories = getRevisionHistories(tasks);
     tasks = tasks.map(task => {
-      if (task.revisionHistory) {
-        try {
-          task.revisionHistoryParsed = JSON.parse(task.revisionHistory);
-        } catch (e) {
-          task.revisionHistoryParsed = [];
-        }
-      }
+      task.revisionHistoryParsed = histories[task.taskId];
       return task;
     });
   }
   
+  // Offset paging reports page numbers; cursor paging does not
+  const page = params.cursor ? null : Math.floor(offset / limit) + 1;
+  
   return {
     success: true,
     tasks: tasks,
     count: tasks.length,
+    pagination: buildPagination(page, limit, result.total, result.nextCursor),
+    sort: result.sort,
     filters: filters,
     timestamp: new Date().toISOString()
   };
 }
 
+/**
+ * Parse an optional integer query parameter
+ * @param {string} value - Parameter value
+ * @param {string} field - Parameter name for errors
+ * @returns {number|undefined} Parsed value or undefined when absent
+ * @throws {ValidationError} If the value is not an integer
+ */
+function parseOptionalInt(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  
+  const parsed = parseInt(value);
+  
+  if (isNaN(parsed)) {
+    throw new ValidationError(`${field} must be an integer`, field, value);
+  }
+  
+  return parsed;
+}
+
 /**
  * Assign task to agent
  * @param {Object} request - Request object
@@ -290,42 +402,424 @@ function assignTask(request) {
     );
   }
   
-  // Check if task is already complete
-  if (currentTask.status === STATUS_VALUES.COMPLETE) {
-    throw new ApiError('Cannot assign completed task', 400);
+  // Task must be in a state that allows assignment (OPEN or REWORK)
+  assertTaskTransition(currentTask, { status: STATUS_VALUES.IN_PROGRESS });
+  
+  // Agent must belong to the task's permission group unless an admin overrides
+  const overrideEntry = checkAssignmentGroupPermission(currentTask, data, request.auth);
+
+  // Proceed with assignment for OPEN tasks
+  const updates = {
+    agentEmail: data.agentEmail,
+    status: STATUS_VALUES.IN_PROGRESS,
+    startTime: new Date().toISOString()
+  };
+
+  const result = updateTaskRecord(data.taskId, updates, { expectedVersion: data.expectedVersion });
+
+  if (overrideEntry) {
+    appendRevisionEntry(data.taskId, overrideEntry);
   }
   
-  // Check if task is flagged
-  if (currentTask.status === STATUS_VALUES.FLAGGED) {
-    throw new ApiError('Cannot assign flagged task - requires review first', 400);
+  return {
+    success: true,
+    task: result,
+    message: `Task assigned to ${data.agentEmail}`,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Claim the next best task for an agent
+ * @param {Object} request - Request object
+ * @returns {Object} Response with assigned task, or task null when no work is available
+ */
+function claimNextTask(request) {
+  const data = request.body;
+  
+  validateRequired(data, ['agentEmail']);
+  
+  const groups = getAgentGroups(data.agentEmail);
+  
+  if (groups.length === 0) {
+    throw new ApiError(`Agent ${data.agentEmail} has no groups in the Agents sheet`, 403);
+  }
+  
+  const nextTask = findNextTaskForAgent(data.agentEmail, groups);
+  
+  if (!nextTask) {
+    return {
+      success: true,
+      task: null,
+      noWorkAvailable: true,
+      message: `No work available for ${data.agentEmail} in groups ${groups.join(', ')}`,
+      timestamp: new Date().toISOString()
+    };
+  }
+  
+  // Reuse assignment checks; the caller already holds the script lock
+  const assigned = assignTask({
+    body: {
+      taskId: nextTask.taskId,
+      agentEmail: data.agentEmail
+    }
+  });
+  
+  return {
+    success: true,
+    task: assigned.task,
+    noWorkAvailable: false,
+    message: assigned.message,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Release an in-progress task back to the pool
+ * Only the assigned agent may release. Rework tasks return to rework and keep their
+ * assignee, so claim-next hands them back to that agent (leads move them with
+ * reassign); other tasks return to open.
+ * @param {Object} request - Request object
+ * @returns {Object} Response
+ */
+function releaseTask(request) {
+  const data = request.body;
+  
+  validateRequired(data, ['taskId', 'agentEmail']);
+  validateAssignmentChangeRequest(data, ['agentEmail']);
+  
+  const currentTask = getTaskById(data.taskId);
+  
+  if (!currentTask) {
+    throw new ApiError(`Task not found: ${data.taskId}`, 404);
+  }
+  
+  if (currentTask.status !== STATUS_VALUES.IN_PROGRESS) {
+    throw new ApiError(
+      `Only in_progress tasks can be released. Current status: ${currentTask.status}`,
+      409
+    );
+  }
+  
+  if (currentTask.agentEmail !== data.agentEmail) {
+    throw new ApiError(
+      `Task is assigned to ${currentTask.agentEmail}, not ${data.agentEmail}`,
+      403
+    );
+  }
+  
+  const isRework = (currentTask.revisionCount || 0) > 0;
+  
+  const releaseEntry = {
+    type: 'release',
+    revision: currentTask.revisionCount || 0,
+    agentEmail: currentTask.agentEmail,
+    startedAt: currentTask.startTime,
+    releasedAt: new Date().toISOString(),
+    reason: data.reason || 'No reason provided'
+  };
+  
+  const result = isRework ?
+    updateTaskRecord(data.taskId, {
+      status: STATUS_VALUES.REWORK,
+      startTime: ''
+    }, { expectedVersion: data.expectedVersion }) :
+    clearTaskAssignment(data.taskId, {
+      status: STATUS_VALUES.OPEN
+    }, { expectedVersion: data.expectedVersion });
+  
+  appendRevisionEntry(data.taskId, releaseEntry);
+  
+  info('Task released', {
+    taskId: data.taskId,
+    agentEmail: data.agentEmail,
+    status: result.status
+  });
+  
+  return {
+    success: true,
+    task: result,
+    message: `Task released by ${data.agentEmail} (now ${result.status})`,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Move an in-progress or rework task to another agent
+ * The new agent must be in the task's group (admin override as for assign).
+ * The previous owner, lead and reason are kept in revision history.
+ * @param {Object} request - Request object
+ * @returns {Object} Response
+ */
+function reassignTask(request) {
+  const data = request.body;
+  
+  validateRequired(data, ['taskId', 'agentEmail', 'reassignedBy']);
+  validateAssignmentChangeRequest(data, ['agentEmail', 'reassignedBy']);
+  
+  const currentTask = getTaskById(data.taskId);
+  
+  if (!currentTask) {
+    throw new ApiError(`Task not found: ${data.taskId}`, 404);
   }
   
-  // Task must be OPEN or REWORK to be assigned
-  if (currentTask.status !== STATUS_VALUES.OPEN && 
+  if (currentTask.status !== STATUS_VALUES.IN_PROGRESS &&
       currentTask.status !== STATUS_VALUES.REWORK) {
     throw new ApiError(
-      `Cannot assign task with status: ${currentTask.status}`, 
-      400
+      `Only in_progress or rework tasks can be reassigned. Current status: ${currentTask.status}`,
+      409
     );
   }
   
-  // Proceed with assignment for OPEN tasks
+  if (currentTask.agentEmail === data.agentEmail) {
+    throw new ApiError(`Task is already assigned to ${data.agentEmail}`, 400);
+  }
+  
+  const overrideEntry = checkAssignmentGroupPermission(currentTask, data, request.auth);
+  
+  const revisionEntries = overrideEntry ? [overrideEntry] : [];
+  revisionEntries.push({
+    type: 'reassign',
+    revision: currentTask.revisionCount || 0,
+    previousAgent: currentTask.agentEmail || null,
+    newAgent: data.agentEmail,
+    reassignedBy: data.reassignedBy,
+    reassignedAt: new Date().toISOString(),
+    reason: data.reason || 'No reason provided'
+  });
+  
   const updates = {
-    agentEmail: data.agentEmail,
-    status: STATUS_VALUES.IN_PROGRESS,
-    startTime: new Date().toISOString()
+    agentEmail: data.agentEmail
   };
   
-  const result = updateTaskRecord(data.taskId, updates);
+  // The new agent's work starts now
+  if (currentTask.status === STATUS_VALUES.IN_PROGRESS) {
+    updates.startTime = new Date().toISOString();
+  }
+  
+  const result = updateTaskRecord(data.taskId, updates, { expectedVersion: data.expectedVersion });
+  
+  appendRevisionEntries(data.taskId, revisionEntries);
+  
+  info('Task reassigned', {
+    taskId: data.taskId,
+    from: currentTask.agentEmail,
+    to: data.agentEmail,
+    reassignedBy: data.reassignedBy
+  });
   
   return {
     success: true,
     task: result,
-    message: `Task assigned to ${data.agentEmail}`,
+    previousAgent: currentTask.agentEmail || null,
+    message: `Task reassigned from ${currentTask.agentEmail || 'nobody'} to ${data.agentEmail}`,
     timestamp: new Date().toISOString()
   };
 }
 
+/**
+ * Flag a task for an input-quality problem
+ * @param {Object} request - Request object
+ * @returns {Object} Response
+ */
+function flagTask(request) {
+  const data = request.body;
+  
+  validateRequired(data, ['taskId', 'flaggedBy', 'reason']);
+  validateFlagRequest(data);
+  
+  const currentTask = getTaskById(data.taskId);
+  
+  if (!currentTask) {
+    throw new ApiError(`Task not found: ${data.taskId}`, 404);
+  }
+  
+  if (currentTask.status === STATUS_VALUES.FLAGGED) {
+    throw new ApiError(
+      `Task is already flagged (${currentTask.flagReason}) by ${currentTask.flaggedBy}`,
+      409
+    );
+  }
+  
+  const flaggedAt = new Date().toISOString();
+  const flagEntry = {
+    type: 'flag',
+    revision: currentTask.revisionCount || 0,
+    fromStatus: currentTask.status,
+    agentEmail: currentTask.agentEmail || null,
+    flaggedBy: data.flaggedBy,
+    flaggedAt: flaggedAt,
+    reason: data.reason,
+    note: data.note || ''
+  };
+  
+  const result = updateTaskRecord(data.taskId, {
+    status: STATUS_VALUES.FLAGGED,
+    flagReason: data.reason,
+    flagNote: data.note || '',
+    flaggedBy: data.flaggedBy,
+    flagTime: flaggedAt,
+    flagResolution: ''
+  }, { expectedVersion: data.expectedVersion });
+  
+  appendRevisionEntry(data.taskId, flagEntry);
+  
+  info('Task flagged', {
+    taskId: data.taskId,
+    reason: data.reason,
+    flaggedBy: data.flaggedBy
+  });
+  
+  return {
+    success: true,
+    task: result,
+    message: `Task flagged: ${data.reason}`,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Resolve a flagged task: reopen it for work or reject it (terminal)
+ * Reopened tasks lose their assignment; tasks that were reworked go back to rework.
+ * @param {Object} request - Request object
+ * @returns {Object} Response
+ */
+function unflagTask(request) {
+  const data = request.body;
+  
+  validateRequired(data, ['taskId', 'resolvedBy', 'resolution']);
+  validateUnflagRequest(data);
+  
+  const currentTask = getTaskById(data.taskId);
+  
+  if (!currentTask) {
+    throw new ApiError(`Task not found: ${data.taskId}`, 404);
+  }
+  
+  if (currentTask.status !== STATUS_VALUES.FLAGGED) {
+    throw new ApiError(
+      `Only flagged tasks can be unflagged. Current status: ${currentTask.status}`,
+      409
+    );
+  }
+  
+  const rejected = data.resolution === FLAG_RESOLUTION_VALUES.REJECTED;
+  const unflagEntry = {
+    type: 'unflag',
+    revision: currentTask.revisionCount || 0,
+    resolution: data.resolution,
+    flagReason: currentTask.flagReason,
+    resolvedBy: data.resolvedBy,
+    resolvedAt: new Date().toISOString(),
+    note: data.note || ''
+  };
+  
+  const updates = {
+    flagResolution: data.resolution
+  };
+  const options = { expectedVersion: data.expectedVersion };
+  
+  let result;
+  if (rejected) {
+    updates.status = STATUS_VALUES.REJECTED;
+    result = updateTaskRecord(data.taskId, updates, options);
+  } else {
+    updates.status = (currentTask.revisionCount || 0) > 0 ? STATUS_VALUES.REWORK : STATUS_VALUES.OPEN;
+    result = clearTaskAssignment(data.taskId, updates, options);
+  }
+  
+  appendRevisionEntry(data.taskId, unflagEntry);
+  
+  info('Task unflagged', {
+    taskId: data.taskId,
+    resolution: data.resolution,
+    resolvedBy: data.resolvedBy
+  });
+  
+  return {
+    success: true,
+    task: result,
+    message: rejected ? 'Task rejected' : `Task reopened (now ${result.status})`,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Flag report endpoint: flagged tasks and per-batch reason counts
+ * @param {Object} request - Request object
+ * @returns {Object} Response
+ */
+function getFlags(request) {
+  const report = getFlagReport({
+    batchId: request.params.batchId,
+    reason: request.params.reason,
+    resolution: request.params.resolution
+  });
+  
+  return {
+    success: true,
+    flags: report.flags,
+    count: report.flags.length,
+    byBatch: report.byBatch,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Check that an agent may be assigned a task based on its permission group
+ * The override is granted on the authenticated key, never on request fields:
+ * the key needs the admin scope or an owner listed in ADMIN_EMAILS.
+ * @param {Object} task - Current task
+ * @param {Object} data - Assignment request body
+ * @param {Object} auth - Caller identity from validateApiKey
+ * @returns {Object|null} Revision history entry when an admin override was used
+ * @throws {ApiError} 403 if the agent is not in the task's group and no valid override
+ */
+function checkAssignmentGroupPermission(task, data, auth) {
+  // Tasks imported without a group are not restricted
+  if (!task.group) {
+    return null;
+  }
+
+  const agentGroups = getAgentGroups(data.agentEmail);
+
+  if (agentGroups.includes(task.group)) {
+    return null;
+  }
+
+  if (data.overrideGroupCheck !== true) {
+    throw new ApiError(
+      `Agent ${data.agentEmail} is not permitted to work on group ${task.group}. ` +
+      `Allowed groups: ${agentGroups.length > 0 ? agentGroups.join(', ') : 'none'}`,
+      403
+    );
+  }
+
+  if (!auth || !(hasApiScope(auth, API_SCOPES.ADMIN) || isAdminEmail(auth.owner))) {
+    throw new ApiError('Group override requires an admin API key', 403);
+  }
+
+  warn('Group permission overridden for assignment', {
+    taskId: task.taskId,
+    group: task.group,
+    agentEmail: data.agentEmail,
+    keyId: auth.keyId,
+    overrideBy: data.overrideBy || auth.owner
+  });
+
+  return {
+    type: 'group_override',
+    revision: task.revisionCount || 0,
+    assignedAgent: data.agentEmail,
+    agentGroups: agentGroups,
+    taskGroup: task.group,
+    overrideBy: data.overrideBy || auth.owner || auth.name,
+    overrideKeyId: auth.keyId,
+    overriddenAt: new Date().toISOString(),
+    reason: data.overrideReason || 'No reason provided'
+  };
+}
+
 /**
  * Rework task endpoint
  * @param {Object} request - Request object
@@ -336,6 +830,7 @@ function reworkTask(request) {
   
   validateRequired(data, ['taskId', 'requestedBy']);
   validateReworkRequest(data);
+  const feedback = validateReviewFeedback(data.feedback);
   
   // Fetch current task
   const currentTask = getTaskById(data.taskId);
@@ -362,25 +857,19 @@ function reworkTask(request) {
     alignmentLink: currentTask.alignmentLink,
     videoLink: currentTask.videoLink,
     timeTaken: currentTask.timeTaken,
+    requestedBy: data.requestedBy,
+    requestedAt: new Date().toISOString(),
     reason: data.reason || 'No reason provided'
   };
   
-  // Parse existing history or create new array
-  let revisionHistory = [];
-  if (currentTask.revisionHistory) {
-    try {
-      revisionHistory = JSON.parse(currentTask.revisionHistory);
-    } catch (e) {
-      revisionHistory = [];
-    }
+  if (feedback) {
+    revisionEntry.feedback = feedback;
   }
-  revisionHistory.push(revisionEntry);
   
   // Update task for rework - requester becomes the owner
   const updates = {
     status: STATUS_VALUES.REWORK,
     revisionCount: (currentTask.revisionCount || 0) + 1,
-    revisionHistory: JSON.stringify(revisionHistory),
     previousAgentEmail: currentTask.agentEmail,
     // The person requesting rework takes ownership
     agentEmail: data.requestedBy,
@@ -397,7 +886,9 @@ function reworkTask(request) {
     updates.originalCompletionTime = currentTask.endTime;
   }
   
-  const result = updateTaskRecord(data.taskId, updates);
+  const result = updateTaskRecord(data.taskId, updates, { expectedVersion: data.expectedVersion });
+  
+  appendRevisionEntry(data.taskId, revisionEntry);
   
   return {
     success: true,
@@ -421,20 +912,40 @@ function batchUpdateTasks(request) {
     throw new ApiError('tasks must be an array', 400);
   }
   
+  // Journal entries share the change set ID so the batch can be reverted as a whole
+  const changeSetId = generateShortId();
+  
   const results = data.tasks.map(taskUpdate => {
     try {
-      const result = updateTaskRecord(taskUpdate.taskId, taskUpdate);
+      // Same field whitelist and completion handling as /api/task/update
+      const revisionEntries = [];
+      const updates = buildClientTaskUpdates(taskUpdate, revisionEntries);
+      
+      const result = updateTaskRecord(taskUpdate.taskId, updates, {
+        expectedVersion: taskUpdate.expectedVersion,
+        changeSetId: changeSetId,
+        journalOperation: JOURNAL_OPERATIONS.BATCH_UPDATE
+      });
+      
+      appendRevisionEntries(taskUpdate.taskId, revisionEntries);
+      
       return {
         taskId: taskUpdate.taskId,
         success: true,
         task: result
       };
     } catch (error) {
-      return {
+      const failure = {
         taskId: taskUpdate.taskId,
         success: false,
         error: error.message
       };
+      
+      if (error instanceof TransitionError) {
+        failure.allowedTransitions = error.details.allowed;
+      }
+      
+      return failure;
     }
   });
   
@@ -443,6 +954,7 @@ function batchUpdateTasks(request) {
   
   return {
     success: failed === 0,
+    changeSetId: changeSetId,
     results: results,
     summary: {
       total: results.length,
@@ -459,21 +971,108 @@ function batchUpdateTasks(request) {
  * @returns {Object} Response
  */
 function getApiStatus(request) {
-  return {
+  const status = {
     success: true,
     status: 'operational',
     version: '1.0.0',
     endpoints: [
       'POST /api/task/update',
       'POST /api/task/assign',
+      'POST /api/task/claim-next',
+      'POST /api/task/release',
+      'POST /api/task/reassign',
+      'POST /api/task/flag',
+      'POST /api/task/unflag',
       'POST /api/task/rework',
+      'POST /api/task/review',
+      'POST /api/review/claim',
+      'POST /api/task/dispute',
+      'POST /api/review/adjudicate',
       'POST /api/tasks/batch',
+      'POST /api/task/restore',
       'GET /api/task',
       'GET /api/tasks',
       'GET /api/status',
       'GET /api/agent/groups',
-      'GET /api/agent/history'
+      'GET /api/agent/history',
+      'GET /api/review/queue',
+      'GET /api/review/disputes',
+      'GET /api/rubrics',
+      'GET /api/flags',
+      'GET /api/audit'
     ],
+    schema: {
+      version: getSchemaVersion(),
+      expected: getCurrentSchemaVersion()
+    },
+    rateLimits: getRateLimits(),
+    usage: getApiUsage(request.auth.keyId),
+    timestamp: new Date().toISOString()
+  };
+  
+  delete status.usage.flushedAt;
+  
+  // Admin keys see every key's consumption
+  if (request.auth.scopes && request.auth.scopes.includes(API_SCOPES.ADMIN)) {
+    status.usageByKey = getAllApiUsage();
+  }
+  
+  return status;
+}
+
+/**
+ * Restore an archived task to the live Tasks sheet
+ * @param {Object} request - Request object
+ * @returns {Object} Response
+ */
+function restoreTask(request) {
+  const data = request.body;
+  
+  validateRequired(data, ['taskId']);
+  
+  const task = restoreArchivedTask(data.taskId);
+  
+  return {
+    success: true,
+    task: task,
+    message: `Task ${data.taskId} restored from the archive`,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Query the API audit trail
+ * @param {Object} request - Request object
+ * @returns {Object} Response
+ */
+function getAuditLog(request) {
+  const params = request.params;
+  
+  ['from', 'to'].forEach(field => {
+    if (params[field] && isNaN(new Date(params[field]).getTime())) {
+      throw new ValidationError(`${field} must be an ISO date`, field, params[field]);
+    }
+  });
+  
+  const filters = {
+    taskId: params.taskId,
+    keyId: params.keyId,
+    field: params.field,
+    outcome: params.outcome,
+    endpoint: params.endpoint,
+    from: params.from,
+    to: params.to,
+    includeArchives: params.includeArchives === 'true',
+    limit: Math.min(parseInt(params.limit) || 100, 1000)
+  };
+  
+  const entries = queryAuditLog(filters);
+  
+  return {
+    success: true,
+    entries: entries,
+    count: entries.length,
+    filters: filters,
     timestamp: new Date().toISOString()
   };
 }
@@ -511,8 +1110,9 @@ function getAgentGroupsEndpoint(request) {
 function reviewTask(request) {
   const data = request.body;
   
-  validateRequired(data, ['taskId', 'score', 'reviewerEmail']);
+  validateRequired(data, ['taskId', 'reviewerEmail']);
   validateReviewRequest(data);
+  const feedback = validateReviewFeedback(data.feedback);
   
   // Fetch current task
   const currentTask = getTaskById(data.taskId);
@@ -534,37 +1134,72 @@ function reviewTask(request) {
     throw new ApiError('Task must have pending review status to be reviewed', 400);
   }
   
-  // Get threshold and determine pass/fail
-  const threshold = getReviewThreshold();
-  const score = parseFloat(data.score);
-  const passed = score >= threshold;
+  // Only the reviewer holding the claim may submit the review
+  assertReviewClaim(currentTask, data.reviewerEmail);
+  
+  // Get threshold (batch, then group, then global) and determine pass/fail
+  const { threshold, source: thresholdSource } = resolveReviewThreshold(currentTask);
+  
+  // Rubric reviews: weighted score, and any failed hard minimum fails the review
+  const rubricResult = data.criteria !== undefined ?
+    scoreReviewRubric(getReviewRubric(data.rubricId), data.criteria) : null;
+  const score = rubricResult ? rubricResult.weightedScore : parseFloat(data.score);
+  const failedHard = rubricResult ? rubricResult.failedHardMinimums : [];
+  const passed = score >= threshold && failedHard.length === 0;
   
   const reviewTime = new Date().toISOString();
+  const reviewRubric = rubricResult ? JSON.stringify(rubricResult) : '';
   
   if (passed) {
-    // Pass: Just update review fields
+    // Pass: record the review as an annotation entry so the applied threshold is kept
+    const reviewEntry = {
+      type: 'review',
+      revision: currentTask.revisionCount || 0,
+      agentEmail: currentTask.agentEmail,
+      reviewStatus: REVIEW_STATUS_VALUES.PASSED,
+      reviewScore: score,
+      threshold: threshold,
+      thresholdSource: thresholdSource,
+      reviewedBy: data.reviewerEmail,
+      reviewedAt: reviewTime
+    };
+    
+    if (feedback) {
+      reviewEntry.feedback = feedback;
+    }
+    
     const updates = {
       reviewStatus: REVIEW_STATUS_VALUES.PASSED,
       reviewScore: score,
       reviewerEmail: data.reviewerEmail,
-      reviewTime: reviewTime
+      reviewTime: reviewTime,
+      reviewRubric: reviewRubric,
+      reviewClaimedBy: '',
+      reviewClaimExpires: ''
     };
     
-    const result = updateTaskRecord(data.taskId, updates);
+    const result = updateTaskRecord(data.taskId, updates, { expectedVersion: data.expectedVersion });
+    
+    appendRevisionEntry(data.taskId, reviewEntry);
     
     return {
       success: true,
       task: result,
+      threshold: threshold,
+      thresholdSource: thresholdSource,
+      rubric: rubricResult,
       message: `Task passed review with score ${score}`,
       timestamp: new Date().toISOString()
     };
   } else {
     // Fail: Trigger rework assignment
     const revisionCount = currentTask.revisionCount;
-    const existingRevisionHistory = currentTask.revisionHistory;
+    // Only count work revisions; annotation entries such as group overrides carry a type
+    const existingRevisions = getRevisionHistory(currentTask)
+      .filter(entry => !entry.type);
     
-    // Check if this is first rework: revisionCount is 0/null/empty AND revisionHistory is null/empty
-    const isFirstRework = (!revisionCount || revisionCount === 0) && (!existingRevisionHistory || existingRevisionHistory.trim() === '');
+    // Check if this is first rework: revisionCount is 0/null/empty AND revision history has no revisions
+    const isFirstRework = (!revisionCount || revisionCount === 0) && existingRevisions.length === 0;
     
     // Determine who gets the rework
     const reworkAssignee = isFirstRework ? currentTask.agentEmail : data.reviewerEmail;
@@ -580,27 +1215,27 @@ function reviewTask(request) {
       videoLink: currentTask.videoLink,
       timeTaken: currentTask.timeTaken,
       reviewScore: score,
+      threshold: threshold,
+      thresholdSource: thresholdSource,
       reviewedBy: data.reviewerEmail,
       reviewedAt: reviewTime,
-      reason: `Failed review with score ${score} (threshold: ${threshold})`
+      reason: failedHard.length > 0 ?
+        `Failed review: ${failedHard.join(', ')} below minimum (score ${score})` :
+        `Failed review with score ${score} (threshold: ${threshold})`
     };
     
-    // Parse existing history or create new array
-    let revisionHistory = [];
-    if (currentTask.revisionHistory) {
-      try {
-        revisionHistory = JSON.parse(currentTask.revisionHistory);
-      } catch (e) {
-        revisionHistory = [];
-      }
+    if (rubricResult) {
+      revisionEntry.rubric = rubricResult;
+    }
+    
+    if (feedback) {
+      revisionEntry.feedback = feedback;
     }
-    revisionHistory.push(revisionEntry);
     
     // Update task for rework
     const updates = {
       status: STATUS_VALUES.REWORK,
       revisionCount: isFirstRework ? 1 : (parseInt(revisionCount) + 1),
-      revisionHistory: JSON.stringify(revisionHistory),
       previousAgentEmail: currentTask.agentEmail,
       agentEmail: reworkAssignee,
       startTime: reviewTime,
@@ -613,7 +1248,10 @@ function reviewTask(request) {
       reviewStatus: REVIEW_STATUS_VALUES.FAILED,
       reviewScore: score,
       reviewerEmail: data.reviewerEmail,
-      reviewTime: reviewTime
+      reviewTime: reviewTime,
+      reviewRubric: reviewRubric,
+      reviewClaimedBy: '',
+      reviewClaimExpires: ''
     };
     
     // Store original completion time if this is first rework
@@ -621,19 +1259,324 @@ function reviewTask(request) {
       updates.originalCompletionTime = currentTask.endTime;
     }
     
-    const result = updateTaskRecord(data.taskId, updates);
+    const result = updateTaskRecord(data.taskId, updates, { expectedVersion: data.expectedVersion });
+    
+    appendRevisionEntry(data.taskId, revisionEntry);
     
     return {
       success: true,
       task: result,
+      threshold: threshold,
+      thresholdSource: thresholdSource,
+      rubric: rubricResult,
       message: `Task failed review (score ${score}), assigned for rework to ${reworkAssignee}`,
       timestamp: new Date().toISOString()
     };
   }
 }
 
+/**
+ * Review queue endpoint: pending reviews the reviewer may claim
+ * @param {Object} request - Request object
+ * @returns {Object} Response
+ */
+function getReviewQueueEndpoint(request) {
+  const params = request.params;
+  
+  if (!params.reviewerEmail || !isValidEmail(params.reviewerEmail)) {
+    throw new ValidationError('Valid reviewerEmail parameter required', 'reviewerEmail', params.reviewerEmail);
+  }
+  
+  const limit = parseOptionalInt(params.limit, 'limit');
+  if (limit !== undefined && (limit < 1 || limit > 500)) {
+    throw new ValidationError('limit must be between 1 and 500', 'limit', params.limit);
+  }
+  
+  const tasks = getReviewQueue(params.reviewerEmail, {
+    group: params.group,
+    batchId: params.batchId,
+    limit: limit
+  });
+  
+  return {
+    success: true,
+    reviewerEmail: params.reviewerEmail,
+    tasks: tasks,
+    count: tasks.length,
+    claimMinutes: getReviewClaimMinutes(),
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Claim a pending review for one reviewer for the claim window
+ * Re-claiming a review you already hold extends the window.
+ * @param {Object} request - Request object
+ * @returns {Object} Response
+ */
+function claimReview(request) {
+  const data = request.body;
+  
+  validateRequired(data, ['taskId', 'reviewerEmail']);
+  
+  if (!isValidEmail(data.reviewerEmail)) {
+    throw new ValidationError('Invalid reviewerEmail format', 'reviewerEmail', data.reviewerEmail);
+  }
+  
+  const currentTask = getTaskById(data.taskId);
+  
+  if (!currentTask) {
+    throw new ApiError(`Task not found: ${data.taskId}`, 404);
+  }
+  
+  if (currentTask.status !== STATUS_VALUES.COMPLETE ||
+      currentTask.reviewStatus !== REVIEW_STATUS_VALUES.PENDING) {
+    throw new ApiError(
+      `Only pending reviews can be claimed. Current state: ${currentTask.status}/${currentTask.reviewStatus || 'unreviewed'}`,
+      409
+    );
+  }
+  
+  if (currentTask.agentEmail === data.reviewerEmail) {
+    throw new ApiError('Reviewers cannot claim reviews of their own work', 403);
+  }
+  
+  if (isReviewClaimActive(currentTask) && currentTask.reviewClaimedBy !== data.reviewerEmail) {
+    throw new ApiError(
+      `Review already claimed by ${currentTask.reviewClaimedBy} until ${currentTask.reviewClaimExpires}`,
+      409
+    );
+  }
+  
+  const claimExpires = new Date(Date.now() + getReviewClaimMinutes() * 60000).toISOString();
+  
+  const result = updateTaskRecord(data.taskId, {
+    reviewClaimedBy: data.reviewerEmail,
+    reviewClaimExpires: claimExpires
+  }, { expectedVersion: data.expectedVersion });
+  
+  info('Review claimed', {
+    taskId: data.taskId,
+    reviewerEmail: data.reviewerEmail,
+    claimExpires: claimExpires
+  });
+  
+  return {
+    success: true,
+    task: result,
+    claimExpires: claimExpires,
+    message: `Review claimed by ${data.reviewerEmail} until ${claimExpires}`,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Dispute a failed review
+ * Only the agent whose work failed may dispute, once per failure, before rework starts.
+ * @param {Object} request - Request object
+ * @returns {Object} Response
+ */
+function disputeReview(request) {
+  const data = request.body;
+  
+  validateRequired(data, ['taskId', 'agentEmail', 'comment']);
+  validateDisputeRequest(data);
+  
+  const currentTask = getTaskById(data.taskId);
+  
+  if (!currentTask) {
+    throw new ApiError(`Task not found: ${data.taskId}`, 404);
+  }
+  
+  if (currentTask.status !== STATUS_VALUES.REWORK ||
+      currentTask.reviewStatus !== REVIEW_STATUS_VALUES.FAILED) {
+    throw new ApiError(
+      `Only failed reviews awaiting rework can be disputed. Current state: ${currentTask.status}/${currentTask.reviewStatus || 'unreviewed'}`,
+      409
+    );
+  }
+  
+  const revisionHistory = getRevisionHistory(currentTask);
+  const failedRevision = revisionHistory.filter(entry => !entry.type).pop();
+  
+  if (!failedRevision) {
+    throw new ApiError('Task has no failed review in its revision history', 409);
+  }
+  
+  if (failedRevision.agentEmail !== data.agentEmail) {
+    throw new ApiError('Only the agent whose work failed review may dispute it', 403);
+  }
+  
+  if (revisionHistory.some(entry => entry.type === 'dispute' && entry.revision === failedRevision.revision)) {
+    throw new ApiError(`Revision ${failedRevision.revision} has already been disputed`, 409);
+  }
+  
+  const disputeEntry = {
+    type: 'dispute',
+    revision: failedRevision.revision,
+    agentEmail: data.agentEmail,
+    reviewedBy: failedRevision.reviewedBy,
+    reviewScore: failedRevision.reviewScore,
+    comment: data.comment,
+    disputedAt: new Date().toISOString()
+  };
+  
+  const result = updateTaskRecord(data.taskId, {
+    reviewStatus: REVIEW_STATUS_VALUES.DISPUTED
+  }, { expectedVersion: data.expectedVersion });
+  
+  appendRevisionEntry(data.taskId, disputeEntry);
+  
+  info('Review disputed', {
+    taskId: data.taskId,
+    agentEmail: data.agentEmail,
+    reviewedBy: failedRevision.reviewedBy
+  });
+  
+  return {
+    success: true,
+    task: result,
+    message: `Review by ${failedRevision.reviewedBy} disputed; awaiting a second reviewer`,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Adjudicate a disputed review
+ * Overturning restores the completion from the latest revision history entry and
+ * clears the failing score, and the failure no longer counts in the agent's review
+ * stats; upholding confirms the rework. The adjudicator must not be the original reviewer or the agent.
+ * @param {Object} request - Request object
+ * @returns {Object} Response
+ */
+function adjudicateDispute(request) {
+  const data = request.body;
+  
+  validateRequired(data, ['taskId', 'adjudicatorEmail', 'outcome']);
+  validateAdjudicationRequest(data);
+  
+  const currentTask = getTaskById(data.taskId);
+  
+  if (!currentTask) {
+    throw new ApiError(`Task not found: ${data.taskId}`, 404);
+  }
+  
+  if (currentTask.reviewStatus !== REVIEW_STATUS_VALUES.DISPUTED) {
+    throw new ApiError(
+      `Only disputed reviews can be adjudicated. Current review status: ${currentTask.reviewStatus || 'unreviewed'}`,
+      409
+    );
+  }
+  
+  const revisionHistory = getRevisionHistory(currentTask);
+  const dispute = revisionHistory.filter(entry => entry.type === 'dispute').pop();
+  const failedRevision = revisionHistory.filter(entry => !entry.type).pop();
+  
+  if (!dispute || !failedRevision) {
+    throw new ApiError('Dispute record not found in revision history', 409);
+  }
+  
+  if (data.adjudicatorEmail === dispute.reviewedBy || data.adjudicatorEmail === dispute.agentEmail) {
+    throw new ApiError('Disputes must be adjudicated by a different reviewer', 403);
+  }
+  
+  const adjudicatedAt = new Date().toISOString();
+  const overturned = data.outcome === DISPUTE_OUTCOME_VALUES.OVERTURNED;
+  
+  const resolutionEntry = {
+    type: 'dispute_resolution',
+    revision: dispute.revision,
+    agentEmail: failedRevision.agentEmail,
+    outcome: data.outcome,
+    reviewedBy: dispute.reviewedBy,
+    adjudicatedBy: data.adjudicatorEmail,
+    adjudicatedAt: adjudicatedAt,
+    note: data.note || ''
+  };
+  
+  const updates = {};
+  
+  if (overturned) {
+    // Restore the disputed completion
+    Object.assign(updates, {
+      status: STATUS_VALUES.COMPLETE,
+      reviewStatus: REVIEW_STATUS_VALUES.PASSED,
+      agentEmail: failedRevision.agentEmail,
+      startTime: failedRevision.startedAt || '',
+      endTime: failedRevision.completedAt || '',
+      objLink: failedRevision.objLink || '',
+      alignmentLink: failedRevision.alignmentLink || '',
+      videoLink: failedRevision.videoLink || '',
+      timeTaken: failedRevision.timeTaken || '',
+      reviewerEmail: data.adjudicatorEmail,
+      reviewScore: '',
+      reviewTime: adjudicatedAt
+    });
+  } else {
+    updates.reviewStatus = REVIEW_STATUS_VALUES.FAILED;
+  }
+  
+  const result = updateTaskRecord(data.taskId, updates, { expectedVersion: data.expectedVersion });
+  
+  appendRevisionEntry(data.taskId, resolutionEntry);
+  
+  info('Dispute adjudicated', {
+    taskId: data.taskId,
+    outcome: data.outcome,
+    adjudicatedBy: data.adjudicatorEmail,
+    reviewedBy: dispute.reviewedBy
+  });
+  
+  return {
+    success: true,
+    task: result,
+    message: overturned ?
+      'Review overturned; completion restored and passed' :
+      'Failed review confirmed; task stays in rework',
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Dispute report endpoint: open disputes and dispute rates per reviewer
+ * @param {Object} request - Request object
+ * @returns {Object} Response
+ */
+function getDisputes(request) {
+  const report = getDisputeReport({
+    batchId: request.params.batchId,
+    reviewerEmail: request.params.reviewerEmail
+  });
+  
+  return {
+    success: true,
+    openDisputes: report.openDisputes,
+    count: report.openDisputes.length,
+    byReviewer: report.byReviewer,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * List review rubrics so review tools can render criteria
+ * @param {Object} request - Request object
+ * @returns {Object} Response
+ */
+function getRubrics(request) {
+  const rubrics = getReviewRubrics();
+  
+  return {
+    success: true,
+    activeRubricId: getReviewRubric().id,
+    rubrics: Object.values(rubrics),
+    passThreshold: getReviewThreshold(),
+    timestamp: new Date().toISOString()
+  };
+}
+
 /**
  * Get agent history endpoint
+ * Completed tasks include delivered tasks that have moved to the archive.
  * @param {Object} request - Request object
  * @returns {Object} Response
  */
@@ -648,7 +1591,7 @@ function getAgentHistory(request) {
   const completedTasks = queryTasks({
     agentEmail: email,
     status: STATUS_VALUES.COMPLETE
-  });
+  }).concat(getArchivedTasksByAgent(email));
   
   const inProgressTasks = queryTasks({
     agentEmail: email,
@@ -657,20 +1600,13 @@ function getAgentHistory(request) {
   
   // Get tasks that were reworked (where this agent's work was revised)
   const allTasks = queryTasks({});
+  const histories = getRevisionHistories(allTasks.concat(completedTasks, inProgressTasks));
   const reworkedTasks = allTasks.filter(task => {
     if (task.previousAgentEmail === email && task.status === STATUS_VALUES.REWORK) {
       return true;
     }
     // Check revision history for this agent's work
-    if (task.revisionHistory) {
-      try {
-        const history = JSON.parse(task.revisionHistory);
-        return history.some(rev => rev.agentEmail === email);
-      } catch (e) {
-        return false;
-      }
-    }
-    return false;
+    return histories[task.taskId].some(rev => rev.agentEmail === email);
   });
   
   // Prepare lightweight response with folder link for task context
@@ -680,7 +1616,9 @@ function getAgentHistory(request) {
     productionFolderLink: task.productionFolderLink,  // Contains all source files for review
     completedAt: task.endTime,
     revisionCount: task.revisionCount || 0,
-    status: task.status
+    status: task.status,
+    archived: task.archived === true,
+    feedback: getTaskFeedback(histories[task.taskId], email)
   });
   
   return {
@@ -0,0 +1,368 @@
+/**
+ * Idempotency keys for mutating API calls
+ * Retried POSTs with the same key replay the stored response instead of re-executing.
+ * Every outcome is recorded in the hidden _Idempotency sheet, which is the durable
+ * record for the whole retention window; the script cache only speeds up lookups and
+ * may evict entries at any time.
+ */
+
+const IDEMPOTENCY_SHEET_NAME = '_Idempotency';
+const IDEMPOTENCY_CACHE_PREFIX = 'idem_';
+const DEFAULT_IDEMPOTENCY_TTL_SECONDS = 21600;
+const IDEMPOTENCY_MAX_KEY_LENGTH = 255;
+
+// Records are purged after their window, so the sheet holds at most this much history
+const MAX_IDEMPOTENCY_TTL_SECONDS = 604800;
+
+// CacheService caps entries at 6 hours
+const MAX_IDEMPOTENCY_CACHE_SECONDS = 21600;
+
+// A sheet cell holds at most 50,000 characters (CacheService allows 100KB)
+const IDEMPOTENCY_MAX_RECORD_LENGTH = 50000;
+
+const IDEMPOTENCY_COLUMNS = {
+  KEY_HASH: 'Key Hash',
+  REQUEST_HASH: 'Request Hash',
+  CREATED_AT: 'Created At',
+  EXPIRES_AT: 'Expires At',
+  OUTCOME: 'Outcome'
+};
+
+const IDEMPOTENCY_COLUMN_ORDER = ['KEY_HASH', 'REQUEST_HASH', 'CREATED_AT', 'EXPIRES_AT', 'OUTCOME'];
+
+/**
+ * Run a POST handler once per idempotency key
+ * Requests without a key run normally. Responses and client errors (4xx other than
+ * 429) are stored, so a retry replays either one; server errors are not stored and
+ * a retry executes again. Must be called inside the script lock so concurrent
+ * retries of the same key cannot both execute.
+ * @param {Object} request - Request object (with auth)
+ * @param {Function} operation - Handler to run
+ * @returns {Object} Handler response, or the stored response on replay
+ * @throws {IdempotencyConflictError} 409 if the key was used with a different payload
+ */
+function withIdempotency(request, operation) {
+  const idempotencyKey = getIdempotencyKey(request);
+
+  if (!idempotencyKey) {
+    return operation();
+  }
+
+  if (String(idempotencyKey).length > IDEMPOTENCY_MAX_KEY_LENGTH) {
+    throw new ValidationError(
+      `Idempotency-Key must be at most ${IDEMPOTENCY_MAX_KEY_LENGTH} characters`,
+      'idempotencyKey',
+      idempotencyKey
+    );
+  }
+
+  const keyHash = hashIdempotencyKey(request, idempotencyKey);
+  const requestHash = hashIdempotentRequest(request);
+  const stored = findIdempotencyRecord(keyHash);
+
+  if (stored) {
+    if (stored.requestHash !== requestHash) {
+      throw new IdempotencyConflictError(
+        `Idempotency-Key "${idempotencyKey}" was already used with a different request`,
+        idempotencyKey
+      );
+    }
+
+    info('Idempotent replay', {
+      keyId: request.auth.keyId,
+      path: request.path,
+      idempotencyKey: idempotencyKey
+    });
+
+    return replayIdempotencyOutcome(stored.outcome);
+  }
+
+  let response;
+
+  try {
+    response = operation();
+  } catch (err) {
+    if (isStoredIdempotencyError(err)) {
+      saveIdempotencyRecord(keyHash, requestHash, { error: serializeIdempotencyError(err) }, request);
+    }
+    throw err;
+  }
+
+  // Batch responses with per-item failures did execute and are stored
+  if (response) {
+    saveIdempotencyRecord(keyHash, requestHash, { response: response }, request);
+  }
+
+  return response;
+}
+
+/**
+ * Get the idempotency key from the header, query string or body
+ * @param {Object} request - Request object
+ * @returns {string|null} Idempotency key
+ */
+function getIdempotencyKey(request) {
+  return request.headers['Idempotency-Key'] ||
+    request.params.idempotencyKey ||
+    request.body?.idempotencyKey ||
+    null;
+}
+
+/**
+ * Hash an idempotency key together with the API key that sent it
+ * @param {Object} request - Request object (with auth)
+ * @param {string} idempotencyKey - Idempotency key
+ * @returns {string} Hex SHA-256
+ */
+function hashIdempotencyKey(request, idempotencyKey) {
+  return hashApiKey(`${request.auth.keyId}:${idempotencyKey}`);
+}
+
+/**
+ * Hash the parts of a request that must match on replay
+ * @param {Object} request - Request object
+ * @returns {string} Hex SHA-256
+ */
+function hashIdempotentRequest(request) {
+  const payload = request.rawBody || JSON.stringify(request.body || {});
+  return hashApiKey(`${request.method}\n${request.path}\n${payload}`);
+}
+
+/**
+ * Find the unexpired record for a key, from the cache or the sheet
+ * @param {string} keyHash - Hashed key
+ * @returns {Object|null} {requestHash, expiresAt, outcome}
+ */
+function findIdempotencyRecord(keyHash) {
+  const cached = safeJsonParse(CacheService.getScriptCache().get(IDEMPOTENCY_CACHE_PREFIX + keyHash), null);
+
+  if (cached) {
+    return cached;
+  }
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(IDEMPOTENCY_SHEET_NAME);
+
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return null;
+  }
+
+  const matches = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1)
+    .createTextFinder(keyHash)
+    .matchEntireCell(true)
+    .findAll();
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  // The newest record wins if an expired one was not purged yet
+  const row = sheet.getRange(matches[matches.length - 1].getRow(), 1, 1, IDEMPOTENCY_COLUMN_ORDER.length)
+    .getValues()[0];
+  const value = key => row[IDEMPOTENCY_COLUMN_ORDER.indexOf(key)];
+  const expiresAt = value('EXPIRES_AT');
+
+  if (new Date(expiresAt).getTime() <= Date.now()) {
+    return null;
+  }
+
+  return {
+    requestHash: value('REQUEST_HASH'),
+    expiresAt: expiresAt instanceof Date ? expiresAt.toISOString() : String(expiresAt),
+    outcome: safeJsonParse(value('OUTCOME'), { tooLarge: true })
+  };
+}
+
+/**
+ * Store the outcome of a keyed request in the sheet and the cache
+ * Outcomes too large for a cell are stored as a marker: the retry still does not
+ * execute, but cannot return the original body.
+ * @param {string} keyHash - Hashed key
+ * @param {string} requestHash - Request hash
+ * @param {Object} outcome - {response} or {error}
+ * @param {Object} request - Request object (for logging)
+ */
+function saveIdempotencyRecord(keyHash, requestHash, outcome, request) {
+  const ttlSeconds = getIdempotencyTtlSeconds();
+  const now = Date.now();
+  let serialized = JSON.stringify(outcome);
+
+  if (serialized.length > IDEMPOTENCY_MAX_RECORD_LENGTH) {
+    warn('Idempotent response too large to store', {
+      path: request.path,
+      size: serialized.length
+    });
+    serialized = JSON.stringify({ tooLarge: true });
+  }
+
+  const record = {
+    requestHash: requestHash,
+    expiresAt: new Date(now + ttlSeconds * 1000).toISOString(),
+    outcome: JSON.parse(serialized)
+  };
+
+  const sheet = initializeIdempotencySheet();
+  purgeExpiredIdempotencyRecords(sheet);
+  sheet.getRange(sheet.getLastRow() + 1, 1, 1, IDEMPOTENCY_COLUMN_ORDER.length).setValues([[
+    keyHash,
+    requestHash,
+    new Date(now).toISOString(),
+    record.expiresAt,
+    serialized
+  ]]);
+
+  try {
+    CacheService.getScriptCache().put(
+      IDEMPOTENCY_CACHE_PREFIX + keyHash,
+      JSON.stringify(record),
+      Math.min(ttlSeconds, MAX_IDEMPOTENCY_CACHE_SECONDS)
+    );
+  } catch (err) {
+    // The sheet record still answers the retry
+    warn('Failed to cache idempotency record', { error: err.message });
+  }
+}
+
+/**
+ * Delete expired records from the top of the sheet
+ * Records are appended in time order, so only the first row is checked unless it
+ * has expired.
+ * @param {Sheet} sheet - Idempotency sheet
+ */
+function purgeExpiredIdempotencyRecords(sheet) {
+  const rowCount = sheet.getLastRow() - 1;
+  const expiresColumn = IDEMPOTENCY_COLUMN_ORDER.indexOf('EXPIRES_AT') + 1;
+  const isExpired = value => new Date(value).getTime() <= Date.now();
+
+  if (rowCount <= 0 || !isExpired(sheet.getRange(2, expiresColumn).getValue())) {
+    return;
+  }
+
+  const expiries = sheet.getRange(2, expiresColumn, rowCount, 1).getValues();
+  let expired = 0;
+  while (expired < expiries.length && isExpired(expiries[expired][0])) {
+    expired++;
+  }
+
+  // A sheet cannot lose all of its unfrozen rows, so the last one is cleared instead
+  if (expired === rowCount) {
+    if (rowCount > 1) sheet.deleteRows(3, rowCount - 1);
+    sheet.getRange(2, 1, 1, IDEMPOTENCY_COLUMN_ORDER.length).clearContent();
+  } else {
+    sheet.deleteRows(2, expired);
+  }
+}
+
+/**
+ * Turn a stored outcome back into the response or error of the original call
+ * @param {Object} outcome - {response}, {error} or {tooLarge}
+ * @returns {Object} Response marked as a replay
+ * @throws {ApiError|ValidationError} The stored client error
+ */
+function replayIdempotencyOutcome(outcome) {
+  if (outcome.error) {
+    throw rebuildIdempotencyError(outcome.error);
+  }
+
+  if (outcome.tooLarge) {
+    return {
+      success: true,
+      idempotentReplay: true,
+      responseStored: false,
+      message: 'This request already ran; its response was too large to store',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const replay = outcome.response;
+  replay.idempotentReplay = true;
+  return replay;
+}
+
+/**
+ * Check whether a thrown error is a client error to store for replay
+ * Rate limits are transient and server errors may succeed on retry.
+ * @param {Error} err - Thrown error
+ * @returns {boolean} True if the error is stored
+ */
+function isStoredIdempotencyError(err) {
+  if (err instanceof ValidationError) {
+    return true;
+  }
+
+  return err instanceof ApiError && !(err instanceof RateLimitError) &&
+    err.statusCode >= 400 && err.statusCode < 500;
+}
+
+/**
+ * Serialize a client error for the idempotency record
+ * @param {Error} err - Thrown error
+ * @returns {Object} {name, message, code, statusCode, details}
+ */
+function serializeIdempotencyError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    code: err.code,
+    statusCode: err.statusCode || null,
+    details: err.details
+  };
+}
+
+/**
+ * Rebuild a stored client error so it maps to the same HTTP status and body
+ * @param {Object} stored - Serialized error
+ * @returns {Error} Error to throw
+ */
+function rebuildIdempotencyError(stored) {
+  let err;
+
+  if (stored.name === 'ValidationError') {
+    err = new ValidationError(stored.message, stored.details?.field, stored.details?.value);
+  } else if (stored.name === 'TransitionError') {
+    err = new TransitionError(stored.message, stored.details?.from, stored.details?.to, stored.details?.allowed);
+  } else {
+    err = new ApiError(stored.message, stored.statusCode || 400);
+  }
+
+  err.code = stored.code;
+  err.details = stored.details;
+  err.idempotentReplay = true;
+
+  return err;
+}
+
+/**
+ * Get how long idempotency keys are remembered
+ * Capped at 7 days to bound the idempotency sheet.
+ * @returns {number} Seconds
+ */
+function getIdempotencyTtlSeconds() {
+  const configured = parseInt(
+    PropertiesService.getScriptProperties().getProperty('IDEMPOTENCY_TTL_SECONDS')
+  );
+
+  return configured > 0 ?
+    Math.min(configured, MAX_IDEMPOTENCY_TTL_SECONDS) :
+    DEFAULT_IDEMPOTENCY_TTL_SECONDS;
+}
+
+/**
+ * Initialize the idempotency sheet if needed
+ * @returns {Sheet} Idempotency sheet
+ */
+function initializeIdempotencySheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(IDEMPOTENCY_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(IDEMPOTENCY_SHEET_NAME);
+    sheet.hideSheet();
+
+    const headers = IDEMPOTENCY_COLUMN_ORDER.map(key => IDEMPOTENCY_COLUMNS[key]);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
@@ -0,0 +1,256 @@
+/**
+ * API rate limiting and usage accounting
+ * Per-key token buckets by route class, with daily usage counters
+ */
+
+const RATE_LIMIT_CLASSES = {
+  READ: 'read',
+  QUERY: 'query',
+  WRITE: 'write'
+};
+
+/**
+ * Default bucket sizes. `capacity` is the burst size, `perMinute` the refill rate.
+ * Query routes read the whole Tasks sheet, so they get the smallest budget.
+ */
+const DEFAULT_RATE_LIMITS = {
+  read: { capacity: 60, perMinute: 60 },
+  query: { capacity: 10, perMinute: 10 },
+  write: { capacity: 30, perMinute: 30 }
+};
+
+const RATE_BUCKET_CACHE_PREFIX = 'rate_bucket_';
+const API_USAGE_CACHE_PREFIX = 'api_usage_';
+const API_USAGE_PROPERTY_PREFIX = 'API_USAGE_';
+const API_USAGE_FLUSH_INTERVAL_MS = 60000;
+const RATE_CACHE_TTL_SECONDS = 21600;
+
+/**
+ * Consume one token for a caller and record usage
+ * Buckets are best-effort: they are read and written in the script cache without
+ * the script lock, so reads never queue behind writes. Concurrent requests can
+ * occasionally spend the same token, which slightly over-admits a burst.
+ * @param {Object} auth - Caller identity from validateApiKey
+ * @param {string} limitClass - Route class (RATE_LIMIT_CLASSES)
+ * @returns {Object} Bucket state {limitClass, remaining, capacity}
+ * @throws {RateLimitError} 429 if the bucket is empty
+ */
+function enforceRateLimit(auth, limitClass) {
+  const limit = getRateLimits()[limitClass];
+
+  if (!limit) {
+    return null;
+  }
+
+  const cache = CacheService.getScriptCache();
+  const bucketKey = RATE_BUCKET_CACHE_PREFIX + auth.keyId + '_' + limitClass;
+  const now = Date.now();
+
+  const bucket = refillBucket(
+    safeJsonParse(cache.get(bucketKey), null),
+    limit,
+    now
+  );
+
+  if (bucket.tokens < 1) {
+    const retryAfterSeconds = Math.ceil((1 - bucket.tokens) * 60 / limit.perMinute);
+
+    cache.put(bucketKey, JSON.stringify(bucket), RATE_CACHE_TTL_SECONDS);
+    recordApiUsage(auth.keyId, limitClass, true);
+
+    warn('API rate limit exceeded', {
+      keyId: auth.keyId,
+      limitClass: limitClass,
+      retryAfterSeconds: retryAfterSeconds
+    });
+
+    throw new RateLimitError(
+      `Rate limit exceeded for ${limitClass} requests (${limit.perMinute}/min). ` +
+      `Retry after ${retryAfterSeconds} seconds`,
+      limitClass,
+      retryAfterSeconds
+    );
+  }
+
+  bucket.tokens -= 1;
+  cache.put(bucketKey, JSON.stringify(bucket), RATE_CACHE_TTL_SECONDS);
+  recordApiUsage(auth.keyId, limitClass, false);
+
+  return {
+    limitClass: limitClass,
+    remaining: Math.floor(bucket.tokens),
+    capacity: limit.capacity
+  };
+}
+
+/**
+ * Refill a token bucket for the time elapsed since its last update
+ * @param {Object|null} bucket - Stored bucket {tokens, updatedAt} or null
+ * @param {Object} limit - {capacity, perMinute}
+ * @param {number} now - Current time in ms
+ * @returns {Object} Refilled bucket
+ */
+function refillBucket(bucket, limit, now) {
+  if (!bucket) {
+    return { tokens: limit.capacity, updatedAt: now };
+  }
+
+  const elapsedMinutes = Math.max(0, now - bucket.updatedAt) / 60000;
+
+  return {
+    tokens: Math.min(limit.capacity, bucket.tokens + elapsedMinutes * limit.perMinute),
+    updatedAt: now
+  };
+}
+
+/**
+ * Get rate limits per route class (defaults merged with RATE_LIMITS property)
+ * @returns {Object} Map of class to {capacity, perMinute}
+ */
+function getRateLimits() {
+  const configured = safeJsonParse(
+    PropertiesService.getScriptProperties().getProperty('RATE_LIMITS'),
+    {}
+  ) || {};
+
+  const limits = {};
+  Object.keys(DEFAULT_RATE_LIMITS).forEach(limitClass => {
+    limits[limitClass] = Object.assign({}, DEFAULT_RATE_LIMITS[limitClass], configured[limitClass]);
+  });
+
+  return limits;
+}
+
+/**
+ * Set the rate limit for a route class
+ * @param {string} limitClass - Route class
+ * @param {number} capacity - Burst size
+ * @param {number} perMinute - Refill rate per minute
+ */
+function setRateLimit(limitClass, capacity, perMinute) {
+  if (!Object.values(RATE_LIMIT_CLASSES).includes(limitClass)) {
+    throw new ValidationError(
+      `Route class must be one of: ${Object.values(RATE_LIMIT_CLASSES).join(', ')}`,
+      'limitClass',
+      limitClass
+    );
+  }
+
+  if (!(capacity >= 1) || !(perMinute > 0)) {
+    throw new ValidationError('Capacity must be at least 1 and rate above 0', 'capacity', capacity);
+  }
+
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const configured = safeJsonParse(scriptProperties.getProperty('RATE_LIMITS'), {}) || {};
+
+  configured[limitClass] = { capacity: capacity, perMinute: perMinute };
+  scriptProperties.setProperty('RATE_LIMITS', JSON.stringify(configured));
+
+  info('Rate limit updated', { limitClass: limitClass, capacity: capacity, perMinute: perMinute });
+}
+
+/**
+ * Count a request against a key's daily usage
+ * Counters live in the script cache and are flushed to script properties at most
+ * once a minute so they survive cache eviction without a property write per request.
+ * @param {string} keyId - API key ID
+ * @param {string} limitClass - Route class
+ * @param {boolean} limited - True if the request was rejected with 429
+ */
+function recordApiUsage(keyId, limitClass, limited) {
+  const cache = CacheService.getScriptCache();
+  const usage = getApiUsage(keyId);
+
+  usage.requests++;
+  usage.byClass[limitClass] = (usage.byClass[limitClass] || 0) + 1;
+  if (limited) {
+    usage.limited++;
+  }
+  usage.lastRequest = new Date().toISOString();
+
+  const now = Date.now();
+  if (now - (usage.flushedAt || 0) >= API_USAGE_FLUSH_INTERVAL_MS) {
+    usage.flushedAt = now;
+    PropertiesService.getScriptProperties()
+      .setProperty(API_USAGE_PROPERTY_PREFIX + keyId, JSON.stringify(usage));
+  }
+
+  cache.put(API_USAGE_CACHE_PREFIX + keyId, JSON.stringify(usage), RATE_CACHE_TTL_SECONDS);
+}
+
+/**
+ * Get today's usage counters for a key
+ * @param {string} keyId - API key ID
+ * @returns {Object} {date, requests, limited, byClass, lastRequest, flushedAt}
+ */
+function getApiUsage(keyId) {
+  const today = new Date().toISOString().slice(0, 10);
+
+  const usage = safeJsonParse(CacheService.getScriptCache().get(API_USAGE_CACHE_PREFIX + keyId), null) ||
+    safeJsonParse(PropertiesService.getScriptProperties().getProperty(API_USAGE_PROPERTY_PREFIX + keyId), null);
+
+  if (!usage || usage.date !== today) {
+    return { date: today, requests: 0, limited: 0, byClass: {}, lastRequest: usage ? usage.lastRequest : null, flushedAt: 0 };
+  }
+
+  return usage;
+}
+
+/**
+ * Get today's usage for every key, busiest first
+ * @returns {Array<Object>} Usage entries with key id and name
+ */
+function getAllApiUsage() {
+  const keys = listApiKeys().map(record => ({ id: record.id, name: record.name }));
+  keys.push({ id: 'legacy', name: 'Legacy shared key' });
+
+  return keys
+    .map(key => {
+      const usage = getApiUsage(key.id);
+      return {
+        keyId: key.id,
+        name: key.name,
+        date: usage.date,
+        requests: usage.requests,
+        limited: usage.limited,
+        byClass: usage.byClass,
+        lastRequest: usage.lastRequest
+      };
+    })
+    .filter(usage => usage.requests > 0 || usage.lastRequest)
+    .sort((a, b) => b.requests - a.requests);
+}
+
+/**
+ * Menu: configure rate limits per route class
+ */
+function configureRateLimits() {
+  const ui = SpreadsheetApp.getUi();
+  const limits = getRateLimits();
+
+  const current = Object.entries(limits)
+    .map(([limitClass, limit]) => `${limitClass}: burst ${limit.capacity}, ${limit.perMinute}/min`)
+    .join('\n');
+
+  const result = ui.prompt(
+    'Configure Rate Limits',
+    `Enter CLASS=BURST/PER_MINUTE, e.g. query=10/10\n\nClasses: read (single task, status), query (task lists, history), write (all POST)\n\nCurrent limits:\n${current}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+
+  const match = result.getResponseText().trim().match(/^(\w+)\s*=\s*(\d+)\s*\/\s*(\d+(?:\.\d+)?)$/);
+
+  if (!match) {
+    ui.alert('Error', 'Expected format CLASS=BURST/PER_MINUTE, e.g. query=10/10', ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    setRateLimit(match[1], parseInt(match[2]), parseFloat(match[3]));
+    ui.alert('Success', `Rate limit for ${match[1]} set to burst ${match[2]}, ${match[3]}/min`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
@@ -36,6 +36,18 @@ function errorResponse(error) {
   if (error instanceof ValidationError) {
     response.error.type = 'validation';
     response.error.field = error.details?.field;
+  } else if (error instanceof TransitionError) {
+    response.error.type = 'transition';
+    response.error.statusCode = error.statusCode;
+    response.error.from = error.details?.from;
+    response.error.to = error.details?.to;
+    response.error.allowedTransitions = error.details?.allowed || [];
+  } else if (error instanceof RateLimitError) {
+    response.error.type = 'rate_limit';
+    response.error.statusCode = error.statusCode;
+    response.error.limitClass = error.details?.limitClass;
+    response.error.retryAfterSeconds = error.details?.retryAfterSeconds;
+    response.error.retryAt = new Date(Date.now() + error.details?.retryAfterSeconds * 1000).toISOString();
   } else if (error instanceof ApiError) {
     response.error.type = 'api';
     response.error.statusCode = error.statusCode;
@@ -84,23 +96,41 @@ function handleApiError(err) {
  * @returns {Object} Paginated response
  */
 function paginatedResponse(items, page, limit, total) {
-  const totalPages = Math.ceil(total / limit);
-  
   return {
     success: true,
     data: items,
-    pagination: {
-      page: page,
-      limit: limit,
-      total: total,
-      totalPages: totalPages,
-      hasNext: page < totalPages,
-      hasPrev: page > 1
-    },
+    pagination: buildPagination(page, limit, total),
     timestamp: new Date().toISOString()
   };
 }
 
+/**
+ * Build pagination metadata
+ * @param {number|null} page - Current page (null when paging by cursor)
+ * @param {number} limit - Items per page
+ * @param {number} total - Total matching items
+ * @param {string|null} nextCursor - Cursor for the next page (cursor paging only)
+ * @returns {Object} Pagination metadata
+ */
+function buildPagination(page, limit, total, nextCursor = undefined) {
+  const totalPages = Math.ceil(total / limit);
+  const pagination = {
+    page: page,
+    limit: limit,
+    total: total,
+    totalPages: totalPages,
+    hasNext: page !== null ? page < totalPages : Boolean(nextCursor),
+    hasPrev: page !== null ? page > 1 : true
+  };
+  
+  if (nextCursor !== undefined) {
+    pagination.nextCursor = nextCursor;
+    pagination.hasNext = Boolean(nextCursor);
+  }
+  
+  return pagination;
+}
+
 /**
  * Format task for API response
  * @param {Array} row - Sheet row data
@@ -141,6 +171,27 @@ function formatTaskResponse(row, rowIndex, columnOrder) {
   return task;
 }
 
+/**
+ * Collect reviewer feedback from a task's revision history, oldest first
+ * @param {Array<Object>} history - Revision entries from getRevisionHistory()
+ * @param {string} agentEmail - Only feedback on this agent's work (optional)
+ * @returns {Array<Object>} {revision, agentEmail, reviewedBy, reviewedAt, reviewScore, reason, feedback}
+ */
+function getTaskFeedback(history, agentEmail = null) {
+  return history
+    .filter(entry => entry.feedback || (!entry.type && entry.reason))
+    .filter(entry => !agentEmail || entry.agentEmail === agentEmail)
+    .map(entry => ({
+      revision: entry.revision,
+      agentEmail: entry.agentEmail || null,
+      reviewedBy: entry.reviewedBy || entry.requestedBy || null,
+      reviewedAt: entry.reviewedAt || entry.requestedAt || null,
+      reviewScore: entry.reviewScore !== undefined ? entry.reviewScore : null,
+      reason: entry.reason || null,
+      feedback: entry.feedback || null
+    }));
+}
+
 /**
  * Create batch response
  * @param {Array} results - Batch operation results
@@ -237,6 +288,7 @@ function formatTaskWithExportInfo(task) {
       reviewer: task.reviewerEmail || null,
       reviewTime: task.reviewTime || null,
       isPassed: task.reviewStatus === REVIEW_STATUS_VALUES.PASSED,
+      isAutoPassed: task.reviewStatus === REVIEW_STATUS_VALUES.AUTO_PASSED,
       isFailed: task.reviewStatus === REVIEW_STATUS_VALUES.FAILED,
       isPending: task.reviewStatus === REVIEW_STATUS_VALUES.PENDING
     };
@@ -0,0 +1,190 @@
+/**
+ * HMAC request signing
+ * Optional signed-request mode with timestamp and nonce replay protection
+ */
+
+const DEFAULT_SIGNATURE_MAX_SKEW_SECONDS = 300;
+const SIGNATURE_NONCE_CACHE_PREFIX = 'sig_nonce_';
+
+/**
+ * Check whether a request carries signature parameters
+ * Signature parameters travel in the query string so the POST body can be hashed as sent.
+ * @param {Object} request - Request object
+ * @returns {boolean} True if the request is signed
+ */
+function isSignedRequest(request) {
+  return Boolean(request.params && request.params.signature);
+}
+
+/**
+ * Verify a signed request and return the signing key's record
+ * @param {Object} request - Request object
+ * @returns {Object} API key record
+ * @throws {ApiError} 401 on any signature, timestamp or nonce failure
+ */
+function verifySignedRequest(request) {
+  const params = request.params;
+
+  ['keyId', 'signatureTimestamp', 'nonce', 'signature'].forEach(field => {
+    if (!params[field]) {
+      throw new ApiError(`Signed request missing ${field}`, 401);
+    }
+  });
+
+  const record = listApiKeys().find(r => r.id === params.keyId);
+
+  if (!record || !record.signingSecret) {
+    throw new ApiError('Unknown signing key or signing not enabled for key', 401);
+  }
+
+  // Reject requests outside the allowed clock-skew window
+  const maxSkewSeconds = getSignatureMaxSkewSeconds();
+  const requestTime = parseInt(params.signatureTimestamp);
+  const nowSeconds = Math.floor(Date.now() / 1000);
+
+  if (isNaN(requestTime) || Math.abs(nowSeconds - requestTime) > maxSkewSeconds) {
+    throw new ApiError(
+      `Request timestamp outside allowed window of ${maxSkewSeconds} seconds`,
+      401
+    );
+  }
+
+  const expected = computeRequestSignature(
+    record.signingSecret,
+    request.method,
+    request.path,
+    params.signatureTimestamp,
+    params.nonce,
+    request.rawBody || ''
+  );
+
+  if (!constantTimeEquals(expected, String(params.signature).toLowerCase())) {
+    throw new ApiError('Invalid request signature', 401);
+  }
+
+  // Only remember nonces of correctly signed requests
+  consumeSignatureNonce(record.id, params.nonce, maxSkewSeconds);
+
+  return record;
+}
+
+/**
+ * Compute the hex HMAC-SHA256 signature of a request
+ * Canonical string: METHOD\nPATH\nTIMESTAMP\nNONCE\nSHA256(body)
+ * @param {string} secret - Shared signing secret
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ * @param {string|number} timestamp - Unix time in seconds
+ * @param {string} nonce - Unique request nonce
+ * @param {string} rawBody - Raw request body ('' for GET)
+ * @returns {string} Hex signature
+ */
+function computeRequestSignature(secret, method, path, timestamp, nonce, rawBody) {
+  const bodyHash = bytesToHex(Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    rawBody,
+    Utilities.Charset.UTF_8
+  ));
+
+  const canonical = [method, path, String(timestamp), nonce, bodyHash].join('\n');
+
+  return bytesToHex(Utilities.computeHmacSha256Signature(canonical, secret, Utilities.Charset.UTF_8));
+}
+
+/**
+ * Record a nonce, rejecting reuse within the skew window
+ * The check-and-put runs in the script cache without the script lock, so signed
+ * reads never queue behind task writes. Two copies of a request racing within
+ * the same instant can both pass; a replay after that is still rejected.
+ * @param {string} keyId - Signing key ID
+ * @param {string} nonce - Request nonce
+ * @param {number} maxSkewSeconds - Skew window (nonces are kept for twice this long)
+ * @throws {ApiError} 401 if the nonce was already used
+ */
+function consumeSignatureNonce(keyId, nonce, maxSkewSeconds) {
+  const cache = CacheService.getScriptCache();
+  const cacheKey = SIGNATURE_NONCE_CACHE_PREFIX + hashApiKey(`${keyId}:${nonce}`);
+
+  if (cache.get(cacheKey)) {
+    warn('Signed request replay rejected', { keyId: keyId });
+    throw new ApiError('Nonce already used', 401);
+  }
+
+  cache.put(cacheKey, '1', Math.min(maxSkewSeconds * 2, 21600));
+}
+
+/**
+ * Get the allowed clock skew for signed requests
+ * @returns {number} Seconds
+ */
+function getSignatureMaxSkewSeconds() {
+  const configured = PropertiesService.getScriptProperties().getProperty('SIGNATURE_MAX_SKEW_SECONDS');
+  return configured ? parseInt(configured) : DEFAULT_SIGNATURE_MAX_SKEW_SECONDS;
+}
+
+/**
+ * Compare two strings without short-circuiting on the first difference
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+
+  return diff === 0;
+}
+
+/**
+ * Enable signed requests for an API key
+ * Generates a new signing secret; the key then rejects unsigned requests.
+ * @param {string} keyId - Key ID
+ * @returns {Object} {keyId, signingSecret} - secret is only available here
+ */
+function enableRequestSigning(keyId) {
+  const record = listApiKeys().find(r => r.id === keyId);
+
+  if (!record) {
+    throw new ValidationError(`API key not found: ${keyId}`, 'keyId', keyId);
+  }
+
+  record.signingSecret = generateApiKey().replace('tm_', 'sig_');
+  record.requireSignature = true;
+  saveApiKeyRecord(record);
+
+  info('Request signing enabled', { keyId: keyId });
+
+  return { keyId: keyId, signingSecret: record.signingSecret };
+}
+
+/**
+ * Menu: enable request signing for a key
+ */
+function showEnableRequestSigningDialog() {
+  const ui = SpreadsheetApp.getUi();
+
+  const result = ui.prompt(
+    'Enable Request Signing',
+    'Enter the key ID (see List API Keys). Unsigned requests with this key will be rejected afterwards:',
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+
+  try {
+    const enabled = enableRequestSigning(result.getResponseText().trim());
+    ui.alert(
+      'Request Signing Enabled',
+      `Key ID: ${enabled.keyId}\n\nSigning secret: ${enabled.signingSecret}\n\nCopy it now - it cannot be shown again.`,
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
@@ -221,6 +221,234 @@ function validateReworkRequest(data) {
   }
 }
 
+/**
+ * Validate release or reassign request
+ * @param {Object} data - Request data
+ * @param {Array<string>} emailFields - Fields that must be valid emails when present
+ * @throws {ValidationError} If validation fails
+ */
+function validateAssignmentChangeRequest(data, emailFields) {
+  emailFields.forEach(field => {
+    if (data[field] && !isValidEmail(data[field])) {
+      throw new ValidationError(`Invalid ${field} email format`, field, data[field]);
+    }
+  });
+  
+  if (data.reason && data.reason.length > 500) {
+    throw new ValidationError('Reason cannot exceed 500 characters', 'reason', data.reason);
+  }
+}
+
+/**
+ * Validate flag request
+ * @param {Object} data - Flag request data
+ * @throws {ValidationError} If validation fails
+ */
+function validateFlagRequest(data) {
+  const reasons = Object.values(FLAG_REASON_VALUES);
+  
+  if (!reasons.includes(data.reason)) {
+    throw new ValidationError(
+      `Invalid flag reason: ${data.reason}. Must be one of: ${reasons.join(', ')}`,
+      'reason',
+      data.reason
+    );
+  }
+  
+  if (!isValidEmail(data.flaggedBy)) {
+    throw new ValidationError('Invalid flaggedBy email format', 'flaggedBy', data.flaggedBy);
+  }
+  
+  if (data.note && data.note.length > 1000) {
+    throw new ValidationError('Note cannot exceed 1000 characters', 'note', data.note);
+  }
+  
+  if (data.reason === FLAG_REASON_VALUES.OTHER && !data.note) {
+    throw new ValidationError('note is required when reason is other', 'note', data.note);
+  }
+}
+
+/**
+ * Validate unflag request
+ * @param {Object} data - Unflag request data
+ * @throws {ValidationError} If validation fails
+ */
+function validateUnflagRequest(data) {
+  const resolutions = Object.values(FLAG_RESOLUTION_VALUES);
+  
+  if (!resolutions.includes(data.resolution)) {
+    throw new ValidationError(
+      `Invalid resolution: ${data.resolution}. Must be one of: ${resolutions.join(', ')}`,
+      'resolution',
+      data.resolution
+    );
+  }
+  
+  if (!isValidEmail(data.resolvedBy)) {
+    throw new ValidationError('Invalid resolvedBy email format', 'resolvedBy', data.resolvedBy);
+  }
+  
+  if (data.note && data.note.length > 1000) {
+    throw new ValidationError('Note cannot exceed 1000 characters', 'note', data.note);
+  }
+}
+
+/**
+ * Validate dispute request
+ * @param {Object} data - Dispute request data
+ * @throws {ValidationError} If validation fails
+ */
+function validateDisputeRequest(data) {
+  if (!isValidEmail(data.agentEmail)) {
+    throw new ValidationError('Invalid agentEmail format', 'agentEmail', data.agentEmail);
+  }
+  
+  if (!data.comment || String(data.comment).trim().length === 0) {
+    throw new ValidationError('comment is required', 'comment', data.comment);
+  }
+  
+  if (data.comment.length > 1000) {
+    throw new ValidationError('Comment cannot exceed 1000 characters', 'comment', data.comment);
+  }
+}
+
+/**
+ * Validate dispute adjudication request
+ * @param {Object} data - Adjudication request data
+ * @throws {ValidationError} If validation fails
+ */
+function validateAdjudicationRequest(data) {
+  const outcomes = Object.values(DISPUTE_OUTCOME_VALUES);
+  
+  if (!outcomes.includes(data.outcome)) {
+    throw new ValidationError(
+      `Invalid outcome: ${data.outcome}. Must be one of: ${outcomes.join(', ')}`,
+      'outcome',
+      data.outcome
+    );
+  }
+  
+  if (!isValidEmail(data.adjudicatorEmail)) {
+    throw new ValidationError('Invalid adjudicatorEmail format', 'adjudicatorEmail', data.adjudicatorEmail);
+  }
+  
+  if (data.note && data.note.length > 1000) {
+    throw new ValidationError('Note cannot exceed 1000 characters', 'note', data.note);
+  }
+}
+
+/**
+ * Validate and normalize structured review feedback
+ * Annotations point at a moment in the recording (videoTimestamp as seconds,
+ * "mm:ss" or "hh:mm:ss", with videoIndex for multi-video tasks) or at an output file.
+ * @param {Object} feedback - {comment, tags, annotations: [{videoTimestamp, videoIndex, file, note}]}
+ * @returns {Object|null} Normalized feedback, or null when none was sent
+ * @throws {ValidationError} If validation fails
+ */
+function validateReviewFeedback(feedback) {
+  if (feedback === undefined || feedback === null) {
+    return null;
+  }
+  
+  if (typeof feedback !== 'object' || Array.isArray(feedback)) {
+    throw new ValidationError('feedback must be an object', 'feedback', feedback);
+  }
+  
+  const comment = feedback.comment ? String(feedback.comment) : '';
+  if (comment.length > 2000) {
+    throw new ValidationError('Feedback comment cannot exceed 2000 characters', 'feedback.comment', comment);
+  }
+  
+  const tags = feedback.tags || [];
+  const allowedTags = Object.values(FEEDBACK_TAG_VALUES);
+  if (!Array.isArray(tags) || tags.some(tag => !allowedTags.includes(tag))) {
+    throw new ValidationError(
+      `Feedback tags must be a list of: ${allowedTags.join(', ')}`,
+      'feedback.tags',
+      tags
+    );
+  }
+  
+  const annotations = feedback.annotations || [];
+  if (!Array.isArray(annotations) || annotations.length > 50) {
+    throw new ValidationError('Feedback annotations must be a list of at most 50 items', 'feedback.annotations', annotations);
+  }
+  
+  const allowedFiles = Object.values(FEEDBACK_FILE_VALUES);
+  const normalizedAnnotations = annotations.map((annotation, index) => {
+    const field = `feedback.annotations[${index}]`;
+    const hasTimestamp = annotation.videoTimestamp !== undefined && annotation.videoTimestamp !== null;
+    
+    if (!hasTimestamp && !annotation.file) {
+      throw new ValidationError('Annotation needs a videoTimestamp or a file', field, annotation);
+    }
+    
+    if (annotation.file && !allowedFiles.includes(annotation.file)) {
+      throw new ValidationError(`Annotation file must be one of: ${allowedFiles.join(', ')}`, `${field}.file`, annotation.file);
+    }
+    
+    if (annotation.note && String(annotation.note).length > 500) {
+      throw new ValidationError('Annotation note cannot exceed 500 characters', `${field}.note`, annotation.note);
+    }
+    
+    const normalized = {
+      note: annotation.note ? String(annotation.note) : ''
+    };
+    
+    if (hasTimestamp) {
+      const seconds = parseVideoTimestamp(annotation.videoTimestamp);
+      if (seconds === null) {
+        throw new ValidationError('videoTimestamp must be seconds, mm:ss or hh:mm:ss', `${field}.videoTimestamp`, annotation.videoTimestamp);
+      }
+      normalized.videoSeconds = seconds;
+      normalized.videoIndex = parseInt(annotation.videoIndex) || 0;
+    }
+    
+    if (annotation.file) {
+      normalized.file = annotation.file;
+    }
+    
+    return normalized;
+  });
+  
+  if (!comment && tags.length === 0 && normalizedAnnotations.length === 0) {
+    throw new ValidationError('feedback needs a comment, tags or annotations', 'feedback', feedback);
+  }
+  
+  return {
+    comment: comment,
+    tags: tags,
+    annotations: normalizedAnnotations
+  };
+}
+
+/**
+ * Parse a video timestamp into seconds
+ * @param {number|string} value - Seconds, "mm:ss" or "hh:mm:ss"
+ * @returns {number|null} Seconds, or null if invalid
+ */
+function parseVideoTimestamp(value) {
+  if (typeof value === 'number') {
+    return value >= 0 ? value : null;
+  }
+  
+  const match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2}(?:\.\d+)?)$/);
+  if (!match) {
+    const seconds = Number(value);
+    return String(value).trim() !== '' && !isNaN(seconds) && seconds >= 0 ? seconds : null;
+  }
+  
+  const hours = parseInt(match[1] || '0');
+  const minutes = parseInt(match[2]);
+  const seconds = parseFloat(match[3]);
+  
+  if (seconds >= 60 || (match[1] && minutes >= 60)) {
+    return null;
+  }
+  
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
 /**
  * Validate revision history format
  * @param {string} historyJson - JSON string of revision history
@@ -233,8 +461,9 @@ function isValidRevisionHistory(historyJson) {
       return false;
     }
     
-    // Validate each revision entry
+    // Validate each revision entry (typed entries are annotations, not work revisions)
     for (const revision of history) {
+      if (revision.type) continue;
       if (!revision.revision || !revision.agentEmail || !revision.completedAt) {
         return false;
       }
@@ -252,13 +481,20 @@ function isValidRevisionHistory(historyJson) {
  * @throws {ValidationError} If validation fails
  */
 function validateReviewRequest(data) {
+  const hasScore = data.score !== undefined && data.score !== null;
+  
+  // Rubric reviews send per-criterion scores; the aggregate is computed server-side
+  if (data.criteria !== undefined && hasScore) {
+    throw new ValidationError('Send either score or criteria, not both', 'score', data.score);
+  }
+  
   // Score validation
-  if (data.score === undefined || data.score === null) {
-    throw new ValidationError('score is required', 'score', data.score);
+  if (data.criteria === undefined && !hasScore) {
+    throw new ValidationError('score or criteria is required', 'score', data.score);
   }
   
   const score = parseFloat(data.score);
-  if (isNaN(score) || score < 0 || score > 100) {
+  if (hasScore && (isNaN(score) || score < 0 || score > 100)) {
     throw new ValidationError('score must be a number between 0 and 100', 'score', data.score);
   }
   
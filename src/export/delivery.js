@@ -46,6 +46,7 @@ function getDeliverableBatches() {
     // Find all tasks with export batch IDs and deliverable statuses
     for (let i = 1; i < data.length; i++) {
       const row = data[i];
+      if (isTaskRowDeleted(row)) continue;
       const exportBatchId = row[columns.EXPORT_BATCH_ID];
       const exportStatus = row[columns.EXPORT_STATUS];
       
@@ -84,6 +84,7 @@ function getTasksByExportStatus(status, exportBatchId = null) {
   
   for (let i = 1; i < data.length; i++) {
     const row = data[i];
+    if (isTaskRowDeleted(row)) continue;
     let include = true;
     
     // Filter by export status
@@ -156,7 +157,8 @@ function getExportStatusSummary() {
     };
   }
   
-  const data = sheet.getRange(2, 1, lastRow - 1, COLUMN_ORDER.length).getValues();
+  const data = sheet.getRange(2, 1, lastRow - 1, COLUMN_ORDER.length).getValues()
+    .filter(row => !isTaskRowDeleted(row));
   
   const summary = {
     totalTasks: data.length,
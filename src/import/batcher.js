@@ -173,6 +173,7 @@ function performBatchImport(importFolderId, productionFolderId, batchName, batch
       const lastRow = sheet.getLastRow();
       sheet.getRange(lastRow + 1, 1, sheetRows.length, COLUMN_ORDER.length)
         .setValues(sheetRows);
+      invalidateTaskIndex();
       
       info('Sheet records created', { count: sheetRows.length });
     }
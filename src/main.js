@@ -13,6 +13,16 @@ function onInstall() {
   onOpen();
 }
 
+/**
+ * Drop the task index when the tasks sheet is edited by hand
+ * @param {Object} e - Edit event
+ */
+function onEdit(e) {
+  if (e && e.range && e.range.getSheet().getName() === SHEET_NAME) {
+    invalidateTaskIndex();
+  }
+}
+
 /**
  * Get all functions from a module
  * Note: In Google Apps Script, we can't use modules, 
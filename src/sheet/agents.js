@@ -124,6 +124,26 @@ function setAgentGroups(email, groups) {
   });
 }
 
+/**
+ * Remove an agent row
+ * @param {string} email - Agent email
+ * @returns {boolean} True if a row was removed
+ */
+function removeAgent(email) {
+  const sheet = getAgentsSheet();
+  const data = sheet.getDataRange().getValues();
+  
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (data[i][0] === email) {
+      sheet.deleteRow(i + 1);
+      info('Agent removed', { email: email });
+      return true;
+    }
+  }
+  
+  return false;
+}
+
 /**
  * Get all agents with their groups
  * @returns {Array} Array of {email, groups} objects
@@ -169,4 +189,32 @@ function getAgentsSheet() {
 function canAgentWorkOnGroup(email, group) {
   const agentGroups = getAgentGroups(email);
   return agentGroups.includes(group);
+}
+
+/**
+ * Get admin emails allowed to override group permissions
+ * @returns {Array<string>} Admin emails
+ */
+function getAdminEmails() {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const admins = scriptProperties.getProperty('ADMIN_EMAILS');
+  
+  if (!admins) {
+    return [];
+  }
+  
+  return admins.split(',').map(e => e.trim()).filter(e => e);
+}
+
+/**
+ * Check if email belongs to an admin
+ * @param {string} email - Email to check
+ * @returns {boolean} True if email is listed in ADMIN_EMAILS
+ */
+function isAdminEmail(email) {
+  if (!email) {
+    return false;
+  }
+  
+  return getAdminEmails().includes(email);
 }
\ No newline at end of file
@@ -0,0 +1,496 @@
+/**
+ * Task archive
+ * Moves delivered tasks out of the live Tasks sheet into one archive spreadsheet
+ * per delivery month (same COLUMN_ORDER schema). The Archive Index sheet in the live
+ * spreadsheet records where each archived task lives, so reads can fall back to it.
+ * Revision history stays in the Revisions sheet.
+ */
+
+const DEFAULT_ARCHIVE_AFTER_DAYS = 30;
+
+const ARCHIVE_INDEX_SHEET_NAME = 'Archive Index';
+const ARCHIVE_INDEX_HEADERS = [
+  'Task ID', 'Archive Key', 'Spreadsheet ID', 'Agent Email', 'Export Time', 'Archived At'
+];
+
+/**
+ * Time-driven entry point: archive delivered tasks past the configured age
+ * Install with installTaskArchiveTrigger().
+ * @returns {Object} Run summary from archiveDeliveredTasks()
+ */
+function runTaskArchive() {
+  return archiveDeliveredTasks(getArchiveAfterDays());
+}
+
+/**
+ * Move delivered tasks older than N days into their monthly archive spreadsheets
+ * Archive rows are written before live rows are deleted, so a failed run leaves
+ * duplicates rather than losing tasks; tasks already in the index are not copied again.
+ * @param {number} olderThanDays - Minimum days since delivery (exportTime)
+ * @returns {Object} {archived, byMonth}
+ * @throws {ApiError} 503 if the live or an archive spreadsheet needs schema migrations
+ */
+function archiveDeliveredTasks(olderThanDays = getArchiveAfterDays()) {
+  return withScriptLock(() => {
+    assertSchemaCurrent();
+
+    const sheet = getTasksSheet();
+    const data = sheet.getDataRange().getValues();
+    const cutoff = Date.now() - olderThanDays * 86400000;
+
+    const columns = {
+      taskId: getColumnIndex('TASK_ID') - 1,
+      agentEmail: getColumnIndex('AGENT_EMAIL') - 1,
+      exportStatus: getColumnIndex('EXPORT_STATUS') - 1,
+      exportTime: getColumnIndex('EXPORT_TIME') - 1
+    };
+
+    const alreadyArchived = new Set(readArchiveIndex().map(entry => entry.taskId));
+    const byMonth = {};
+    const liveRows = [];
+
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const exportTime = parseDate(row[columns.exportTime]);
+
+      // Deleted tasks stay in place so they can still be undone
+      if (isTaskRowDeleted(row)) continue;
+
+      if (row[columns.exportStatus] !== EXPORT_STATUS_VALUES.DELIVERED || !exportTime ||
+          exportTime.getTime() >= cutoff) {
+        continue;
+      }
+
+      liveRows.push(i + 1);
+
+      if (!alreadyArchived.has(row[columns.taskId])) {
+        const key = getArchiveKey(exportTime);
+        (byMonth[key] = byMonth[key] || []).push(row.slice(0, COLUMN_ORDER.length));
+      }
+    }
+
+    if (liveRows.length === 0) {
+      return { archived: 0, byMonth: {} };
+    }
+
+    const archivedAt = new Date().toISOString();
+    const indexRows = [];
+
+    Object.entries(byMonth).forEach(([key, rows]) => {
+      const archiveSheet = getArchiveSheet(key, true);
+      assertSchemaCurrent(archiveSheet.getParent());
+      archiveSheet.getRange(archiveSheet.getLastRow() + 1, 1, rows.length, COLUMN_ORDER.length)
+        .setValues(rows);
+
+      const spreadsheetId = archiveSheet.getParent().getId();
+      rows.forEach(row => {
+        indexRows.push([
+          row[columns.taskId],
+          key,
+          spreadsheetId,
+          row[columns.agentEmail],
+          parseDate(row[columns.exportTime]).toISOString(),
+          archivedAt
+        ]);
+      });
+    });
+
+    if (indexRows.length > 0) {
+      const indexSheet = initializeArchiveIndexSheet();
+      indexSheet.getRange(indexSheet.getLastRow() + 1, 1, indexRows.length, ARCHIVE_INDEX_HEADERS.length)
+        .setValues(indexRows);
+    }
+
+    deleteSheetRows(sheet, liveRows);
+    invalidateTaskIndex();
+
+    const summary = {
+      archived: liveRows.length,
+      byMonth: Object.fromEntries(Object.entries(byMonth).map(([key, rows]) => [key, rows.length]))
+    };
+
+    info('Delivered tasks archived', { olderThanDays: olderThanDays, archived: summary.archived, byMonth: summary.byMonth });
+
+    return summary;
+  });
+}
+
+/**
+ * Get an archived task
+ * @param {string} taskId - Task ID
+ * @returns {Object|null} Task with `archived: true` and `archiveKey`, or null
+ */
+function getArchivedTask(taskId) {
+  const entry = findArchiveIndexEntry(taskId);
+
+  if (!entry) {
+    return null;
+  }
+
+  const located = findArchivedTaskRow(entry);
+  return located ? formatArchivedTask(located.row, located.rowIndex, entry) : null;
+}
+
+/**
+ * Get all archived tasks last assigned to an agent
+ * @param {string} agentEmail - Agent email
+ * @returns {Array<Object>} Tasks with `archived: true` and `archiveKey`
+ */
+function getArchivedTasksByAgent(agentEmail) {
+  const entries = readArchiveIndex().filter(entry => entry.agentEmail === agentEmail);
+  const bySpreadsheet = {};
+
+  entries.forEach(entry => {
+    (bySpreadsheet[entry.spreadsheetId] = bySpreadsheet[entry.spreadsheetId] || []).push(entry);
+  });
+
+  const tasks = [];
+  const taskIdColumn = getColumnIndex('TASK_ID') - 1;
+
+  Object.values(bySpreadsheet).forEach(group => {
+    const archiveSheet = openArchiveSheet(group[0].spreadsheetId);
+    if (!archiveSheet) return;
+
+    const wanted = {};
+    group.forEach(entry => {
+      wanted[entry.taskId] = entry;
+    });
+
+    archiveSheet.getDataRange().getValues().forEach((row, i) => {
+      if (i > 0 && wanted[row[taskIdColumn]]) {
+        tasks.push(formatArchivedTask(row, i + 1, wanted[row[taskIdColumn]]));
+      }
+    });
+  });
+
+  return tasks;
+}
+
+/**
+ * Check whether a task is in the archive
+ * @param {string} taskId - Task ID
+ * @returns {boolean} True if archived
+ */
+function isTaskArchived(taskId) {
+  return findArchiveIndexEntry(taskId) !== null;
+}
+
+/**
+ * Move an archived task back into the live Tasks sheet
+ * @param {string} taskId - Task ID
+ * @returns {Object} Restored task
+ * @throws {ApiError} 404 if the task is not archived, 409 if it is already live,
+ *   503 if its archive spreadsheet needs schema migrations
+ */
+function restoreArchivedTask(taskId) {
+  return withScriptLock(() => {
+    if (findTaskRowIndex(taskId) !== -1) {
+      throw new ApiError(`Task ${taskId} is already in the live sheet`, 409);
+    }
+
+    const entry = findArchiveIndexEntry(taskId);
+    const located = entry ? findArchivedTaskRow(entry) : null;
+
+    if (!located) {
+      throw new ApiError(`Archived task not found: ${taskId}`, 404);
+    }
+
+    assertSchemaCurrent(located.sheet.getParent());
+
+    const sheet = getTasksSheet();
+    const row = located.row.slice(0, COLUMN_ORDER.length);
+
+    sheet.appendRow(row);
+    const rowIndex = sheet.getLastRow();
+    indexTaskRow(rowIndex, row);
+
+    // Live row first, then drop the archive copy and its index entry
+    located.sheet.deleteRow(located.rowIndex);
+    initializeArchiveIndexSheet().deleteRow(entry.row);
+
+    recordAuditChange(taskId, new Array(COLUMN_ORDER.length).fill(''), row);
+
+    info('Archived task restored', { taskId: taskId, archiveKey: entry.archiveKey, rowIndex: rowIndex });
+
+    return formatTaskResponse(row, rowIndex, COLUMN_ORDER);
+  });
+}
+
+/**
+ * Archive key for a delivery time
+ * @param {Date} date - Delivery time
+ * @returns {string} YYYY-MM
+ */
+function getArchiveKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Get the Tasks sheet of a monthly archive spreadsheet
+ * Archive spreadsheet IDs are kept in the ARCHIVE_SPREADSHEETS property.
+ * @param {string} key - Archive key (YYYY-MM)
+ * @param {boolean} create - Create the spreadsheet if it does not exist
+ * @returns {Sheet|null} Archive sheet
+ */
+function getArchiveSheet(key, create = false) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const spreadsheets = safeJsonParse(scriptProperties.getProperty('ARCHIVE_SPREADSHEETS'), {}) || {};
+
+  if (spreadsheets[key]) {
+    return openArchiveSheet(spreadsheets[key]);
+  }
+
+  if (!create) {
+    return null;
+  }
+
+  const archive = SpreadsheetApp.create(`${SpreadsheetApp.getActiveSpreadsheet().getName()} Archive ${key}`);
+  const sheet = archive.getSheets()[0].setName(SHEET_NAME);
+  setupHeaders(sheet);
+  sheet.setFrozenRows(1);
+  setSchemaVersion(archive, getCurrentSchemaVersion());
+
+  spreadsheets[key] = archive.getId();
+  scriptProperties.setProperty('ARCHIVE_SPREADSHEETS', JSON.stringify(spreadsheets));
+
+  info('Archive spreadsheet created', { archiveKey: key, spreadsheetId: archive.getId() });
+
+  return sheet;
+}
+
+/**
+ * Open the Tasks sheet of an archive spreadsheet
+ * @param {string} spreadsheetId - Archive spreadsheet ID
+ * @returns {Sheet|null} Archive sheet, or null if it cannot be opened
+ */
+function openArchiveSheet(spreadsheetId) {
+  try {
+    return SpreadsheetApp.openById(spreadsheetId).getSheetByName(SHEET_NAME);
+  } catch (err) {
+    error('Archive spreadsheet unavailable', { spreadsheetId: spreadsheetId, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Find a task's row in its archive spreadsheet
+ * @param {Object} entry - Archive index entry
+ * @returns {Object|null} {sheet, rowIndex, row}
+ */
+function findArchivedTaskRow(entry) {
+  const archiveSheet = openArchiveSheet(entry.spreadsheetId);
+
+  if (!archiveSheet || archiveSheet.getLastRow() <= 1) {
+    return null;
+  }
+
+  const taskIds = archiveSheet.getRange(2, getColumnIndex('TASK_ID'), archiveSheet.getLastRow() - 1, 1).getValues();
+  const position = taskIds.findIndex(row => row[0] === entry.taskId);
+
+  if (position === -1) {
+    return null;
+  }
+
+  const rowIndex = position + 2;
+  return {
+    sheet: archiveSheet,
+    rowIndex: rowIndex,
+    row: archiveSheet.getRange(rowIndex, 1, 1, COLUMN_ORDER.length).getValues()[0]
+  };
+}
+
+/**
+ * Format an archive row as a task
+ * @param {Array} row - Row values
+ * @param {number} rowIndex - Row in the archive sheet
+ * @param {Object} entry - Archive index entry
+ * @returns {Object} Task with `archived` and `archiveKey`
+ */
+function formatArchivedTask(row, rowIndex, entry) {
+  return Object.assign(formatTaskResponse(row, rowIndex, COLUMN_ORDER), {
+    archived: true,
+    archiveKey: entry.archiveKey
+  });
+}
+
+/**
+ * Find a task in the archive index
+ * @param {string} taskId - Task ID
+ * @returns {Object|null} Index entry
+ */
+function findArchiveIndexEntry(taskId) {
+  return readArchiveIndex().find(entry => entry.taskId === taskId) || null;
+}
+
+/**
+ * Read the archive index
+ * @returns {Array<Object>} {taskId, archiveKey, spreadsheetId, agentEmail, exportTime, archivedAt, row}
+ */
+function readArchiveIndex() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(ARCHIVE_INDEX_SHEET_NAME);
+
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return [];
+  }
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, ARCHIVE_INDEX_HEADERS.length).getValues()
+    .map((row, i) => ({
+      taskId: row[0],
+      archiveKey: row[1],
+      spreadsheetId: row[2],
+      agentEmail: row[3],
+      exportTime: row[4],
+      archivedAt: row[5],
+      row: i + 2
+    }));
+}
+
+/**
+ * Initialize the archive index sheet if needed
+ * @returns {Sheet} Index sheet
+ */
+function initializeArchiveIndexSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(ARCHIVE_INDEX_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(ARCHIVE_INDEX_SHEET_NAME);
+
+    const headerRange = sheet.getRange(1, 1, 1, ARCHIVE_INDEX_HEADERS.length);
+    headerRange.setValues([ARCHIVE_INDEX_HEADERS]);
+    headerRange.setBackground(HEADER_STYLE.background);
+    headerRange.setFontColor(HEADER_STYLE.fontColor);
+    headerRange.setFontWeight(HEADER_STYLE.fontWeight);
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Delete rows, grouping adjacent rows into one call
+ * @param {Sheet} sheet - Sheet
+ * @param {Array<number>} rowIndexes - Sorted row indexes (1-based)
+ */
+function deleteSheetRows(sheet, rowIndexes) {
+  // Bottom-up so earlier row numbers stay valid
+  let end = rowIndexes.length - 1;
+
+  while (end >= 0) {
+    let start = end;
+    while (start > 0 && rowIndexes[start - 1] === rowIndexes[start] - 1) {
+      start--;
+    }
+
+    sheet.deleteRows(rowIndexes[start], end - start + 1);
+    end = start - 1;
+  }
+}
+
+/**
+ * Get how many days after delivery tasks are archived
+ * @returns {number} Days
+ */
+function getArchiveAfterDays() {
+  const configured = parseInt(
+    PropertiesService.getScriptProperties().getProperty('ARCHIVE_AFTER_DAYS')
+  );
+
+  return configured > 0 ? configured : DEFAULT_ARCHIVE_AFTER_DAYS;
+}
+
+/**
+ * Install the daily archive trigger (replaces any existing one)
+ */
+function installTaskArchiveTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'runTaskArchive')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+  ScriptApp.newTrigger('runTaskArchive')
+    .timeBased()
+    .everyDays(1)
+    .atHour(2)
+    .create();
+
+  info('Task archive trigger installed');
+}
+
+/**
+ * Menu: configure the archive age and enable the daily job
+ */
+function configureTaskArchive() {
+  const ui = SpreadsheetApp.getUi();
+
+  const result = ui.prompt(
+    'Configure Task Archive',
+    `Enter how many days after delivery tasks move to the monthly archive spreadsheets. ` +
+    `The daily archive job is installed on save.\n\nCurrent: ${getArchiveAfterDays()} days`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+
+  const days = parseInt(result.getResponseText().trim());
+
+  if (isNaN(days) || days < 1 || days > 3650) {
+    ui.alert('Error', 'Days must be a number between 1 and 3650', ui.ButtonSet.OK);
+    return;
+  }
+
+  PropertiesService.getScriptProperties().setProperty('ARCHIVE_AFTER_DAYS', days.toString());
+  installTaskArchiveTrigger();
+
+  info('Task archive age updated', { days: days });
+
+  ui.alert('Success', `Delivered tasks are archived ${days} days after delivery. Daily archive job is active.`, ui.ButtonSet.OK);
+}
+
+/**
+ * Menu: archive delivered tasks now
+ */
+function showArchiveDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const days = getArchiveAfterDays();
+
+  const confirm = ui.alert(
+    'Archive Delivered Tasks',
+    `Move tasks delivered more than ${days} days ago into the monthly archive spreadsheets?`,
+    ui.ButtonSet.YES_NO
+  );
+
+  if (confirm !== ui.Button.YES) return;
+
+  try {
+    const summary = archiveDeliveredTasks(days);
+    const months = Object.entries(summary.byMonth)
+      .map(([key, count]) => `${key}: ${count}`)
+      .join('\n');
+
+    ui.alert('Archive Complete', `Archived ${summary.archived} tasks.${months ? '\n\n' + months : ''}`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', 'Archive failed: ' + e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu: restore an archived task to the live sheet
+ */
+function showRestoreArchivedTaskDialog() {
+  const ui = SpreadsheetApp.getUi();
+
+  const result = ui.prompt(
+    'Restore Archived Task',
+    'Enter the task ID to move back into the live Tasks sheet:',
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+
+  try {
+    const task = restoreArchivedTask(result.getResponseText().trim());
+    ui.alert('Success', `Task ${task.folderName} restored`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
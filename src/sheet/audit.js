@@ -0,0 +1,381 @@
+/**
+ * API audit trail
+ * Durable who/what/before/after log of mutating API calls, rotated into archive sheets
+ */
+
+const AUDIT_SHEET_NAME = '_AuditLog';
+const AUDIT_ARCHIVE_PREFIX = '_AuditLog_Archive_';
+const AUDIT_MAX_ROWS = 20000;
+const AUDIT_MAX_VALUE_LENGTH = 2000;
+
+const AUDIT_COLUMNS = {
+  TIMESTAMP: 'Timestamp',
+  REQUEST_ID: 'Request ID',
+  KEY_ID: 'Key ID',
+  KEY_NAME: 'Key Name',
+  OWNER: 'Owner',
+  ENDPOINT: 'Endpoint',
+  TASK_ID: 'Task ID',
+  CHANGED_FIELDS: 'Changed Fields',
+  CHANGES: 'Changes',
+  OUTCOME: 'Outcome',
+  ERROR: 'Error'
+};
+
+const AUDIT_COLUMN_ORDER = [
+  'TIMESTAMP', 'REQUEST_ID', 'KEY_ID', 'KEY_NAME', 'OWNER', 'ENDPOINT',
+  'TASK_ID', 'CHANGED_FIELDS', 'CHANGES', 'OUTCOME', 'ERROR'
+];
+
+const AUDIT_OUTCOMES = {
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  ERROR: 'error'
+};
+
+/**
+ * Audit context for the current API request (null outside audited requests)
+ */
+let activeAuditContext = null;
+
+/**
+ * Run a mutating API handler with an audit context and write its audit rows
+ * Task writes made by the handler are captured via recordAuditChange().
+ * @param {Object} request - Request object (with auth)
+ * @param {Function} operation - Handler to run
+ * @returns {*} Handler result
+ */
+function withAuditTrail(request, operation) {
+  // Nested calls (e.g. claim-next reusing assign) share the outer context
+  if (activeAuditContext) {
+    return operation();
+  }
+
+  activeAuditContext = {
+    requestId: generateShortId(),
+    auth: request.auth || {},
+    endpoint: `${request.method} ${request.path}`,
+    entries: []
+  };
+
+  const context = activeAuditContext;
+
+  try {
+    const response = operation();
+
+    // Per-item failures in batch responses never reach updateTaskRecord's write
+    if (response && Array.isArray(response.results)) {
+      response.results
+        .filter(result => !result.success)
+        .forEach(result => context.entries.push({
+          taskId: result.taskId,
+          changes: {},
+          outcome: AUDIT_OUTCOMES.FAILED,
+          error: result.error
+        }));
+    }
+
+    if (context.entries.length === 0) {
+      context.entries.push({
+        taskId: request.body?.taskId || '',
+        changes: {},
+        outcome: AUDIT_OUTCOMES.SUCCESS,
+        error: ''
+      });
+    }
+
+    writeAuditEntries(context);
+    return response;
+  } catch (err) {
+    context.entries.push({
+      taskId: request.body?.taskId || '',
+      changes: {},
+      outcome: AUDIT_OUTCOMES.ERROR,
+      error: err.message
+    });
+
+    writeAuditEntries(context);
+    throw err;
+  } finally {
+    activeAuditContext = null;
+  }
+}
+
+/**
+ * Record a task row change in the active audit context
+ * No-op outside audited API requests.
+ * @param {string} taskId - Task ID
+ * @param {Array} beforeRow - Row values before the write
+ * @param {Array} afterRow - Row values after the write
+ */
+function recordAuditChange(taskId, beforeRow, afterRow) {
+  if (!activeAuditContext) {
+    return;
+  }
+
+  activeAuditContext.entries.push({
+    taskId: taskId,
+    changes: diffTaskRows(beforeRow, afterRow),
+    outcome: AUDIT_OUTCOMES.SUCCESS,
+    error: ''
+  });
+}
+
+/**
+ * Record revision history entries appended to a task in the active audit context
+ * @param {string} taskId - Task ID
+ * @param {Array<Object>} entries - Appended revision entries
+ */
+function recordAuditRevisions(taskId, entries) {
+  if (!activeAuditContext) {
+    return;
+  }
+
+  activeAuditContext.entries.push({
+    taskId: taskId,
+    changes: { revisionHistory: { before: null, after: JSON.stringify(entries) } },
+    outcome: AUDIT_OUTCOMES.SUCCESS,
+    error: ''
+  });
+}
+
+/**
+ * Compute changed fields between two task rows
+ * @param {Array} beforeRow - Row values before
+ * @param {Array} afterRow - Row values after
+ * @returns {Object} Map of camelCase field to {before, after}
+ */
+function diffTaskRows(beforeRow, afterRow) {
+  const changes = {};
+
+  COLUMN_ORDER.forEach((key, index) => {
+    const before = normalizeAuditValue(beforeRow[index]);
+    const after = normalizeAuditValue(afterRow[index]);
+
+    if (before !== after) {
+      const field = key.toLowerCase().replace(/_([a-z])/g, (g) => g[1].toUpperCase());
+      changes[field] = { before: before, after: after };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Normalize a cell value for comparison and storage
+ * @param {*} value - Cell value
+ * @returns {string|number|boolean|null} Comparable value
+ */
+function normalizeAuditValue(value) {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'string' && value.length > AUDIT_MAX_VALUE_LENGTH) {
+    return value.substring(0, AUDIT_MAX_VALUE_LENGTH) + '…';
+  }
+
+  return value;
+}
+
+/**
+ * Append an audit context's entries to the audit sheet
+ * Audit failures are logged but never fail the API request.
+ * @param {Object} context - Audit context
+ */
+function writeAuditEntries(context) {
+  try {
+    const timestamp = new Date().toISOString();
+    const rows = context.entries.map(entry => [
+      timestamp,
+      context.requestId,
+      context.auth.keyId || '',
+      context.auth.name || '',
+      context.auth.owner || '',
+      context.endpoint,
+      entry.taskId || '',
+      Object.keys(entry.changes).join(','),
+      Object.keys(entry.changes).length > 0 ? JSON.stringify(entry.changes) : '',
+      entry.outcome,
+      entry.error || ''
+    ]);
+
+    withScriptLock(() => {
+      const sheet = rotateAuditSheetIfNeeded(initializeAuditSheet(), rows.length);
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, AUDIT_COLUMN_ORDER.length)
+        .setValues(rows);
+    });
+  } catch (err) {
+    error('Failed to write audit entries', {
+      requestId: context.requestId,
+      error: err.message
+    });
+  }
+}
+
+/**
+ * Initialize the audit sheet if needed
+ * @returns {Sheet} Active audit sheet
+ */
+function initializeAuditSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(AUDIT_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(AUDIT_SHEET_NAME);
+    sheet.hideSheet();
+
+    const headers = AUDIT_COLUMN_ORDER.map(key => AUDIT_COLUMNS[key]);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Move a full audit sheet to an archive and start a fresh one
+ * Rows are never deleted; the full sheet is renamed with a timestamp suffix.
+ * @param {Sheet} sheet - Active audit sheet
+ * @param {number} incomingRows - Rows about to be appended
+ * @returns {Sheet} Sheet to append to
+ */
+function rotateAuditSheetIfNeeded(sheet, incomingRows) {
+  if (sheet.getLastRow() - 1 + incomingRows <= AUDIT_MAX_ROWS) {
+    return sheet;
+  }
+
+  const archiveName = AUDIT_ARCHIVE_PREFIX +
+    Utilities.formatDate(new Date(), 'UTC', 'yyyyMMdd_HHmmss');
+
+  sheet.setName(archiveName);
+
+  info('Audit log rotated', { archive: archiveName, rows: sheet.getLastRow() - 1 });
+
+  return initializeAuditSheet();
+}
+
+/**
+ * Get audit sheets, newest first (active sheet, then archives)
+ * @param {boolean} includeArchives - Include archive sheets
+ * @returns {Array<Sheet>} Audit sheets
+ */
+function getAuditSheets(includeArchives) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheets = [];
+
+  const active = ss.getSheetByName(AUDIT_SHEET_NAME);
+  if (active) {
+    sheets.push(active);
+  }
+
+  if (includeArchives) {
+    ss.getSheets()
+      .filter(sheet => sheet.getName().indexOf(AUDIT_ARCHIVE_PREFIX) === 0)
+      .sort((a, b) => b.getName().localeCompare(a.getName()))
+      .forEach(sheet => sheets.push(sheet));
+  }
+
+  return sheets;
+}
+
+/**
+ * Get the rotation time encoded in an audit archive sheet name
+ * @param {string} sheetName - Sheet name
+ * @returns {string|null} ISO timestamp, or null for the active sheet
+ */
+function getAuditArchiveTime(sheetName) {
+  const match = sheetName.match(/_(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})$/);
+
+  if (sheetName.indexOf(AUDIT_ARCHIVE_PREFIX) !== 0 || !match) {
+    return null;
+  }
+
+  return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}.000Z`;
+}
+
+/**
+ * Query the audit trail, newest entries first
+ * @param {Object} filters - {taskId, keyId, field, outcome, endpoint, from, to, includeArchives, limit}
+ * @returns {Array<Object>} Audit entries
+ */
+function queryAuditLog(filters = {}) {
+  const limit = filters.limit || 100;
+  const from = filters.from ? new Date(filters.from).toISOString() : null;
+  const to = filters.to ? new Date(filters.to).toISOString() : null;
+  const entries = [];
+
+  const sheets = getAuditSheets(filters.includeArchives);
+
+  for (const sheet of sheets) {
+    // Archive names carry the rotation time, which bounds their newest entry
+    const rotatedAt = getAuditArchiveTime(sheet.getName());
+    if (from && rotatedAt && rotatedAt < from) break;
+    
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) continue;
+
+    const rows = sheet.getRange(2, 1, lastRow - 1, AUDIT_COLUMN_ORDER.length).getValues();
+
+    for (let i = rows.length - 1; i >= 0 && entries.length < limit; i--) {
+      const entry = formatAuditEntry(rows[i]);
+
+      if (matchesAuditFilters(entry, filters, from, to)) {
+        entries.push(entry);
+      }
+    }
+
+    if (entries.length >= limit) break;
+  }
+
+  return entries;
+}
+
+/**
+ * Check an audit entry against query filters
+ * @param {Object} entry - Formatted audit entry
+ * @param {Object} filters - Query filters
+ * @param {string|null} from - ISO lower bound
+ * @param {string|null} to - ISO upper bound
+ * @returns {boolean} True if the entry matches
+ */
+function matchesAuditFilters(entry, filters, from, to) {
+  if (filters.taskId && entry.taskId !== filters.taskId) return false;
+  if (filters.keyId && entry.keyId !== filters.keyId) return false;
+  if (filters.outcome && entry.outcome !== filters.outcome) return false;
+  if (filters.endpoint && entry.endpoint.indexOf(filters.endpoint) === -1) return false;
+  if (filters.field && !entry.changedFields.includes(filters.field)) return false;
+  if (from && entry.timestamp < from) return false;
+  if (to && entry.timestamp > to) return false;
+
+  return true;
+}
+
+/**
+ * Format an audit sheet row
+ * @param {Array} row - Audit row
+ * @returns {Object} Audit entry
+ */
+function formatAuditEntry(row) {
+  const value = key => row[AUDIT_COLUMN_ORDER.indexOf(key)];
+  const timestamp = value('TIMESTAMP');
+
+  return {
+    timestamp: timestamp instanceof Date ? timestamp.toISOString() : String(timestamp),
+    requestId: value('REQUEST_ID'),
+    keyId: value('KEY_ID'),
+    keyName: value('KEY_NAME'),
+    owner: value('OWNER'),
+    endpoint: value('ENDPOINT'),
+    taskId: value('TASK_ID'),
+    changedFields: value('CHANGED_FIELDS') ? String(value('CHANGED_FIELDS')).split(',') : [],
+    changes: safeJsonParse(value('CHANGES'), {}) || {},
+    outcome: value('OUTCOME'),
+    error: value('ERROR') || null
+  };
+}
@@ -0,0 +1,371 @@
+/**
+ * Stale assignment expiry
+ * Time-driven job that warns agents about old in_progress assignments and then
+ * returns the tasks to the pool
+ */
+
+const DEFAULT_ASSIGNMENT_MAX_AGE_HOURS = 72;
+
+// Assignees are warned once the assignment reaches this share of its max age
+const ASSIGNMENT_WARNING_FRACTION = 0.75;
+
+const EXPIRY_REPORT_SHEET_NAME = 'Assignment Expiry';
+const EXPIRY_REPORT_HEADERS = [
+  'Timestamp', 'Task ID', 'Folder Name', 'Group', 'Agent Email',
+  'Start Time', 'Age (hours)', 'Max Age (hours)', 'Action', 'New Status'
+];
+
+const EXPIRY_ACTIONS = {
+  WARNED: 'warned',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Time-driven entry point: warn and expire stale assignments
+ * Histories of the tasks due a warning are read once up front. Each task is then
+ * re-checked and handled under its own lock, so API writes can interleave with a
+ * long sweep. Install with installAssignmentExpiryTrigger().
+ * @returns {Object} Run summary {checked, warned, expired, errors}
+ */
+function runAssignmentExpiry() {
+  const maxAges = getAssignmentMaxAges();
+  const now = Date.now();
+  const summary = { checked: 0, warned: 0, expired: 0, errors: 0 };
+  const reportRows = [];
+  const candidates = [];
+
+  queryTasks({ status: STATUS_VALUES.IN_PROGRESS, limit: Number.MAX_SAFE_INTEGER }).forEach(task => {
+    const startTime = parseDate(task.startTime);
+    if (!startTime) return;
+
+    summary.checked++;
+
+    const maxAgeHours = maxAges[task.group] || maxAges.default;
+    const ageHours = (now - startTime.getTime()) / 3600000;
+
+    if (ageHours >= maxAgeHours * ASSIGNMENT_WARNING_FRACTION) {
+      candidates.push({ task: task, startTime: startTime, ageHours: ageHours, maxAgeHours: maxAgeHours });
+    }
+  });
+
+  const histories = getRevisionHistories(candidates.map(candidate => candidate.task));
+
+  candidates.forEach(({ task, startTime, ageHours, maxAgeHours }) => {
+    try {
+      const action = withScriptLock(() => {
+        // Skip tasks completed, released or reassigned since the query
+        const current = getTaskById(task.taskId);
+        if (!current || current.version !== task.version) {
+          return null;
+        }
+
+        return processStaleAssignment(task, ageHours, maxAgeHours, histories[task.taskId]);
+      });
+
+      if (action) {
+        summary[action]++;
+        reportRows.push([
+          new Date(now).toISOString(),
+          task.taskId,
+          task.folderName,
+          task.group,
+          task.agentEmail,
+          startTime.toISOString(),
+          Math.round(ageHours * 10) / 10,
+          maxAgeHours,
+          action,
+          action === EXPIRY_ACTIONS.EXPIRED ? getExpiredTaskStatus(task) : task.status
+        ]);
+      }
+    } catch (err) {
+      summary.errors++;
+      error('Assignment expiry failed for task', {
+        taskId: task.taskId,
+        error: err.message
+      });
+    }
+  });
+
+  if (reportRows.length > 0) {
+    withScriptLock(() => {
+      const sheet = initializeExpiryReportSheet();
+      sheet.getRange(sheet.getLastRow() + 1, 1, reportRows.length, EXPIRY_REPORT_HEADERS.length)
+        .setValues(reportRows);
+    });
+  }
+
+  info('Assignment expiry run complete', summary);
+
+  return summary;
+}
+
+/**
+ * Warn or expire a single in_progress task based on its age
+ * A task is only expired after its assignee has been warned, so every agent
+ * gets at least one job interval of notice.
+ * @param {Object} task - In-progress task
+ * @param {number} ageHours - Hours since startTime
+ * @param {number} maxAgeHours - Max assignment age for the task's group
+ * @param {Array<Object>} history - The task's revision history
+ * @returns {string|null} Action taken (EXPIRY_ACTIONS) or null
+ */
+function processStaleAssignment(task, ageHours, maxAgeHours, history) {
+  if (ageHours < maxAgeHours * ASSIGNMENT_WARNING_FRACTION) {
+    return null;
+  }
+
+  const startedAt = parseDate(task.startTime).toISOString();
+
+  if (!hasExpiryWarning(history, task)) {
+    const expiresAt = new Date(parseDate(task.startTime).getTime() + maxAgeHours * 3600000);
+
+    appendRevisionEntry(task.taskId, {
+      type: 'expiry_warning',
+      revision: task.revisionCount || 0,
+      agentEmail: task.agentEmail,
+      startedAt: startedAt,
+      warnedAt: new Date().toISOString(),
+      expiresAt: expiresAt.toISOString()
+    });
+
+    sendExpiryWarning(task, expiresAt);
+    return EXPIRY_ACTIONS.WARNED;
+  }
+
+  if (ageHours < maxAgeHours) {
+    return null;
+  }
+
+  const expiryEntry = {
+    type: 'expiry',
+    revision: task.revisionCount || 0,
+    agentEmail: task.agentEmail,
+    startedAt: startedAt,
+    expiredAt: new Date().toISOString(),
+    maxAgeHours: maxAgeHours
+  };
+
+  clearTaskAssignment(task.taskId, {
+    status: getExpiredTaskStatus(task)
+  }, { expectedVersion: task.version });
+
+  appendRevisionEntry(task.taskId, expiryEntry);
+
+  info('Stale assignment expired', {
+    taskId: task.taskId,
+    agentEmail: task.agentEmail,
+    ageHours: Math.round(ageHours)
+  });
+
+  return EXPIRY_ACTIONS.EXPIRED;
+}
+
+/**
+ * Check whether the current assignee was warned about the current assignment
+ * Start times are compared as instants: the cell may come back as a Date while the
+ * warning stored an ISO string.
+ * @param {Array<Object>} history - Revision history
+ * @param {Object} task - Task
+ * @returns {boolean} True if a matching expiry warning exists
+ */
+function hasExpiryWarning(history, task) {
+  const startTime = parseDate(task.startTime);
+
+  return (history || []).some(entry => {
+    if (entry.type !== 'expiry_warning' || entry.agentEmail !== task.agentEmail) {
+      return false;
+    }
+
+    const startedAt = parseDate(entry.startedAt);
+    return Boolean(startedAt && startTime && startedAt.getTime() === startTime.getTime());
+  });
+}
+
+/**
+ * Status an expired task returns to (rework tasks go back to rework)
+ * @param {Object} task - Task
+ * @returns {string} Status value
+ */
+function getExpiredTaskStatus(task) {
+  return (task.revisionCount || 0) > 0 ? STATUS_VALUES.REWORK : STATUS_VALUES.OPEN;
+}
+
+/**
+ * Email the assignee that their assignment is about to expire
+ * @param {Object} task - Task
+ * @param {Date} expiresAt - Expiry time
+ */
+function sendExpiryWarning(task, expiresAt) {
+  if (!isValidEmail(task.agentEmail)) {
+    return;
+  }
+
+  try {
+    MailApp.sendEmail(
+      task.agentEmail,
+      `Task assignment expiring: ${task.folderName}`,
+      `Your assignment of task ${task.folderName} (${task.taskId}) started ${task.startTime} ` +
+      `and will be released back to the queue after ${expiresAt.toISOString()}.\n\n` +
+      `Complete the task or release it if you cannot finish it.`
+    );
+  } catch (err) {
+    warn('Failed to send expiry warning', {
+      taskId: task.taskId,
+      agentEmail: task.agentEmail,
+      error: err.message
+    });
+  }
+}
+
+/**
+ * Get max assignment age per group
+ * @returns {Object} Map of group to hours, plus `default`
+ */
+function getAssignmentMaxAges() {
+  const configured = safeJsonParse(
+    PropertiesService.getScriptProperties().getProperty('ASSIGNMENT_MAX_AGE_HOURS'),
+    {}
+  ) || {};
+
+  return Object.assign({ default: DEFAULT_ASSIGNMENT_MAX_AGE_HOURS }, configured);
+}
+
+/**
+ * Set max assignment age for a group (or `default`)
+ * @param {string} group - Group letter or 'default'
+ * @param {number} hours - Max age in hours (0 removes a group override)
+ */
+function setAssignmentMaxAge(group, hours) {
+  if (group !== 'default' && !Object.values(GROUP_VALUES).includes(group)) {
+    throw new ValidationError(
+      `Group must be default or one of: ${Object.values(GROUP_VALUES).join(', ')}`,
+      'group',
+      group
+    );
+  }
+
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const configured = safeJsonParse(scriptProperties.getProperty('ASSIGNMENT_MAX_AGE_HOURS'), {}) || {};
+
+  if (hours > 0) {
+    configured[group] = hours;
+  } else {
+    delete configured[group];
+  }
+
+  scriptProperties.setProperty('ASSIGNMENT_MAX_AGE_HOURS', JSON.stringify(configured));
+
+  info('Assignment max age updated', { group: group, hours: hours });
+}
+
+/**
+ * Initialize the expiry report sheet if needed
+ * @returns {Sheet} Report sheet
+ */
+function initializeExpiryReportSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(EXPIRY_REPORT_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(EXPIRY_REPORT_SHEET_NAME);
+
+    const headerRange = sheet.getRange(1, 1, 1, EXPIRY_REPORT_HEADERS.length);
+    headerRange.setValues([EXPIRY_REPORT_HEADERS]);
+    headerRange.setBackground(HEADER_STYLE.background);
+    headerRange.setFontColor(HEADER_STYLE.fontColor);
+    headerRange.setFontWeight(HEADER_STYLE.fontWeight);
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Install the hourly expiry trigger (replaces any existing one)
+ */
+function installAssignmentExpiryTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'runAssignmentExpiry')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+  ScriptApp.newTrigger('runAssignmentExpiry')
+    .timeBased()
+    .everyHours(1)
+    .create();
+
+  info('Assignment expiry trigger installed');
+}
+
+/**
+ * Menu: configure max assignment age and enable the hourly job
+ */
+function configureAssignmentExpiry() {
+  const ui = SpreadsheetApp.getUi();
+  const maxAges = getAssignmentMaxAges();
+
+  const current = Object.entries(maxAges)
+    .map(([group, hours]) => `${group}: ${hours}h`)
+    .join('\n');
+
+  const result = ui.prompt(
+    'Configure Assignment Expiry',
+    `Enter GROUP=HOURS (or default=HOURS). In-progress tasks older than this are released; ` +
+    `assignees are warned at ${Math.round(ASSIGNMENT_WARNING_FRACTION * 100)}% of the age. ` +
+    `0 removes a group override. The hourly job is installed on save.\n\nCurrent:\n${current}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+
+  const match = result.getResponseText().trim().match(/^(\w+)\s*=\s*(\d+)$/);
+
+  if (!match) {
+    ui.alert('Error', 'Expected format GROUP=HOURS, e.g. A=48 or default=72', ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    setAssignmentMaxAge(match[1], parseInt(match[2]));
+    installAssignmentExpiryTrigger();
+    ui.alert('Success', `Max assignment age for ${match[1]} set to ${match[2]}h. Hourly expiry job is active.`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu: summarize recent expiry activity
+ */
+function showAssignmentExpiryReport() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(EXPIRY_REPORT_SHEET_NAME);
+
+  if (!sheet || sheet.getLastRow() <= 1) {
+    ui.alert('Assignment Expiry', 'No assignments have been warned or expired yet.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const since = Date.now() - 7 * 24 * 3600000;
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, EXPIRY_REPORT_HEADERS.length).getValues()
+    .filter(row => new Date(row[0]).getTime() >= since);
+
+  const expired = rows.filter(row => row[8] === EXPIRY_ACTIONS.EXPIRED);
+  const warned = rows.filter(row => row[8] === EXPIRY_ACTIONS.WARNED);
+
+  const byAgent = {};
+  expired.forEach(row => {
+    byAgent[row[4]] = (byAgent[row[4]] || 0) + 1;
+  });
+
+  let message = `Last 7 days:\n\nWarnings sent: ${warned.length}\nAssignments expired: ${expired.length}\n`;
+
+  const agents = Object.entries(byAgent).sort((a, b) => b[1] - a[1]);
+  if (agents.length > 0) {
+    message += '\nExpired by agent:\n' +
+      agents.slice(0, 10).map(([agent, count]) => `${agent}: ${count}`).join('\n');
+  }
+
+  message += `\n\nFull log: "${EXPIRY_REPORT_SHEET_NAME}" sheet`;
+
+  ui.alert('Assignment Expiry Report', message, ui.ButtonSet.OK);
+}
@@ -0,0 +1,347 @@
+/**
+ * Data integrity checker
+ * Scans the Tasks sheet for inconsistent rows. Every finding carries a severity and
+ * a proposed fix; fixes that are not 'manual' can be applied selectively by ID.
+ */
+
+const INTEGRITY_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+const INTEGRITY_CHECKS = {
+  MISSING_TASK_ID: 'missing_task_id',
+  MISSING_BATCH_ID: 'missing_batch_id',
+  DUPLICATE_TASK_ID: 'duplicate_task_id',
+  DUPLICATE_FOLDER_NAME: 'duplicate_folder_name',
+  INVALID_STATUS: 'invalid_status',
+  MISSING_OUTPUTS: 'missing_outputs',
+  REVIEW_FIELDS_ON_OPEN_WORK: 'review_fields_on_open_work',
+  REVISION_COUNT_MISMATCH: 'revision_count_mismatch',
+  EXPORT_STATUS_WITHOUT_BATCH: 'export_status_without_batch',
+  UNKNOWN_AGENT: 'unknown_agent'
+};
+
+// Review columns cleared together when they should not be set
+const INTEGRITY_REVIEW_FIELDS = [
+  'reviewStatus', 'reviewScore', 'reviewerEmail', 'reviewTime',
+  'reviewRubric', 'reviewClaimedBy', 'reviewClaimExpires'
+];
+
+// Findings listed in the menu report
+const INTEGRITY_REPORT_LIMIT = 40;
+
+/**
+ * Check the Tasks sheet for consistency problems
+ * @returns {Object} {checkedAt, rows, findings: [{id, check, severity, rowIndex, taskId, message, fix}]}
+ */
+function runIntegrityCheck() {
+  const sheet = getTasksSheet();
+  const lastRow = sheet.getLastRow();
+  const rows = lastRow <= 1 ? [] :
+    sheet.getRange(2, 1, lastRow - 1, COLUMN_ORDER.length).getValues();
+
+  const tasks = rows
+    .map((row, i) => formatTaskResponse(row, i + 2, COLUMN_ORDER))
+    .filter(task => task.taskId);
+
+  const findings = buildIntegrityFindings(rows, {
+    histories: getRevisionHistories(tasks),
+    agentEmails: getAllAgents().map(agent => agent.email),
+    adminEmails: getAdminEmails()
+  });
+
+  info('Integrity check completed', { rows: rows.length, findings: findings.length });
+
+  return { checkedAt: new Date().toISOString(), rows: rows.length, findings: findings };
+}
+
+/**
+ * Build findings for Tasks sheet rows
+ * @param {Array<Array>} rows - Data rows in COLUMN_ORDER, starting at sheet row 2
+ * @param {Object} context - {histories: taskId → entries, agentEmails, adminEmails}
+ * @returns {Array<Object>} Findings, errors first
+ */
+function buildIntegrityFindings(rows, context) {
+  const findings = [];
+  const tasks = rows.map((row, i) =>
+    Object.assign(formatTaskResponse(row, i + 2, COLUMN_ORDER), { rowIndex: i + 2 }));
+
+  // IDs use the task ID where it is unique, otherwise the row
+  const add = (check, severity, task, message, fix, id) => findings.push({
+    id: id || `${check}:${task.taskId && !duplicatedIds.has(task.taskId) ? task.taskId : 'row' + task.rowIndex}`,
+    check: check,
+    severity: severity,
+    rowIndex: task.rowIndex,
+    taskId: task.taskId || null,
+    message: message,
+    fix: fix
+  });
+
+  const rowsByTaskId = groupIntegrityRows(tasks, task => task.taskId);
+  // Deleted tasks still hold their task ID but are otherwise left alone
+  const liveTasks = tasks.filter(task => !task.deletedAt);
+  const rowsByFolder = groupIntegrityRows(liveTasks, task => task.folderName);
+  const duplicatedIds = new Set(Object.keys(rowsByTaskId).filter(id => rowsByTaskId[id].length > 1));
+
+  // Row updates go through updateTaskRecord, which cannot target a duplicated ID
+  const updateFix = (task, description, updates, revisionEntry) => duplicatedIds.has(task.taskId) ?
+    manualIntegrityFix(`${description} (resolve the duplicate task ID first)`) :
+    Object.assign({ action: 'update', description: description, updates: updates },
+      revisionEntry ? { revisionEntry: revisionEntry } : {});
+
+  tasks.forEach(task => {
+    if (!task.taskId) {
+      add(INTEGRITY_CHECKS.MISSING_TASK_ID, INTEGRITY_SEVERITY.ERROR, task,
+        `Row ${task.rowIndex} has no task ID`,
+        manualIntegrityFix('Delete the row or give it a task ID'));
+    }
+  });
+
+  Object.entries(rowsByTaskId).forEach(([taskId, group]) => {
+    if (group.length < 2) return;
+
+    const first = JSON.stringify(rows[group[0].rowIndex - 2]);
+
+    group.slice(1).forEach(task => {
+      const identical = JSON.stringify(rows[task.rowIndex - 2]) === first;
+      add(INTEGRITY_CHECKS.DUPLICATE_TASK_ID, INTEGRITY_SEVERITY.ERROR, task,
+        `Task ID ${taskId} is also used by row ${group[0].rowIndex}` + (identical ? ' (identical copy)' : ''),
+        identical ?
+          { action: 'delete_row', description: `Delete duplicate row ${task.rowIndex}`, rowIndex: task.rowIndex } :
+          manualIntegrityFix('Compare both rows and give one of them a new task ID'),
+        `${INTEGRITY_CHECKS.DUPLICATE_TASK_ID}:row${task.rowIndex}`);
+    });
+  });
+
+  Object.entries(rowsByFolder).forEach(([folderName, group]) => {
+    if (group.length < 2) return;
+
+    group.slice(1).forEach(task => {
+      add(INTEGRITY_CHECKS.DUPLICATE_FOLDER_NAME, INTEGRITY_SEVERITY.WARNING, task,
+        `Folder ${folderName} was also imported as task ${group[0].taskId} (row ${group[0].rowIndex})`,
+        manualIntegrityFix('Check whether the folder was imported twice and delete the extra task'),
+        `${INTEGRITY_CHECKS.DUPLICATE_FOLDER_NAME}:row${task.rowIndex}`);
+    });
+  });
+
+  liveTasks.forEach(task => {
+    if (!task.taskId) return;
+
+    if (!task.batchId) {
+      add(INTEGRITY_CHECKS.MISSING_BATCH_ID, INTEGRITY_SEVERITY.ERROR, task,
+        `Row ${task.rowIndex}: Missing Batch ID`,
+        manualIntegrityFix('Set the import batch ID from the import report'));
+    }
+
+    if (task.status && !Object.values(STATUS_VALUES).includes(task.status)) {
+      add(INTEGRITY_CHECKS.INVALID_STATUS, INTEGRITY_SEVERITY.ERROR, task,
+        `Unknown status '${task.status}'`,
+        manualIntegrityFix(`Set one of: ${Object.values(STATUS_VALUES).join(', ')}`));
+    }
+
+    if (task.status === STATUS_VALUES.COMPLETE) {
+      const missing = [['objLink', '3D object'], ['alignmentLink', 'alignment'], ['videoLink', 'video']]
+        .filter(([field]) => !task[field])
+        .map(([, label]) => label);
+
+      if (missing.length > 0) {
+        add(INTEGRITY_CHECKS.MISSING_OUTPUTS, INTEGRITY_SEVERITY.ERROR, task,
+          `Complete task is missing its ${missing.join(', ')} link${missing.length > 1 ? 's' : ''}`,
+          task.exportStatus ?
+            manualIntegrityFix('Re-link the files from the production folder (task is already in export)') :
+            missingOutputsFix(task, missing, updateFix));
+      }
+    }
+
+    // Review fields survive rework cycles; a task that was never completed has none
+    const reviewFields = INTEGRITY_REVIEW_FIELDS.filter(field => task[field] !== null && task[field] !== '');
+    if (task.status !== STATUS_VALUES.COMPLETE && !(parseInt(task.revisionCount) > 0) && reviewFields.length > 0) {
+      const updates = {};
+      INTEGRITY_REVIEW_FIELDS.forEach(field => { updates[field] = ''; });
+
+      add(INTEGRITY_CHECKS.REVIEW_FIELDS_ON_OPEN_WORK, INTEGRITY_SEVERITY.WARNING, task,
+        `${task.status || 'Unset'} task that was never completed has review fields: ${reviewFields.join(', ')}`,
+        updateFix(task, 'Clear the review fields', updates));
+    }
+
+    const history = context.histories[task.taskId];
+    if (history) {
+      const workRevisions = history.filter(entry => !entry.type).length;
+      const revisionCount = parseInt(task.revisionCount) || 0;
+
+      if (revisionCount !== workRevisions) {
+        add(INTEGRITY_CHECKS.REVISION_COUNT_MISMATCH, INTEGRITY_SEVERITY.WARNING, task,
+          `Revision count is ${revisionCount} but the history has ${workRevisions} work revisions`,
+          updateFix(task, `Set revision count to ${workRevisions}`, { revisionCount: workRevisions }));
+      }
+    }
+
+    if (task.exportStatus && !task.exportBatchId) {
+      add(INTEGRITY_CHECKS.EXPORT_STATUS_WITHOUT_BATCH, INTEGRITY_SEVERITY.ERROR, task,
+        `Export status '${task.exportStatus}' has no export batch`,
+        task.exportStatus === EXPORT_STATUS_VALUES.DELIVERED ?
+          manualIntegrityFix('Find the delivery batch in the export report and record it') :
+          updateFix(task, 'Clear the export status so the task can be staged again',
+            { exportStatus: '', stagedCount: '' }));
+    }
+  });
+
+  // One finding per unknown agent, proposing the groups of the tasks they hold
+  const known = new Set(context.agentEmails.concat(context.adminEmails));
+  const unknownAgents = groupIntegrityRows(
+    liveTasks.filter(task => task.taskId && task.agentEmail && !known.has(task.agentEmail)),
+    task => task.agentEmail
+  );
+
+  Object.entries(unknownAgents).forEach(([email, group]) => {
+    const groups = [...new Set(group.map(task => task.group).filter(g => g))].sort();
+
+    add(INTEGRITY_CHECKS.UNKNOWN_AGENT, INTEGRITY_SEVERITY.WARNING, group[0],
+      `${email} holds ${group.length} task${group.length > 1 ? 's' : ''} but is not in the ${AGENTS_SHEET_NAME} sheet`,
+      groups.length > 0 ?
+        { action: 'add_agent', description: `Add ${email} with groups ${groups.join(',')}`, email: email, groups: groups } :
+        manualIntegrityFix(`Add ${email} to the ${AGENTS_SHEET_NAME} sheet`),
+      `${INTEGRITY_CHECKS.UNKNOWN_AGENT}:${email}`);
+  });
+
+  const order = [INTEGRITY_SEVERITY.ERROR, INTEGRITY_SEVERITY.WARNING];
+  return findings.sort((a, b) =>
+    order.indexOf(a.severity) - order.indexOf(b.severity) || (a.rowIndex || 0) - (b.rowIndex || 0));
+}
+
+/**
+ * Apply the proposed fixes of selected findings
+ * The check is re-run under the lock so fixes act on the current rows; findings
+ * that no longer exist or need manual work are skipped. Row changes share one
+ * change set in the change journal, so a run can be reverted from the menu.
+ * @param {Array<string>} findingIds - Finding IDs
+ * @returns {Object} {changeSetId, applied: [id], skipped: [{id, reason}]}
+ */
+function applyIntegrityFixes(findingIds) {
+  return withScriptLock(() => {
+    const current = {};
+    runIntegrityCheck().findings.forEach(finding => { current[finding.id] = finding; });
+
+    const changeSetId = generateShortId();
+    const result = { changeSetId: changeSetId, applied: [], skipped: [] };
+    const deleteRows = [];
+
+    findingIds.forEach(id => {
+      const finding = current[id];
+
+      if (!finding) {
+        result.skipped.push({ id: id, reason: 'No longer found' });
+        return;
+      }
+
+      if (finding.fix.action === 'manual') {
+        result.skipped.push({ id: id, reason: 'Needs manual fix' });
+        return;
+      }
+
+      try {
+        switch (finding.fix.action) {
+          case 'update':
+            updateTaskRecord(finding.taskId, finding.fix.updates, {
+              skipTransitionCheck: true,
+              changeSetId: changeSetId
+            });
+            if (finding.fix.revisionEntry) {
+              appendRevisionEntry(finding.taskId, finding.fix.revisionEntry);
+            }
+            break;
+          case 'delete_row':
+            deleteRows.push({ rowIndex: finding.fix.rowIndex, taskId: finding.taskId });
+            break;
+          case 'add_agent':
+            setAgentGroups(finding.fix.email, finding.fix.groups);
+            break;
+        }
+        result.applied.push(id);
+      } catch (err) {
+        result.skipped.push({ id: id, reason: err.message });
+      }
+    });
+
+    // Row deletes last so row-based updates above still pointed at the right rows.
+    // Only identical copies are deleted; the journal keeps each row for undo.
+    if (deleteRows.length > 0) {
+      removeJournaledTaskRows(deleteRows, changeSetId);
+    }
+
+    info('Integrity fixes applied', { applied: result.applied, skipped: result.skipped.length });
+
+    return result;
+  });
+}
+
+/**
+ * Proposed fix for a complete task with missing outputs
+ * Sends the task back to rework the way /api/task/rework does: the completion is
+ * kept as a revision entry, the revision count goes up and the review of the
+ * void completion is cleared, so the row passes the other checks afterwards.
+ * @param {Object} task - Complete task
+ * @param {Array<string>} missing - Labels of the missing outputs
+ * @param {Function} updateFix - (task, description, updates, revisionEntry) → fix
+ * @returns {Object} Fix
+ */
+function missingOutputsFix(task, missing, updateFix) {
+  const revision = (parseInt(task.revisionCount) || 0) + 1;
+  const reason = `Integrity check: missing ${missing.join(', ')}`;
+
+  const updates = {
+    status: STATUS_VALUES.REWORK,
+    revisionCount: revision,
+    startTime: new Date().toISOString(),
+    endTime: '',
+    objLink: '',
+    alignmentLink: '',
+    videoLink: ''
+  };
+  INTEGRITY_REVIEW_FIELDS.forEach(field => { updates[field] = ''; });
+
+  if (!task.originalCompletionTime && task.endTime) {
+    updates.originalCompletionTime = task.endTime;
+  }
+
+  return updateFix(task, 'Send back to rework so the agent uploads the missing files', updates, {
+    revision: revision,
+    agentEmail: task.agentEmail,
+    completedAt: task.endTime,
+    startedAt: task.startTime,
+    objLink: task.objLink,
+    alignmentLink: task.alignmentLink,
+    videoLink: task.videoLink,
+    timeTaken: task.timeTaken,
+    requestedBy: 'integrity_check',
+    requestedAt: new Date().toISOString(),
+    reason: reason
+  });
+}
+
+/**
+ * Group tasks by a key, skipping empty keys
+ * @param {Array<Object>} tasks - Tasks
+ * @param {Function} keyOf - Task → key
+ * @returns {Object} Key → tasks in row order
+ */
+function groupIntegrityRows(tasks, keyOf) {
+  const groups = {};
+  tasks.forEach(task => {
+    const key = keyOf(task);
+    if (key) {
+      (groups[key] = groups[key] || []).push(task);
+    }
+  });
+  return groups;
+}
+
+/**
+ * Proposed fix that needs a person
+ * @param {string} description - What to do
+ * @returns {Object} Fix
+ */
+function manualIntegrityFix(description) {
+  return { action: 'manual', description: description };
+}
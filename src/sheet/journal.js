@@ -0,0 +1,639 @@
+/**
+ * Change journal
+ * Every task row write records the prior and new values of the cells it changed,
+ * so the last changes to a task, or a whole batch update, can be undone. Undo writes
+ * are journaled too; the entries they reverse are marked with the undo's change ID.
+ * Revision entries appended after a write are listed on its journal entry by sequence
+ * number and deleted again when the write is undone.
+ */
+
+const JOURNAL_SHEET_NAME = '_ChangeJournal';
+const JOURNAL_ARCHIVE_PREFIX = '_ChangeJournal_Archive_';
+const JOURNAL_MAX_ROWS = 20000;
+
+const JOURNAL_COLUMNS = {
+  CHANGE_ID: 'Change ID',
+  TIMESTAMP: 'Timestamp',
+  TASK_ID: 'Task ID',
+  OPERATION: 'Operation',
+  CHANGE_SET_ID: 'Change Set ID',
+  ACTOR: 'Actor',
+  CHANGES: 'Changes',
+  UNDONE_BY: 'Undone By',
+  REVISION_SEQS: 'Revision Seqs'
+};
+
+const JOURNAL_COLUMN_ORDER = [
+  'CHANGE_ID', 'TIMESTAMP', 'TASK_ID', 'OPERATION', 'CHANGE_SET_ID', 'ACTOR', 'CHANGES', 'UNDONE_BY',
+  'REVISION_SEQS'
+];
+
+const JOURNAL_OPERATIONS = {
+  UPDATE: 'update',
+  BATCH_UPDATE: 'batch_update',
+  DELETE: 'delete',
+  REMOVE_ROW: 'remove_row',
+  UNDO: 'undo'
+};
+
+// Server-managed; undo bumps it like any other write instead of restoring it
+const JOURNAL_IGNORED_COLUMNS = ['VERSION'];
+
+// Journal row of each task's last journaled write in this execution, {sheet, rowIndex}
+const lastJournalWrites = {};
+
+/**
+ * Journal one task row write
+ * @param {string} taskId - Task ID
+ * @param {Array} beforeRow - Row values before the write
+ * @param {Array} afterRow - Row values after the write
+ * @param {Object} options - {operation, changeSetId}
+ */
+function recordJournalChange(taskId, beforeRow, afterRow, options = {}) {
+  recordJournalChanges([{
+    taskId: taskId,
+    beforeRow: beforeRow,
+    afterRow: afterRow,
+    operation: options.operation,
+    changeSetId: options.changeSetId
+  }]);
+}
+
+/**
+ * Journal task row writes with a single append
+ * Writes that changed nothing are skipped. Journal failures are logged but never
+ * fail the write that already happened.
+ * @param {Array<Object>} changes - [{taskId, beforeRow, afterRow, operation, changeSetId}]
+ * @returns {Array<string>} Change IDs of the recorded entries
+ */
+function recordJournalChanges(changes) {
+  const timestamp = new Date().toISOString();
+  const actor = getJournalActor();
+  const rows = [];
+
+  changes.forEach(change => {
+    delete lastJournalWrites[change.taskId];
+
+    const diff = diffJournalRows(change.beforeRow, change.afterRow);
+    if (Object.keys(diff).length === 0) return;
+
+    rows.push([
+      generateShortId(),
+      timestamp,
+      change.taskId,
+      change.operation || JOURNAL_OPERATIONS.UPDATE,
+      change.changeSetId || '',
+      actor,
+      JSON.stringify(diff),
+      '',
+      ''
+    ]);
+  });
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  try {
+    withScriptLock(() => {
+      const sheet = rotateJournalSheetIfNeeded(initializeJournalSheet(), rows.length);
+      const startRow = sheet.getLastRow() + 1;
+      sheet.getRange(startRow, 1, rows.length, JOURNAL_COLUMN_ORDER.length)
+        .setValues(rows);
+
+      rows.forEach((row, i) => {
+        lastJournalWrites[row[2]] = { sheet: sheet, rowIndex: startRow + i };
+      });
+    });
+  } catch (err) {
+    error('Failed to write change journal', { tasks: rows.map(row => row[2]), error: err.message });
+    return [];
+  }
+
+  return rows.map(row => row[0]);
+}
+
+/**
+ * List revision entries on the journal entry of the task's last write in this execution
+ * Called by appendRevisionEntries(); undoing the write then deletes the entries.
+ * Failures are logged like other journal failures.
+ * @param {string} taskId - Task ID
+ * @param {Array<number>} seqs - Sequence numbers of the appended entries
+ */
+function recordJournalRevisionSeqs(taskId, seqs) {
+  const write = lastJournalWrites[taskId];
+
+  if (!write) {
+    return;
+  }
+
+  try {
+    const cell = write.sheet.getRange(write.rowIndex, JOURNAL_COLUMN_ORDER.indexOf('REVISION_SEQS') + 1);
+    const recorded = safeJsonParse(cell.getValue(), []) || [];
+    cell.setValue(JSON.stringify(recorded.concat(seqs)));
+  } catch (err) {
+    error('Failed to journal revision entries', { taskId: taskId, error: err.message });
+  }
+}
+
+/**
+ * Compute changed cells between two task rows
+ * @param {Array} beforeRow - Row values before
+ * @param {Array} afterRow - Row values after
+ * @returns {Object} Map of camelCase field to {before, after}
+ */
+function diffJournalRows(beforeRow, afterRow) {
+  const changes = {};
+
+  COLUMN_ORDER.forEach((key, index) => {
+    if (JOURNAL_IGNORED_COLUMNS.includes(key)) return;
+
+    const before = normalizeJournalValue(beforeRow[index]);
+    const after = normalizeJournalValue(afterRow[index]);
+
+    if (before !== after) {
+      const field = key.toLowerCase().replace(/_([a-z])/g, (g) => g[1].toUpperCase());
+      changes[field] = { before: before, after: after };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Normalize a cell value for the journal
+ * Unlike the audit trail, values are never truncated: undo writes them back.
+ * @param {*} value - Cell value
+ * @returns {string|number|boolean} Stored value ('' for empty)
+ */
+function normalizeJournalValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  return value;
+}
+
+/**
+ * Check a cell against the value a journal entry wrote
+ * Sheets converts number-, date- and time-like strings on write, so the cell may
+ * hold a Number or Date where the journal holds the string that was written.
+ * @param {*} cellValue - Current cell value
+ * @param {*} journaled - Journaled value
+ * @returns {boolean} True if the cell still holds the journaled value
+ */
+function journalValueMatches(cellValue, journaled) {
+  const current = normalizeJournalValue(cellValue);
+
+  if (current === journaled || String(current) === String(journaled)) {
+    return true;
+  }
+
+  if (cellValue instanceof Date && typeof journaled === 'string') {
+    const parsed = new Date(journaled);
+    if (!isNaN(parsed.getTime())) {
+      return parsed.getTime() === cellValue.getTime();
+    }
+
+    // Durations such as 00:02:30 come back as times on 1899-12-30
+    const timeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+    return Utilities.formatDate(cellValue, timeZone, 'HH:mm:ss') === journaled;
+  }
+
+  return false;
+}
+
+/**
+ * Who made the current change: the API key in an audited request, else the user
+ * @returns {string} Actor
+ */
+function getJournalActor() {
+  if (activeAuditContext && activeAuditContext.auth) {
+    return `api:${activeAuditContext.auth.name || activeAuditContext.auth.keyId || 'unknown'}`;
+  }
+
+  return Session.getActiveUser().getEmail() || 'system';
+}
+
+/**
+ * Undo the last N changes to a task
+ * Entries are reversed newest first. If a changed cell no longer holds the value
+ * the entry wrote, the task was changed outside the journal and nothing is undone.
+ * Revision entries the changes appended are deleted with them.
+ * @param {string} taskId - Task ID
+ * @param {number} count - Number of changes to undo
+ * @returns {Object} {taskId, undone, changeId, task}
+ * @throws {ApiError} 404 if there is nothing to undo, 409 on a conflicting cell
+ */
+function undoTaskChanges(taskId, count = 1) {
+  return withScriptLock(() => {
+    const entries = readJournalEntries()
+      .filter(entry => entry.taskId === taskId && isJournalEntryUndoable(entry))
+      .slice(-count)
+      .reverse();
+
+    if (entries.length === 0) {
+      throw new ApiError(`No changes to undo for task ${taskId}`, 404);
+    }
+
+    const result = reverseJournalEntries(taskId, entries, '');
+
+    info('Task changes undone', { taskId: taskId, undone: entries.length, changeId: result.changeId });
+
+    return Object.assign({ undone: entries.length }, result);
+  });
+}
+
+/**
+ * Revert every task written by one batch update
+ * Tasks with conflicting later changes are skipped and reported; the rest are reverted.
+ * @param {string} changeSetId - Change set ID returned by the batch update
+ * @returns {Object} {changeSetId, reverted: [taskId], conflicts: [{taskId, error}]}
+ * @throws {ApiError} 404 if the change set has nothing left to revert
+ */
+function revertChangeSet(changeSetId) {
+  return withScriptLock(() => {
+    const byTask = {};
+
+    readJournalEntries()
+      .filter(entry => entry.changeSetId === changeSetId && isJournalEntryUndoable(entry))
+      .forEach(entry => (byTask[entry.taskId] = byTask[entry.taskId] || []).unshift(entry));
+
+    const taskIds = Object.keys(byTask);
+
+    if (taskIds.length === 0) {
+      throw new ApiError(`No changes to revert for change set ${changeSetId}`, 404);
+    }
+
+    const summary = { changeSetId: changeSetId, reverted: [], conflicts: [] };
+    const revertSetId = generateShortId();
+
+    taskIds.forEach(taskId => {
+      try {
+        reverseJournalEntries(taskId, byTask[taskId], revertSetId);
+        summary.reverted.push(taskId);
+      } catch (err) {
+        summary.conflicts.push({ taskId: taskId, error: err.message });
+      }
+    });
+
+    info('Change set reverted', {
+      changeSetId: changeSetId,
+      reverted: summary.reverted.length,
+      conflicts: summary.conflicts.length
+    });
+
+    return summary;
+  });
+}
+
+/**
+ * Physically remove Tasks rows, journaling each row so the removal can be undone
+ * Used for rows that soft delete cannot target, such as identical duplicates of a task ID.
+ * @param {Array<Object>} rows - [{rowIndex, taskId}]
+ * @param {string} changeSetId - Change set for the journal entries
+ * @throws {ApiError} 500 if the rows could not be journaled (nothing is removed)
+ */
+function removeJournaledTaskRows(rows, changeSetId) {
+  const sheet = getTasksSheet();
+  const emptyRow = COLUMN_ORDER.map(() => '');
+
+  const changes = rows.map(row => ({
+    taskId: row.taskId,
+    beforeRow: sheet.getRange(row.rowIndex, 1, 1, COLUMN_ORDER.length).getValues()[0],
+    afterRow: emptyRow,
+    operation: JOURNAL_OPERATIONS.REMOVE_ROW,
+    changeSetId: changeSetId
+  }));
+
+  if (recordJournalChanges(changes).length !== changes.length) {
+    throw new ApiError('Could not journal the row removal; no rows were removed', 500);
+  }
+
+  deleteSheetRows(sheet, rows.map(row => row.rowIndex).sort((a, b) => a - b));
+  invalidateTaskIndex();
+
+  info('Task rows removed', { rows: rows.length, changeSetId: changeSetId });
+}
+
+/**
+ * Append a row removed by removeJournaledTaskRows() back to the Tasks sheet
+ * @param {string} taskId - Task ID
+ * @param {Object} entry - The remove_row journal entry
+ * @param {string} changeSetId - Change set for the undo entry ('' for none)
+ * @returns {Object} {taskId, changeId, task}
+ */
+function restoreRemovedTaskRow(taskId, entry, changeSetId) {
+  const sheet = getTasksSheet();
+  const emptyRow = COLUMN_ORDER.map(() => '');
+  const newRow = [...emptyRow];
+
+  Object.entries(entry.changes).forEach(([field, change]) => {
+    const columnIndex = getColumnIndex(field.replace(/([A-Z])/g, '_$1').toUpperCase()) - 1;
+    if (columnIndex >= 0) {
+      newRow[columnIndex] = change.before;
+    }
+  });
+
+  // The version is not journaled; the restored row starts a new count
+  newRow[getColumnIndex('VERSION') - 1] = 1;
+
+  const rowIndex = sheet.getLastRow() + 1;
+  sheet.getRange(rowIndex, 1, 1, COLUMN_ORDER.length).setValues([newRow]);
+  invalidateTaskIndex();
+  recordAuditChange(taskId, emptyRow, newRow);
+
+  const changeIds = recordJournalChanges([{
+    taskId: taskId,
+    beforeRow: emptyRow,
+    afterRow: newRow,
+    operation: JOURNAL_OPERATIONS.UNDO,
+    changeSetId: changeSetId
+  }]);
+
+  markJournalEntriesUndone([entry], changeIds[0] || 'unjournaled');
+
+  return {
+    taskId: taskId,
+    changeId: changeIds[0] || null,
+    task: formatTaskResponse(newRow, rowIndex, COLUMN_ORDER)
+  };
+}
+
+/**
+ * Write a task row back through journal entries, newest first
+ * A removed row is appended back; it is undone on its own, before older changes.
+ * Revision entries listed on the entries are deleted once the row is written back.
+ * @param {string} taskId - Task ID
+ * @param {Array<Object>} entries - Journal entries of the task, newest first
+ * @param {string} changeSetId - Change set for the undo entry ('' for none)
+ * @returns {Object} {taskId, changeId, task}
+ * @throws {ApiError} 404 if the task row is gone, 409 on a conflicting cell
+ */
+function reverseJournalEntries(taskId, entries, changeSetId) {
+  const removal = entries.find(entry => entry.operation === JOURNAL_OPERATIONS.REMOVE_ROW);
+
+  if (removal) {
+    if (entries.length > 1) {
+      throw new ApiError(`Task ${taskId}: undo the row removal ${removal.changeId} on its own first`, 409);
+    }
+    return restoreRemovedTaskRow(taskId, removal, changeSetId);
+  }
+
+  const sheet = getTasksSheet();
+  const rowIndex = findTaskRowIndex(taskId);
+
+  if (rowIndex === -1) {
+    throw new ApiError(`Task not found: ${taskId}`, 404);
+  }
+
+  const originalRow = sheet.getRange(rowIndex, 1, 1, COLUMN_ORDER.length).getValues()[0];
+  const newRow = [...originalRow];
+
+  entries.forEach(entry => {
+    Object.entries(entry.changes).forEach(([field, change]) => {
+      const columnIndex = getColumnIndex(field.replace(/([A-Z])/g, '_$1').toUpperCase()) - 1;
+      if (columnIndex < 0) return;
+
+      if (!journalValueMatches(newRow[columnIndex], change.after)) {
+        throw new ApiError(
+          `Task ${taskId} field ${field} was changed after ${entry.changeId}; undo the later change first`,
+          409
+        );
+      }
+
+      newRow[columnIndex] = change.before;
+    });
+  });
+
+  const versionIndex = getColumnIndex('VERSION') - 1;
+  newRow[versionIndex] = (parseInt(originalRow[versionIndex]) || 0) + 1;
+
+  sheet.getRange(rowIndex, 1, 1, COLUMN_ORDER.length).setValues([newRow]);
+  indexTaskRow(rowIndex, newRow);
+  recordAuditChange(taskId, originalRow, newRow);
+
+  const revisionSeqs = [].concat(...entries.map(entry => entry.revisionSeqs));
+  if (revisionSeqs.length > 0) {
+    deleteRevisionEntries(taskId, revisionSeqs);
+  }
+
+  const changeIds = recordJournalChanges([{
+    taskId: taskId,
+    beforeRow: originalRow,
+    afterRow: newRow,
+    operation: JOURNAL_OPERATIONS.UNDO,
+    changeSetId: changeSetId
+  }]);
+
+  markJournalEntriesUndone(entries, changeIds[0] || 'unjournaled');
+
+  return {
+    taskId: taskId,
+    changeId: changeIds[0] || null,
+    task: formatTaskResponse(newRow, rowIndex, COLUMN_ORDER)
+  };
+}
+
+/**
+ * Check whether a journal entry can still be undone
+ * Undo entries themselves are not undone again; redo is a new change.
+ * @param {Object} entry - Journal entry
+ * @returns {boolean} True if undoable
+ */
+function isJournalEntryUndoable(entry) {
+  return !entry.undoneBy && entry.operation !== JOURNAL_OPERATIONS.UNDO;
+}
+
+/**
+ * Mark journal entries as undone
+ * @param {Array<Object>} entries - Journal entries (with rowIndex)
+ * @param {string} undoChangeId - Change ID of the undo entry
+ */
+function markJournalEntriesUndone(entries, undoChangeId) {
+  const sheet = initializeJournalSheet();
+  const column = JOURNAL_COLUMN_ORDER.indexOf('UNDONE_BY') + 1;
+
+  entries.forEach(entry => {
+    sheet.getRange(entry.rowIndex, column).setValue(undoChangeId);
+  });
+}
+
+/**
+ * Read the active journal sheet, oldest entry first
+ * Rotated journal sheets are history only and cannot be undone from.
+ * @returns {Array<Object>} Journal entries with rowIndex
+ */
+function readJournalEntries() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(JOURNAL_SHEET_NAME);
+
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return [];
+  }
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, JOURNAL_COLUMN_ORDER.length).getValues()
+    .map((row, i) => formatJournalEntry(row, i + 2));
+}
+
+/**
+ * Format a journal sheet row
+ * @param {Array} row - Journal row
+ * @param {number} rowIndex - Sheet row (1-based)
+ * @returns {Object} Journal entry
+ */
+function formatJournalEntry(row, rowIndex) {
+  const value = key => row[JOURNAL_COLUMN_ORDER.indexOf(key)];
+  const timestamp = value('TIMESTAMP');
+
+  return {
+    rowIndex: rowIndex,
+    changeId: value('CHANGE_ID'),
+    timestamp: timestamp instanceof Date ? timestamp.toISOString() : String(timestamp),
+    taskId: value('TASK_ID'),
+    operation: value('OPERATION'),
+    changeSetId: value('CHANGE_SET_ID') || null,
+    actor: value('ACTOR'),
+    changes: safeJsonParse(value('CHANGES'), {}) || {},
+    undoneBy: value('UNDONE_BY') || null,
+    revisionSeqs: safeJsonParse(value('REVISION_SEQS'), []) || []
+  };
+}
+
+/**
+ * Summarize the most recent change sets that can still be reverted
+ * @param {number} limit - Maximum change sets
+ * @returns {Array<Object>} [{changeSetId, timestamp, actor, tasks}], newest first
+ */
+function getRecentChangeSets(limit = 10) {
+  const sets = {};
+
+  readJournalEntries()
+    .filter(entry => entry.changeSetId && isJournalEntryUndoable(entry))
+    .forEach(entry => {
+      const set = sets[entry.changeSetId] = sets[entry.changeSetId] ||
+        { changeSetId: entry.changeSetId, timestamp: entry.timestamp, actor: entry.actor, tasks: 0 };
+      set.timestamp = entry.timestamp;
+      set.tasks++;
+    });
+
+  return Object.values(sets)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+    .slice(0, limit);
+}
+
+/**
+ * Initialize the journal sheet if needed
+ * @returns {Sheet} Active journal sheet
+ */
+function initializeJournalSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(JOURNAL_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(JOURNAL_SHEET_NAME);
+    sheet.hideSheet();
+
+    const headers = JOURNAL_COLUMN_ORDER.map(key => JOURNAL_COLUMNS[key]);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  } else if (sheet.getLastColumn() < JOURNAL_COLUMN_ORDER.length) {
+    // Journals started before a column was added get its header
+    const headers = JOURNAL_COLUMN_ORDER.map(key => JOURNAL_COLUMNS[key]);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  }
+
+  return sheet;
+}
+
+/**
+ * Move a full journal sheet to an archive and start a fresh one
+ * @param {Sheet} sheet - Active journal sheet
+ * @param {number} incomingRows - Rows about to be appended
+ * @returns {Sheet} Sheet to append to
+ */
+function rotateJournalSheetIfNeeded(sheet, incomingRows) {
+  if (sheet.getLastRow() - 1 + incomingRows <= JOURNAL_MAX_ROWS) {
+    return sheet;
+  }
+
+  const archiveName = JOURNAL_ARCHIVE_PREFIX +
+    Utilities.formatDate(new Date(), 'UTC', 'yyyyMMdd_HHmmss');
+
+  sheet.setName(archiveName);
+
+  info('Change journal rotated', { archive: archiveName, rows: sheet.getLastRow() - 1 });
+
+  return initializeJournalSheet();
+}
+
+/**
+ * Menu: undo the last N changes to a task
+ */
+function showUndoTaskChangesDialog() {
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.prompt(
+    'Undo Task Changes',
+    'Enter the task ID, optionally followed by how many changes to undo (e.g. "abc-123, 2"):',
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const parts = response.getResponseText().split(',').map(part => part.trim());
+  const taskId = parts[0];
+  const count = parseInt(parts[1]) || 1;
+
+  if (!taskId) return;
+
+  try {
+    const result = undoTaskChanges(taskId, count);
+    ui.alert(
+      'Changes Undone',
+      `Undid ${result.undone} change${result.undone > 1 ? 's' : ''} to task ${taskId}.` +
+      (result.task.deletedAt ? '' : `\nStatus is now ${result.task.status}.`),
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    ui.alert('Error', 'Undo failed: ' + e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu: revert one batch update
+ */
+function showRevertChangeSetDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const recent = getRecentChangeSets();
+
+  let message = 'Enter the change set ID of the batch update to revert.';
+  if (recent.length > 0) {
+    message += '\n\nRecent batch updates:\n' + recent.map(set =>
+      `${set.changeSetId}  ${set.timestamp}  ${set.actor}  (${set.tasks} tasks)`
+    ).join('\n');
+  }
+
+  const response = ui.prompt('Revert Batch Update', message, ui.ButtonSet.OK_CANCEL);
+  const changeSetId = response.getResponseText().trim();
+
+  if (response.getSelectedButton() !== ui.Button.OK || !changeSetId) return;
+
+  try {
+    const result = revertChangeSet(changeSetId);
+
+    let summary = `Reverted ${result.reverted.length} tasks.`;
+    if (result.conflicts.length > 0) {
+      summary += `\n\n${result.conflicts.length} tasks were changed afterwards and left as they are:\n` +
+        result.conflicts.slice(0, 10).map(conflict => conflict.taskId).join('\n');
+    }
+
+    ui.alert('Batch Update Reverted', summary, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', 'Revert failed: ' + e.message, ui.ButtonSet.OK);
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Task lifecycle state machine
+ * Single transition table for STATUS_VALUES × REVIEW_STATUS_VALUES
+ * shared by the API, manual review and batch updates
+ */
+
+/**
+ * Wildcard review status. In `from` it matches any review status,
+ * in `to` it means the review status is left unchanged.
+ */
+const ANY_REVIEW_STATUS = '*';
+
+/**
+ * Get review statuses that wildcard rules do not match
+ * A disputed task only moves through its explicit adjudication rules.
+ * @returns {Array<string>} Frozen review statuses
+ */
+function getFrozenReviewStatuses() {
+  return [REVIEW_STATUS_VALUES.DISPUTED];
+}
+
+/**
+ * Get the task transition table
+ * Built on demand so it can reference constants from other script files.
+ * Each entry is [status, reviewStatus] → [status, reviewStatus] with an action label.
+ * An empty review status ('') means the task has not been reviewed.
+ * Targets with passed/auto_passed are server decisions: the API never takes
+ * a review status from client input (see CLIENT_TASK_UPDATE_FIELDS).
+ * @returns {Array<Object>} Transition rules
+ */
+function getTaskTransitions() {
+  const S = STATUS_VALUES;
+  const R = REVIEW_STATUS_VALUES;
+  const ANY = ANY_REVIEW_STATUS;
+
+  return [
+    // Open work
+    { from: [S.OPEN, ANY], to: [S.IN_PROGRESS, ANY], action: 'assign' },
+    { from: [S.OPEN, ANY], to: [S.FLAGGED, ANY], action: 'flag' },
+
+    // Active work
+    { from: [S.IN_PROGRESS, ANY], to: [S.COMPLETE, R.PENDING], action: 'complete' },
+    { from: [S.IN_PROGRESS, ANY], to: [S.COMPLETE, R.AUTO_PASSED], action: 'complete_auto_passed' },
+    { from: [S.IN_PROGRESS, R.FAILED], to: [S.COMPLETE, R.PASSED], action: 'reviewer_completes_own_rework' },
+    { from: [S.IN_PROGRESS, ANY], to: [S.OPEN, ANY], action: 'release' },
+    { from: [S.IN_PROGRESS, ANY], to: [S.REWORK, ANY], action: 'release_rework' },
+    { from: [S.IN_PROGRESS, ANY], to: [S.FLAGGED, ANY], action: 'flag' },
+
+    // Rework
+    { from: [S.REWORK, ANY], to: [S.IN_PROGRESS, ANY], action: 'assign' },
+    { from: [S.REWORK, ANY], to: [S.COMPLETE, R.PENDING], action: 'complete' },
+    { from: [S.REWORK, R.FAILED], to: [S.COMPLETE, R.PASSED], action: 'reviewer_completes_own_rework' },
+    { from: [S.REWORK, ANY], to: [S.FLAGGED, ANY], action: 'flag' },
+
+    // Disputed reviews (frozen until adjudicated)
+    { from: [S.REWORK, R.FAILED], to: [S.REWORK, R.DISPUTED], action: 'dispute' },
+    { from: [S.REWORK, R.DISPUTED], to: [S.COMPLETE, R.PASSED], action: 'dispute_overturned' },
+    { from: [S.REWORK, R.DISPUTED], to: [S.REWORK, R.FAILED], action: 'dispute_upheld' },
+
+    // Review
+    { from: [S.COMPLETE, ANY], to: [S.COMPLETE, R.PASSED], action: 'review_pass' },
+    { from: [S.COMPLETE, ANY], to: [S.COMPLETE, R.PENDING], action: 'review_reset' },
+    { from: [S.COMPLETE, ANY], to: [S.REWORK, R.FAILED], action: 'review_fail' },
+    { from: [S.COMPLETE, ANY], to: [S.REWORK, ANY], action: 'rework' },
+
+    // Flagged (rejected is terminal)
+    { from: [S.FLAGGED, ANY], to: [S.OPEN, ANY], action: 'unflag' },
+    { from: [S.FLAGGED, ANY], to: [S.REWORK, ANY], action: 'unflag' },
+    { from: [S.FLAGGED, ANY], to: [S.REJECTED, ANY], action: 'reject' }
+  ];
+}
+
+/**
+ * Normalize a review status for table lookups
+ * @param {string|null} reviewStatus - Review status value
+ * @returns {string} Review status or '' when unreviewed
+ */
+function normalizeReviewStatus(reviewStatus) {
+  return reviewStatus ? String(reviewStatus) : '';
+}
+
+/**
+ * Get the states a task may move to from its current state
+ * @param {string} status - Current status
+ * @param {string|null} reviewStatus - Current review status
+ * @returns {Array<Object>} Allowed {status, reviewStatus, action} targets
+ */
+function getAllowedTransitions(status, reviewStatus) {
+  const currentReview = normalizeReviewStatus(reviewStatus);
+  const frozen = getFrozenReviewStatuses().includes(currentReview);
+
+  return getTaskTransitions()
+    .filter(rule => rule.from[0] === status &&
+      ((rule.from[1] === ANY_REVIEW_STATUS && !frozen) || rule.from[1] === currentReview))
+    .map(rule => ({
+      status: rule.to[0],
+      reviewStatus: rule.to[1] === ANY_REVIEW_STATUS ? (currentReview || null) : rule.to[1],
+      action: rule.action
+    }));
+}
+
+/**
+ * Find the transition rule matching a state change
+ * @param {Object} from - {status, reviewStatus}
+ * @param {Object} to - {status, reviewStatus}
+ * @returns {Object|null} Matching allowed transition or null
+ */
+function findTransition(from, to) {
+  const targetReview = normalizeReviewStatus(to.reviewStatus);
+
+  return getAllowedTransitions(from.status, from.reviewStatus).find(transition =>
+    transition.status === to.status &&
+    normalizeReviewStatus(transition.reviewStatus) === targetReview
+  ) || null;
+}
+
+/**
+ * Validate that applying updates to a task is an allowed lifecycle transition
+ * Updates that leave both status and review status unchanged are always allowed.
+ * @param {Object} currentTask - Current task ({status, reviewStatus, taskId})
+ * @param {Object} updates - Pending updates
+ * @returns {Object|null} Matching transition, or null when the state does not change
+ * @throws {TransitionError} If the transition is not in the table
+ */
+function assertTaskTransition(currentTask, updates) {
+  const from = {
+    status: currentTask.status,
+    reviewStatus: normalizeReviewStatus(currentTask.reviewStatus)
+  };
+  const to = {
+    status: updates.status !== undefined ? updates.status : from.status,
+    reviewStatus: updates.reviewStatus !== undefined ?
+      normalizeReviewStatus(updates.reviewStatus) : from.reviewStatus
+  };
+
+  if (from.status === to.status && from.reviewStatus === to.reviewStatus) {
+    return null;
+  }
+
+  const transition = findTransition(from, to);
+
+  if (!transition) {
+    throw new TransitionError(
+      `Invalid transition for task ${currentTask.taskId}: ` +
+      `${describeTaskState(from)} → ${describeTaskState(to)}`,
+      from,
+      to,
+      getAllowedTransitions(from.status, from.reviewStatus)
+    );
+  }
+
+  return transition;
+}
+
+/**
+ * Describe a task state for error messages
+ * @param {Object} state - {status, reviewStatus}
+ * @returns {string} e.g. "complete/pending" or "open/unreviewed"
+ */
+function describeTaskState(state) {
+  return `${state.status || 'none'}/${state.reviewStatus || 'unreviewed'}`;
+}
@@ -62,6 +62,7 @@ function getTasksForExportSimple(filters = {}) {
   // Process each row sequentially
   for (let i = 1; i < data.length; i++) {
     const row = data[i];
+    if (isTaskRowDeleted(row)) continue;
     let include = true;
     let exclusionReason = '';
     
@@ -129,13 +130,14 @@ function getTasksForExportSimple(filters = {}) {
           exclusionReason = 'failed';
           exclusionReasons.failed++;
         }
-      } else if (reviewStatus !== REVIEW_STATUS_VALUES.PASSED) {
+      } else if (reviewStatus !== REVIEW_STATUS_VALUES.PASSED &&
+                 reviewStatus !== REVIEW_STATUS_VALUES.AUTO_PASSED) {
         // Unknown review status - exclude for safety
         include = false;
         exclusionReason = 'unknownReview';
         exclusionReasons.unknownReview++;
       }
-      // If reviewStatus === 'passed', always include (no additional check needed)
+      // If reviewStatus is 'passed' or 'auto_passed', always include (no additional check needed)
     }
     
     // STEP 6: Never include already exported tasks
@@ -218,6 +220,7 @@ function getTasksByIds(taskIds) {
   // Process each row to find matching task IDs
   for (let i = 1; i < data.length; i++) {
     const row = data[i];
+    if (isTaskRowDeleted(row)) continue;
     const taskId = row[columns.TASK_ID];
     
     if (taskIds.includes(taskId)) {
@@ -281,6 +284,7 @@ function getStagedExportBatches() {
   // Find all tasks with staged export status OR failed delivery status
   for (let i = 1; i < data.length; i++) {
     const row = data[i];
+    if (isTaskRowDeleted(row)) continue;
     
     if (row[columns.EXPORT_STATUS] === EXPORT_STATUS_VALUES.STAGED || 
         row[columns.EXPORT_STATUS] === EXPORT_STATUS_VALUES.DELIVERY_FAILED) {
@@ -450,30 +454,18 @@ function getBatchProgress(batchId) {
  * @returns {number} Average duration in minutes
  */
 function getAverageTaskDuration() {
-  const sheet = getTasksSheet();
-  const data = sheet.getDataRange().getValues();
-  
-  if (data.length <= 1) return 0;
-  
-  const columns = {};
-  COLUMN_ORDER.forEach(key => {
-    columns[key] = getColumnIndex(key) - 1;
-  });
+  // Reads only complete rows through the status index
+  const completed = filterTaskRows({ status: STATUS_VALUES.COMPLETE });
   
   let totalDuration = 0;
   let count = 0;
   
-  for (let i = 1; i < data.length; i++) {
-    const row = data[i];
-    
-    if (row[columns.STATUS] === STATUS_VALUES.COMPLETE && 
-        row[columns.START_TIME] && 
-        row[columns.END_TIME]) {
-      const duration = new Date(row[columns.END_TIME]) - new Date(row[columns.START_TIME]);
-      totalDuration += duration;
+  completed.forEach(task => {
+    if (task.startTime && task.endTime) {
+      totalDuration += new Date(task.endTime) - new Date(task.startTime);
       count++;
     }
-  }
+  });
   
   return count > 0 ? Math.round(totalDuration / count / 1000 / 60) : 0;
 }
@@ -499,6 +491,7 @@ function findProblematicTasks() {
   
   for (let i = 1; i < data.length; i++) {
     const row = data[i];
+    if (isTaskRowDeleted(row)) continue;
     const task = formatTaskResponse(row, i + 1, COLUMN_ORDER);
     task.issues = [];
     
@@ -535,4 +528,178 @@ function findProblematicTasks() {
   }
   
   return issues;
-}
\ No newline at end of file
+}
+
+/**
+ * Find the best eligible task for an agent to claim
+ * Rework already assigned to the agent comes first, then open tasks.
+ * Within each tier tasks are ordered by batch priority (highest first)
+ * and then by import time (oldest first).
+ * @param {string} agentEmail - Agent email
+ * @param {Array<string>} groups - Groups the agent may work on
+ * @returns {Object|null} Task to claim or null if none eligible
+ */
+function findNextTaskForAgent(agentEmail, groups) {
+  if (!groups || groups.length === 0) return null;
+  
+  // The status index limits the read to open and rework rows
+  const tasks = filterTaskRows({
+    status: [STATUS_VALUES.OPEN, STATUS_VALUES.REWORK].join(','),
+    group: groups.join(',')
+  });
+  
+  const batchPriorities = getBatchPriorities();
+  const candidates = [];
+  
+  tasks.forEach(task => {
+    // Disputed rework waits for adjudication
+    if (task.reviewStatus === REVIEW_STATUS_VALUES.DISPUTED) return;
+    
+    let tier;
+    if (task.status === STATUS_VALUES.REWORK && task.agentEmail === agentEmail) {
+      tier = 0;
+    } else if (task.status === STATUS_VALUES.OPEN ||
+               (task.status === STATUS_VALUES.REWORK && !task.agentEmail)) {
+      // Rework whose assignment expired has no owner and is claimable like open work
+      tier = 1;
+    } else {
+      return;
+    }
+    
+    candidates.push({
+      task: task,
+      tier: tier,
+      priority: batchPriorities[task.batchId] || 0,
+      importTime: parseDate(task.importTime)
+    });
+  });
+  
+  if (candidates.length === 0) return null;
+  
+  candidates.sort((a, b) => {
+    if (a.tier !== b.tier) return a.tier - b.tier;
+    if (a.priority !== b.priority) return b.priority - a.priority;
+    // Tasks without an import time sort last
+    const aTime = a.importTime ? a.importTime.getTime() : Number.MAX_SAFE_INTEGER;
+    const bTime = b.importTime ? b.importTime.getTime() : Number.MAX_SAFE_INTEGER;
+    return aTime - bTime;
+  });
+  
+  return candidates[0].task;
+}
+
+/**
+ * Report flagged input-quality problems per import batch
+ * Includes resolved flags; the flag columns keep the most recent flag of each task.
+ * @param {Object} filters - {batchId, reason, resolution} (resolution 'none' = unresolved)
+ * @returns {Object} {flags, byBatch}
+ */
+function getFlagReport(filters = {}) {
+  const tasks = filterTaskRows({
+    batchId: filters.batchId,
+    flagReason: filters.reason || Object.values(FLAG_REASON_VALUES).join(','),
+    flagResolution: filters.resolution
+  });
+  
+  const byBatch = {};
+  
+  const flags = tasks.map(task => {
+    if (!byBatch[task.batchId]) {
+      byBatch[task.batchId] = { total: 0, unresolved: 0, reopened: 0, rejected: 0, byReason: {} };
+    }
+    
+    const batch = byBatch[task.batchId];
+    batch.total++;
+    batch.byReason[task.flagReason] = (batch.byReason[task.flagReason] || 0) + 1;
+    
+    if (task.flagResolution === FLAG_RESOLUTION_VALUES.REOPENED) {
+      batch.reopened++;
+    } else if (task.flagResolution === FLAG_RESOLUTION_VALUES.REJECTED) {
+      batch.rejected++;
+    } else {
+      batch.unresolved++;
+    }
+    
+    return {
+      taskId: task.taskId,
+      batchId: task.batchId,
+      group: task.group,
+      folderName: task.folderName,
+      status: task.status,
+      flagReason: task.flagReason,
+      flagNote: task.flagNote,
+      flaggedBy: task.flaggedBy,
+      flagTime: task.flagTime,
+      flagResolution: task.flagResolution
+    };
+  });
+  
+  return { flags: flags, byBatch: byBatch };
+}
+
+/**
+ * Build the dispute report: open disputes and dispute rates per reviewer
+ * Rates are computed from revision history, so failures already reworked still count.
+ * @param {Object} filters - {batchId, reviewerEmail}
+ * @returns {Object} {openDisputes, byReviewer}
+ */
+function getDisputeReport(filters = {}) {
+  const tasks = filterTaskRows({ batchId: filters.batchId });
+  const byReviewer = {};
+  const openDisputes = [];
+  
+  const reviewerStats = email => {
+    if (!byReviewer[email]) {
+      byReviewer[email] = { failedReviews: 0, disputed: 0, overturned: 0, upheld: 0 };
+    }
+    return byReviewer[email];
+  };
+  
+  const histories = getRevisionHistories(tasks);
+  
+  tasks.forEach(task => {
+    const history = histories[task.taskId];
+    
+    history.forEach(entry => {
+      if (!entry.type && entry.reviewedBy) {
+        reviewerStats(entry.reviewedBy).failedReviews++;
+      } else if (entry.type === 'dispute' && entry.reviewedBy) {
+        reviewerStats(entry.reviewedBy).disputed++;
+      } else if (entry.type === 'dispute_resolution' && entry.reviewedBy) {
+        reviewerStats(entry.reviewedBy)[entry.outcome]++;
+      }
+    });
+    
+    if (task.reviewStatus === REVIEW_STATUS_VALUES.DISPUTED) {
+      const dispute = history.filter(entry => entry.type === 'dispute').pop() || {};
+      
+      openDisputes.push({
+        taskId: task.taskId,
+        batchId: task.batchId,
+        group: task.group,
+        folderName: task.folderName,
+        agentEmail: dispute.agentEmail,
+        reviewedBy: dispute.reviewedBy,
+        reviewScore: dispute.reviewScore,
+        comment: dispute.comment,
+        disputedAt: dispute.disputedAt
+      });
+    }
+  });
+  
+  Object.values(byReviewer).forEach(stats => {
+    stats.disputeRate = stats.failedReviews > 0 ?
+      Math.round(stats.disputed / stats.failedReviews * 1000) / 1000 : null;
+    stats.overturnRate = stats.disputed > 0 ?
+      Math.round(stats.overturned / stats.disputed * 1000) / 1000 : null;
+  });
+  
+  if (filters.reviewerEmail) {
+    return {
+      openDisputes: openDisputes.filter(dispute => dispute.reviewedBy === filters.reviewerEmail),
+      byReviewer: byReviewer[filters.reviewerEmail] ? { [filters.reviewerEmail]: byReviewer[filters.reviewerEmail] } : {}
+    };
+  }
+  
+  return { openDisputes: openDisputes, byReviewer: byReviewer };
+}
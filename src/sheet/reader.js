@@ -5,38 +5,64 @@
 
 /**
  * Get task by ID
+ * Tasks moved to the archive are returned with `archived: true`.
  * @param {string} taskId - Task ID to find
+ * @param {Object} options - {includeDeleted: return tombstoned tasks too}
  * @returns {Object|null} Task object or null
  */
-function getTaskById(taskId) {
-  const sheet = getTasksSheet();
-  const data = sheet.getDataRange().getValues();
+function getTaskById(taskId, options = {}) {
+  const rowIndex = findTaskRowIndex(taskId);
   
-  if (data.length <= 1) return null;
+  if (rowIndex === -1) return taskId ? getArchivedTask(taskId) : null;
   
-  const taskIdColumn = getColumnIndex('TASK_ID') - 1;
+  const row = getTasksSheet().getRange(rowIndex, 1, 1, COLUMN_ORDER.length).getValues()[0];
   
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][taskIdColumn] === taskId) {
-      return formatTaskResponse(data[i], i + 1, COLUMN_ORDER);
-    }
-  }
+  if (isTaskRowDeleted(row) && !options.includeDeleted) return null;
   
-  return null;
+  return formatTaskResponse(row, rowIndex, COLUMN_ORDER);
 }
 
+/**
+ * Fields accepted by the `sort` parameter of queryTasksPage
+ */
+const TASK_SORT_FIELDS = [
+  'taskId', 'batchId', 'group', 'folderName', 'importTime', 'status',
+  'agentEmail', 'startTime', 'endTime', 'reviewStatus', 'reviewScore',
+  'reviewTime', 'revisionCount', 'exportTime', 'exportBatchId',
+  'exportStatus', 'version'
+];
+
+const TASK_TIME_FIELDS = ['importTime', 'startTime', 'endTime', 'reviewTime', 'exportTime'];
+
+const DEFAULT_TASK_SORT = 'importTime';
+
 /**
  * Query tasks with filters
- * @param {Object} filters - Query filters
+ * @param {Object} filters - Query filters (see taskRowMatchesFilters)
  * @returns {Array} Array of tasks
  */
 function queryTasks(filters = {}) {
-  const sheet = getTasksSheet();
-  const data = sheet.getDataRange().getValues();
+  const results = filterTaskRows(filters);
+  
+  // Apply pagination
+  const offset = filters.offset || 0;
+  const limit = filters.limit || 100;
   
-  if (data.length <= 1) return [];
+  return results.slice(offset, offset + limit);
+}
+
+/**
+ * Return every task matching the filters
+ * Status, agent and batch filters read only the candidate rows from the task index;
+ * other filters scan the whole sheet.
+ * @param {Object} filters - Query filters
+ * @returns {Array} Formatted tasks in sheet order
+ */
+function filterTaskRows(filters) {
+  const candidateRows = findIndexedTaskRows(filters);
+  const rows = candidateRows ? readTaskRows(candidateRows) : null;
   
-  let results = [];
+  const results = [];
   
   // Column indices
   const columns = {};
@@ -44,55 +70,282 @@ function queryTasks(filters = {}) {
     columns[key] = getColumnIndex(key) - 1;
   });
   
-  // Filter data
+  // Comma-separated list filters are parsed once, not per row
+  const lists = {
+    status: parseListFilter(filters.status),
+    group: parseListFilter(filters.group),
+    reviewStatus: parseListFilter(filters.reviewStatus),
+    exportStatus: parseListFilter(filters.exportStatus),
+    flagReason: parseListFilter(filters.flagReason),
+    flagResolution: parseListFilter(filters.flagResolution)
+  };
+  
+  if (rows) {
+    // Candidates can be stale; the full filters decide
+    rows.forEach(entry => {
+      if (taskRowMatchesFilters(entry.row, columns, filters, lists)) {
+        results.push(formatTaskResponse(entry.row, entry.rowIndex, COLUMN_ORDER));
+      }
+    });
+    return results;
+  }
+  
+  const data = getTasksSheet().getDataRange().getValues();
+  
   for (let i = 1; i < data.length; i++) {
-    const row = data[i];
-    let include = true;
-    
-    // Apply filters
-    if (filters.batchId && row[columns.BATCH_ID] !== filters.batchId) {
-      include = false;
+    if (taskRowMatchesFilters(data[i], columns, filters, lists)) {
+      results.push(formatTaskResponse(data[i], i + 1, COLUMN_ORDER));
     }
+  }
+  
+  return results;
+}
+
+/**
+ * Check a task row against query filters
+ * List filters accept comma-separated values; `none` matches an empty cell.
+ * @param {Array} row - Sheet row
+ * @param {Object} columns - Column key to 0-based index
+ * @param {Object} filters - {batchId, status, agentEmail, startDate, endDate, group,
+ *   reviewStatus, exportStatus, exportBatchId, minRevisionCount, maxRevisionCount,
+ *   endTimeFrom, endTimeTo, folderName, flagReason, flagResolution, includeDeleted}
+ * @param {Object} lists - Parsed list filters
+ * @returns {boolean} True if the row matches
+ */
+function taskRowMatchesFilters(row, columns, filters, lists) {
+  if (!filters.includeDeleted && row[columns.DELETED_AT]) return false;
+  
+  if (filters.batchId && row[columns.BATCH_ID] !== filters.batchId) return false;
+  if (filters.agentEmail && row[columns.AGENT_EMAIL] !== filters.agentEmail) return false;
+  if (filters.exportBatchId && row[columns.EXPORT_BATCH_ID] !== filters.exportBatchId) return false;
+  
+  if (lists.status && !listFilterMatches(lists.status, row[columns.STATUS])) return false;
+  if (lists.group && !listFilterMatches(lists.group, row[columns.GROUP])) return false;
+  if (lists.reviewStatus && !listFilterMatches(lists.reviewStatus, row[columns.REVIEW_STATUS])) return false;
+  if (lists.exportStatus && !listFilterMatches(lists.exportStatus, row[columns.EXPORT_STATUS])) return false;
+  if (lists.flagReason && !listFilterMatches(lists.flagReason, row[columns.FLAG_REASON])) return false;
+  if (lists.flagResolution && !listFilterMatches(lists.flagResolution, row[columns.FLAG_RESOLUTION])) return false;
+  
+  if (filters.startDate || filters.endDate) {
+    const importTime = new Date(row[columns.IMPORT_TIME]);
+    if (filters.startDate && importTime < new Date(filters.startDate)) return false;
+    if (filters.endDate && importTime > new Date(filters.endDate)) return false;
+  }
+  
+  if (filters.endTimeFrom || filters.endTimeTo) {
+    if (!row[columns.END_TIME]) return false;
+    const endTime = new Date(row[columns.END_TIME]);
+    if (filters.endTimeFrom && endTime < new Date(filters.endTimeFrom)) return false;
+    if (filters.endTimeTo && endTime > new Date(filters.endTimeTo)) return false;
+  }
+  
+  const revisionCount = parseInt(row[columns.REVISION_COUNT]) || 0;
+  if (filters.minRevisionCount !== undefined && revisionCount < filters.minRevisionCount) return false;
+  if (filters.maxRevisionCount !== undefined && revisionCount > filters.maxRevisionCount) return false;
+  
+  if (filters.folderName &&
+      String(row[columns.FOLDER_NAME]).toLowerCase().indexOf(filters.folderName.toLowerCase()) === -1) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Parse a comma-separated list filter
+ * @param {string} value - Filter value
+ * @returns {Array<string>|null} Values, or null when the filter is not set
+ */
+function parseListFilter(value) {
+  if (!value) return null;
+  
+  return String(value).split(',').map(v => v.trim()).filter(v => v);
+}
+
+/**
+ * Check a cell against a parsed list filter
+ * @param {Array<string>} list - Accepted values ('none' accepts empty)
+ * @param {*} value - Cell value
+ * @returns {boolean} True if accepted
+ */
+function listFilterMatches(list, value) {
+  if (value === '' || value === null || value === undefined) {
+    return list.includes('none');
+  }
+  
+  return list.includes(String(value));
+}
+
+/**
+ * Query one page of tasks with filters, multi-key sorting and keyset cursors
+ * The cursor encodes the sort key of the last task returned, so the next page
+ * starts strictly after it regardless of rows appended in between.
+ * @param {Object} filters - Query filters
+ * @param {Object} options - {sort, cursor, offset, limit}
+ * @returns {Object} {tasks, total, nextCursor, sort}
+ */
+function queryTasksPage(filters, options = {}) {
+  const sortSpec = parseTaskSort(options.sort || DEFAULT_TASK_SORT);
+  const sortKey = formatTaskSort(sortSpec);
+  const limit = options.limit || 100;
+  
+  const entries = filterTaskRows(filters).map(task => ({
+    task: task,
+    key: sortSpec.map(spec => getTaskSortValue(task, spec.field)).concat([task.taskId])
+  }));
+  
+  entries.sort((a, b) => compareTaskSortKeys(a.key, b.key, sortSpec));
+  
+  let start = options.offset || 0;
+  
+  if (options.cursor) {
+    const cursor = decodeTaskCursor(options.cursor);
     
-    if (filters.status) {
-      // Support comma-separated status values for elegant multi-status queries
-      const statusList = filters.status.includes(',') 
-        ? filters.status.split(',').map(s => s.trim())
-        : [filters.status];
-      
-      if (!statusList.includes(row[columns.STATUS])) {
-        include = false;
-      }
+    if (cursor.sort !== sortKey) {
+      throw new ValidationError(
+        `Cursor was issued for sort "${cursor.sort}", not "${sortKey}"`,
+        'cursor',
+        options.cursor
+      );
     }
     
-    if (filters.agentEmail && row[columns.AGENT_EMAIL] !== filters.agentEmail) {
-      include = false;
+    start = entries.findIndex(entry => compareTaskSortKeys(entry.key, cursor.key, sortSpec) > 0);
+    if (start === -1) {
+      start = entries.length;
     }
+  }
+  
+  const page = entries.slice(start, start + limit);
+  const hasNext = start + limit < entries.length;
+  
+  return {
+    tasks: page.map(entry => entry.task),
+    total: entries.length,
+    nextCursor: hasNext && page.length > 0 ?
+      encodeTaskCursor(sortKey, page[page.length - 1].key) : null,
+    sort: sortKey
+  };
+}
+
+/**
+ * Parse a sort parameter such as "status,-endTime"
+ * @param {string} sort - Comma-separated fields, '-' prefix for descending
+ * @returns {Array<Object>} [{field, descending}]
+ * @throws {ValidationError} On unknown fields
+ */
+function parseTaskSort(sort) {
+  return String(sort).split(',').map(s => s.trim()).filter(s => s).map(part => {
+    const descending = part.charAt(0) === '-';
+    const field = descending ? part.substring(1) : part;
     
-    if (filters.startDate) {
-      const importTime = new Date(row[columns.IMPORT_TIME]);
-      if (importTime < new Date(filters.startDate)) {
-        include = false;
-      }
+    if (!TASK_SORT_FIELDS.includes(field)) {
+      throw new ValidationError(
+        `Cannot sort by ${field}. Sortable fields: ${TASK_SORT_FIELDS.join(', ')}`,
+        'sort',
+        sort
+      );
     }
     
-    if (filters.endDate) {
-      const importTime = new Date(row[columns.IMPORT_TIME]);
-      if (importTime > new Date(filters.endDate)) {
-        include = false;
-      }
+    return { field: field, descending: descending };
+  });
+}
+
+/**
+ * Format a parsed sort back into its canonical parameter string
+ * @param {Array<Object>} sortSpec - Parsed sort
+ * @returns {string} e.g. "status,-endTime"
+ */
+function formatTaskSort(sortSpec) {
+  return sortSpec.map(spec => (spec.descending ? '-' : '') + spec.field).join(',');
+}
+
+/**
+ * Get a comparable sort value for a task field
+ * @param {Object} task - Formatted task
+ * @param {string} field - Field name
+ * @returns {number|string|null} Comparable value (times as epoch ms)
+ */
+function getTaskSortValue(task, field) {
+  const value = task[field];
+  
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  
+  if (TASK_TIME_FIELDS.includes(field)) {
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+  }
+  
+  return typeof value === 'number' ? value : String(value);
+}
+
+/**
+ * Compare two task sort keys
+ * Empty values sort last in ascending order; the trailing task ID breaks ties.
+ * @param {Array} a - Sort key
+ * @param {Array} b - Sort key
+ * @param {Array<Object>} sortSpec - Parsed sort
+ * @returns {number} Negative, zero or positive
+ */
+function compareTaskSortKeys(a, b, sortSpec) {
+  for (let i = 0; i < a.length; i++) {
+    const x = a[i];
+    const y = b[i];
+    let result = 0;
+    
+    if (x === y) {
+      result = 0;
+    } else if (x === null) {
+      result = 1;
+    } else if (y === null) {
+      result = -1;
+    } else if (typeof x !== typeof y) {
+      result = String(x) < String(y) ? -1 : 1;
+    } else {
+      result = x < y ? -1 : 1;
     }
     
-    if (include) {
-      results.push(formatTaskResponse(row, i + 1, COLUMN_ORDER));
+    if (result !== 0) {
+      return sortSpec[i] && sortSpec[i].descending ? -result : result;
     }
   }
   
-  // Apply pagination
-  const offset = filters.offset || 0;
-  const limit = filters.limit || 100;
+  return 0;
+}
+
+/**
+ * Encode an opaque pagination cursor
+ * @param {string} sortKey - Canonical sort string
+ * @param {Array} key - Sort key of the last returned task
+ * @returns {string} Web-safe base64 cursor
+ */
+function encodeTaskCursor(sortKey, key) {
+  return Utilities.base64EncodeWebSafe(JSON.stringify({ s: sortKey, k: key }), Utilities.Charset.UTF_8);
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object} {sort, key}
+ * @throws {ValidationError} If the cursor is malformed
+ */
+function decodeTaskCursor(cursor) {
+  let decoded = null;
   
-  return results.slice(offset, offset + limit);
+  try {
+    decoded = JSON.parse(
+      Utilities.newBlob(Utilities.base64DecodeWebSafe(cursor)).getDataAsString()
+    );
+  } catch (e) {
+    decoded = null;
+  }
+  
+  if (!decoded || typeof decoded.s !== 'string' || !Array.isArray(decoded.k)) {
+    throw new ValidationError('Invalid cursor', 'cursor', cursor);
+  }
+  
+  return { sort: decoded.s, key: decoded.k };
 }
 
 /**
@@ -178,7 +431,8 @@ function getTaskStatistics() {
     };
   }
   
-  const data = sheet.getRange(2, 1, lastRow - 1, COLUMN_ORDER.length).getValues();
+  const data = sheet.getRange(2, 1, lastRow - 1, COLUMN_ORDER.length).getValues()
+    .filter(row => !isTaskRowDeleted(row));
   
   const stats = {
     totalTasks: data.length,
@@ -220,18 +474,7 @@ function getTaskStatistics() {
  * @returns {number} Row index (1-based) or -1
  */
 function findTaskRowIndex(taskId) {
-  const sheet = getTasksSheet();
-  const data = sheet.getDataRange().getValues();
-  
-  if (data.length <= 1) return -1;
-  
-  const taskIdColumn = getColumnIndex('TASK_ID') - 1;
-  
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][taskIdColumn] === taskId) {
-      return i + 1; // Convert to 1-based index
-    }
-  }
+  if (!taskId) return -1;
   
-  return -1;
+  return lookupTaskRow(taskId);
 }
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * Reviewer queue and review claims
+ * A pending review is locked to one reviewer for a time window before it can be reviewed
+ */
+
+const DEFAULT_REVIEW_CLAIM_MINUTES = 30;
+
+/**
+ * Check whether a task has an unexpired review claim
+ * @param {Object} task - Task
+ * @param {number} now - Current time in ms (default: now)
+ * @returns {boolean} True if claimed and not expired
+ */
+function isReviewClaimActive(task, now = Date.now()) {
+  if (!task.reviewClaimedBy || !task.reviewClaimExpires) {
+    return false;
+  }
+
+  const expires = parseDate(task.reviewClaimExpires);
+  return !!expires && expires.getTime() > now;
+}
+
+/**
+ * Get pending reviews a reviewer may claim, oldest completion first
+ * Excludes the reviewer's own work and reviews claimed by someone else.
+ * Tasks without an end time come last.
+ * @param {string} reviewerEmail - Reviewer email
+ * @param {Object} filters - {group, batchId, limit}
+ * @returns {Array<Object>} Tasks, each with a `claimedByMe` flag
+ */
+function getReviewQueue(reviewerEmail, filters = {}) {
+  const now = Date.now();
+  const completedAt = task => {
+    const endTime = parseDate(task.endTime);
+    return endTime ? endTime.getTime() : Number.MAX_SAFE_INTEGER;
+  };
+
+  const pending = queryTasks({
+    status: STATUS_VALUES.COMPLETE,
+    reviewStatus: REVIEW_STATUS_VALUES.PENDING,
+    group: filters.group,
+    batchId: filters.batchId,
+    limit: Number.MAX_SAFE_INTEGER
+  });
+
+  return pending
+    .filter(task => task.agentEmail !== reviewerEmail)
+    .filter(task => !isReviewClaimActive(task, now) || task.reviewClaimedBy === reviewerEmail)
+    .sort((a, b) => completedAt(a) - completedAt(b))
+    .slice(0, filters.limit || 50)
+    .map(task => Object.assign(task, { claimedByMe: task.reviewClaimedBy === reviewerEmail && isReviewClaimActive(task, now) }));
+}
+
+/**
+ * Check that a reviewer holds the active claim on a task
+ * @param {Object} task - Task
+ * @param {string} reviewerEmail - Reviewer submitting the review
+ * @throws {ApiError} 409 if another reviewer holds the claim, 403 if the reviewer has no active claim
+ */
+function assertReviewClaim(task, reviewerEmail) {
+  const active = isReviewClaimActive(task);
+
+  if (active && task.reviewClaimedBy !== reviewerEmail) {
+    throw new ApiError(
+      `Review of task ${task.taskId} is claimed by ${task.reviewClaimedBy} until ${task.reviewClaimExpires}`,
+      409
+    );
+  }
+
+  if (!active) {
+    throw new ApiError(
+      `Claim the review with POST /api/review/claim before reviewing task ${task.taskId}`,
+      403
+    );
+  }
+}
+
+/**
+ * Get how long a review claim lasts
+ * @returns {number} Minutes
+ */
+function getReviewClaimMinutes() {
+  const configured = parseInt(
+    PropertiesService.getScriptProperties().getProperty('REVIEW_CLAIM_MINUTES')
+  );
+
+  return configured > 0 ? configured : DEFAULT_REVIEW_CLAIM_MINUTES;
+}
+
+/**
+ * Menu: configure the review claim window
+ */
+function configureReviewClaimWindow() {
+  const ui = SpreadsheetApp.getUi();
+
+  const result = ui.prompt(
+    'Configure Review Claim Window',
+    `Enter how many minutes a claimed review stays locked to its reviewer:\n\nCurrent: ${getReviewClaimMinutes()} minutes`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+
+  const minutes = parseInt(result.getResponseText().trim());
+
+  if (isNaN(minutes) || minutes < 1 || minutes > 1440) {
+    ui.alert('Error', 'Minutes must be a number between 1 and 1440', ui.ButtonSet.OK);
+    return;
+  }
+
+  PropertiesService.getScriptProperties().setProperty('REVIEW_CLAIM_MINUTES', minutes.toString());
+
+  info('Review claim window updated', { minutes: minutes });
+
+  ui.alert('Success', `Review claims now last ${minutes} minutes`, ui.ButtonSet.OK);
+}
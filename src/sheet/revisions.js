@@ -0,0 +1,359 @@
+/**
+ * Revision repository
+ * Revision history entries live in the Revisions sheet, one row per entry keyed by
+ * task ID and sequence number. Single-task reads and writes find their rows with a
+ * TextFinder on the task ID column, so they never read the whole sheet. Tasks not
+ * yet migrated still have a legacy JSON REVISION_HISTORY cell, which is read ahead
+ * of their sheet rows.
+ */
+
+const REVISIONS_SHEET_NAME = 'Revisions';
+
+const REVISION_COLUMNS = {
+  TASK_ID: 'Task ID',
+  SEQ: 'Seq',
+  REVISION: 'Revision',
+  TYPE: 'Type',
+  AGENT_EMAIL: 'Agent Email',
+  RECORDED_AT: 'Recorded At',
+  ENTRY: 'Entry'
+};
+
+const REVISION_COLUMN_ORDER = [
+  'TASK_ID', 'SEQ', 'REVISION', 'TYPE', 'AGENT_EMAIL', 'RECORDED_AT', 'ENTRY'
+];
+
+/**
+ * Get a task's revision history, oldest entry first
+ * @param {Object|string} task - Task (its legacy REVISION_HISTORY cell is included) or task ID
+ * @returns {Array<Object>} Revision entries
+ * @throws {SheetError} If a stored entry is not valid JSON
+ */
+function getRevisionHistory(task) {
+  const taskId = typeof task === 'string' ? task : task.taskId;
+  const legacy = typeof task === 'string' ? [] : parseLegacyRevisionHistory(task);
+
+  const stored = findRevisionRows(taskId)
+    .map(found => parseRevisionRow(found.row))
+    .sort((a, b) => a.seq - b.seq)
+    .map(record => record.entry);
+
+  return legacy.concat(stored);
+}
+
+/**
+ * Get revision histories for many tasks with a single sheet read
+ * Use for reports and sweeps; a single task reads only its rows via getRevisionHistory.
+ * Unreadable entries are logged and skipped so one bad row cannot fail a report.
+ * @param {Array<Object>} tasks - Tasks
+ * @returns {Object} Map of task ID to revision entries
+ */
+function getRevisionHistories(tasks) {
+  const histories = {};
+
+  tasks.forEach(task => {
+    histories[task.taskId] = parseLegacyRevisionHistory(task);
+  });
+
+  const records = [];
+  readRevisionRows().forEach(row => {
+    if (!histories[row[0]]) return;
+
+    try {
+      records.push(parseRevisionRow(row));
+    } catch (err) {
+      error('Skipping unreadable revision entry', { taskId: row[0], seq: row[1], error: err.message });
+    }
+  });
+
+  records
+    .sort((a, b) => a.seq - b.seq)
+    .forEach(record => histories[record.taskId].push(record.entry));
+
+  return histories;
+}
+
+/**
+ * Append entries to a task's revision history
+ * Call after the task row write succeeds so a rejected write leaves no entry behind;
+ * the entries are listed on that write's journal entry so undoing it removes them.
+ * @param {string} taskId - Task ID
+ * @param {Array<Object>} entries - Revision entries
+ */
+function appendRevisionEntries(taskId, entries) {
+  if (!entries || entries.length === 0) {
+    return;
+  }
+
+  withScriptLock(() => {
+    const sheet = initializeRevisionsSheet();
+    const lastSeq = findRevisionRows(taskId, sheet)
+      .reduce((max, found) => Math.max(max, parseInt(found.row[1]) || 0), 0);
+
+    const recordedAt = new Date().toISOString();
+    const rows = entries.map((entry, index) =>
+      buildRevisionRow(taskId, lastSeq + index + 1, entry, recordedAt)
+    );
+
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, REVISION_COLUMN_ORDER.length)
+      .setValues(rows);
+
+    recordJournalRevisionSeqs(taskId, rows.map(row => row[1]));
+  });
+
+  invalidateAgentReviewStats(entries);
+  recordAuditRevisions(taskId, entries);
+}
+
+/**
+ * Append one entry to a task's revision history
+ * @param {string} taskId - Task ID
+ * @param {Object} entry - Revision entry
+ */
+function appendRevisionEntry(taskId, entry) {
+  appendRevisionEntries(taskId, [entry]);
+}
+
+/**
+ * Delete revision entries of a task
+ * @param {string} taskId - Task ID
+ * @param {Array<number>} seqs - Sequence numbers to delete (all entries if omitted)
+ * @returns {number} Rows deleted
+ */
+function deleteRevisionEntries(taskId, seqs) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(REVISIONS_SHEET_NAME);
+
+  if (!sheet) {
+    return 0;
+  }
+
+  const deleted = findRevisionRows(taskId, sheet)
+    .filter(found => !seqs || seqs.includes(parseInt(found.row[1])));
+
+  deleteSheetRows(sheet, deleted.map(found => found.rowIndex));
+  invalidateAgentReviewStats(deleted.map(found => safeJsonParse(found.row[6], {}) || {}));
+
+  return deleted.length;
+}
+
+/**
+ * Get every revision entry recorded for an agent, across live and archived tasks
+ * Unreadable entries are logged and skipped.
+ * @param {string} agentEmail - Agent email
+ * @returns {Array<Object>} [{taskId, seq, entry}] in sheet order
+ */
+function getAgentRevisionEntries(agentEmail) {
+  const records = [];
+
+  findRevisionRowsBy('AGENT_EMAIL', agentEmail).forEach(found => {
+    try {
+      records.push(parseRevisionRow(found.row));
+    } catch (err) {
+      error('Skipping unreadable revision entry', { taskId: found.row[0], seq: found.row[1], error: err.message });
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Find a task's rows in the Revisions sheet
+ * @param {string} taskId - Task ID
+ * @param {Sheet} sheet - Revisions sheet (optional)
+ * @returns {Array<Object>} [{rowIndex, row}] in sheet order
+ */
+function findRevisionRows(taskId, sheet) {
+  return findRevisionRowsBy('TASK_ID', taskId, sheet);
+}
+
+/**
+ * Find Revisions sheet rows whose column holds a value
+ * Matching rows are located with a TextFinder on that column and read in runs of
+ * adjacent rows; past MAX_INDEXED_ROW_RUNS runs one full read is cheaper.
+ * @param {string} columnKey - Key in REVISION_COLUMNS
+ * @param {string} value - Exact cell value
+ * @param {Sheet} sheet - Revisions sheet (optional)
+ * @returns {Array<Object>} [{rowIndex, row}] in sheet order
+ */
+function findRevisionRowsBy(columnKey, value, sheet) {
+  const revisionsSheet = sheet || SpreadsheetApp.getActiveSpreadsheet().getSheetByName(REVISIONS_SHEET_NAME);
+
+  if (!value || !revisionsSheet || revisionsSheet.getLastRow() <= 1) {
+    return [];
+  }
+
+  const column = REVISION_COLUMN_ORDER.indexOf(columnKey);
+  const rowIndexes = revisionsSheet.getRange(2, column + 1, revisionsSheet.getLastRow() - 1, 1)
+    .createTextFinder(String(value))
+    .matchEntireCell(true)
+    .matchCase(true)
+    .findAll()
+    .map(range => range.getRow())
+    .sort((a, b) => a - b);
+
+  const runs = groupRowRuns(rowIndexes);
+  const found = [];
+  const collect = (row, rowIndex) => {
+    if (row[column] === value) {
+      found.push({ rowIndex: rowIndex, row: row });
+    }
+  };
+
+  if (runs.length > MAX_INDEXED_ROW_RUNS) {
+    readRevisionRows(revisionsSheet).forEach((row, i) => collect(row, i + 2));
+    return found;
+  }
+
+  runs.forEach(run => {
+    revisionsSheet.getRange(run.start, 1, run.length, REVISION_COLUMN_ORDER.length).getValues()
+      .forEach((row, offset) => collect(row, run.start + offset));
+  });
+
+  return found;
+}
+
+/**
+ * Build a Revisions sheet row
+ * @param {string} taskId - Task ID
+ * @param {number} seq - Sequence number within the task
+ * @param {Object} entry - Revision entry
+ * @param {string} recordedAt - ISO timestamp
+ * @returns {Array} Row values
+ */
+function buildRevisionRow(taskId, seq, entry, recordedAt) {
+  return [
+    taskId,
+    seq,
+    entry.revision || 0,
+    entry.type || '',
+    entry.agentEmail || '',
+    recordedAt,
+    JSON.stringify(entry)
+  ];
+}
+
+/**
+ * Parse a Revisions sheet row
+ * @param {Array} row - Row values
+ * @returns {Object} {taskId, seq, entry}
+ * @throws {SheetError} If the entry is not valid JSON
+ */
+function parseRevisionRow(row) {
+  try {
+    return {
+      taskId: row[0],
+      seq: parseInt(row[1]) || 0,
+      entry: JSON.parse(row[6])
+    };
+  } catch (err) {
+    throw new SheetError(
+      `Revision entry ${row[1]} of task ${row[0]} is not valid JSON`,
+      'parseRevisionRow',
+      REVISIONS_SHEET_NAME
+    );
+  }
+}
+
+/**
+ * Parse a task's legacy REVISION_HISTORY cell
+ * A cell that is not a JSON array is logged and read as empty, so one bad cell
+ * cannot fail every read of the task; Schema Migrations lists it for repair.
+ * @param {Object} task - Task
+ * @returns {Array<Object>} Entries (empty when the cell is empty or unreadable)
+ */
+function parseLegacyRevisionHistory(task) {
+  if (!task.revisionHistory) {
+    return [];
+  }
+
+  const history = safeJsonParse(task.revisionHistory, null);
+
+  if (!Array.isArray(history)) {
+    error('Skipping unreadable legacy revision history', { taskId: task.taskId });
+    return [];
+  }
+
+  return history;
+}
+
+/**
+ * Read all Revisions sheet data rows
+ * @param {Sheet} sheet - Revisions sheet (optional)
+ * @returns {Array<Array>} Rows without the header
+ */
+function readRevisionRows(sheet) {
+  const revisionsSheet = sheet || SpreadsheetApp.getActiveSpreadsheet().getSheetByName(REVISIONS_SHEET_NAME);
+
+  if (!revisionsSheet || revisionsSheet.getLastRow() <= 1) {
+    return [];
+  }
+
+  return revisionsSheet
+    .getRange(2, 1, revisionsSheet.getLastRow() - 1, REVISION_COLUMN_ORDER.length)
+    .getValues();
+}
+
+/**
+ * Initialize the Revisions sheet if needed
+ * @returns {Sheet} Revisions sheet
+ */
+function initializeRevisionsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(REVISIONS_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(REVISIONS_SHEET_NAME);
+
+    const headers = REVISION_COLUMN_ORDER.map(key => REVISION_COLUMNS[key]);
+    const headerRange = sheet.getRange(1, 1, 1, headers.length);
+    headerRange.setValues([headers]);
+    headerRange.setBackground(HEADER_STYLE.background);
+    headerRange.setFontColor(HEADER_STYLE.fontColor);
+    headerRange.setFontWeight(HEADER_STYLE.fontWeight);
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Schema migration step: move legacy revision history cells into Revisions rows
+ * Legacy entries get sequence numbers at or below 0 so they sort ahead of entries
+ * already appended to the sheet. Moved cells are cleared in the table; the rows to
+ * append are collected in output.revisionRows and written before the table is.
+ * Cells that are not valid JSON are left in place and listed in output.failures.
+ * @param {Object} table - {headers, rows}
+ * @param {string} taskIdHeader - Task ID column header
+ * @param {string} historyHeader - Revision history column header
+ * @param {Object} output - {revisionRows, failures}
+ */
+function moveLegacyRevisionHistory(table, taskIdHeader, historyHeader, output) {
+  const taskIdIndex = table.headers.indexOf(taskIdHeader);
+  const historyIndex = table.headers.indexOf(historyHeader);
+
+  if (taskIdIndex === -1 || historyIndex === -1) {
+    return;
+  }
+
+  const recordedAt = new Date().toISOString();
+
+  table.rows.forEach(row => {
+    const taskId = row[taskIdIndex];
+    const cell = row[historyIndex];
+
+    if (!cell) return;
+
+    const history = safeJsonParse(cell, null);
+
+    if (!Array.isArray(history)) {
+      output.failures.push({ taskId: taskId, error: `Revision history of task ${taskId} is not a valid JSON array` });
+      return;
+    }
+
+    history.forEach((entry, index) => {
+      output.revisionRows.push(buildRevisionRow(taskId, index - history.length + 1, entry, recordedAt));
+    });
+
+    row[historyIndex] = '';
+  });
+}
@@ -0,0 +1,227 @@
+/**
+ * Review rubrics
+ * Configurable QC criteria with weights and per-criterion minimums;
+ * aggregate review scores are computed server-side
+ */
+
+const DEFAULT_RUBRIC_ID = 'default';
+
+/**
+ * Built-in rubric used until one is configured
+ * Alignment below 50 fails the review regardless of the weighted total.
+ */
+const DEFAULT_REVIEW_RUBRIC = {
+  id: DEFAULT_RUBRIC_ID,
+  name: 'Standard 3D QC',
+  criteria: [
+    { key: 'mesh_topology', label: 'Mesh topology', weight: 0.4, minimum: null, hard: false },
+    { key: 'alignment_accuracy', label: 'Alignment accuracy', weight: 0.4, minimum: 50, hard: true },
+    { key: 'recording_completeness', label: 'Recording completeness', weight: 0.2, minimum: null, hard: false }
+  ]
+};
+
+/**
+ * Get all configured rubrics (the built-in default is included unless overridden)
+ * @returns {Object} Map of rubric ID to rubric
+ */
+function getReviewRubrics() {
+  const configured = safeJsonParse(
+    PropertiesService.getScriptProperties().getProperty('REVIEW_RUBRICS'),
+    {}
+  ) || {};
+
+  return Object.assign({ [DEFAULT_RUBRIC_ID]: DEFAULT_REVIEW_RUBRIC }, configured);
+}
+
+/**
+ * Get a rubric by ID, or the active rubric when no ID is given
+ * @param {string} rubricId - Rubric ID (optional)
+ * @returns {Object} Rubric
+ * @throws {ValidationError} If the rubric does not exist
+ */
+function getReviewRubric(rubricId) {
+  const rubrics = getReviewRubrics();
+  const id = rubricId ||
+    PropertiesService.getScriptProperties().getProperty('ACTIVE_REVIEW_RUBRIC') ||
+    DEFAULT_RUBRIC_ID;
+
+  if (!rubrics[id]) {
+    throw new ValidationError(
+      `Unknown rubric: ${id}. Available: ${Object.keys(rubrics).join(', ')}`,
+      'rubricId',
+      id
+    );
+  }
+
+  return rubrics[id];
+}
+
+/**
+ * Validate and save a rubric
+ * @param {Object} rubric - {id, name, criteria: [{key, label, weight, minimum, hard}]}
+ * @param {boolean} makeActive - Use this rubric when reviews do not name one
+ * @returns {Object} Saved rubric
+ */
+function saveReviewRubric(rubric, makeActive = false) {
+  validateReviewRubric(rubric);
+
+  const saved = {
+    id: rubric.id,
+    name: rubric.name || rubric.id,
+    criteria: rubric.criteria.map(criterion => ({
+      key: criterion.key,
+      label: criterion.label || criterion.key,
+      weight: Number(criterion.weight),
+      minimum: criterion.minimum === undefined || criterion.minimum === null ? null : Number(criterion.minimum),
+      hard: criterion.hard === true
+    }))
+  };
+
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const configured = safeJsonParse(scriptProperties.getProperty('REVIEW_RUBRICS'), {}) || {};
+  configured[saved.id] = saved;
+  scriptProperties.setProperty('REVIEW_RUBRICS', JSON.stringify(configured));
+
+  if (makeActive) {
+    scriptProperties.setProperty('ACTIVE_REVIEW_RUBRIC', saved.id);
+  }
+
+  info('Review rubric saved', { rubricId: saved.id, criteria: saved.criteria.length, active: makeActive });
+
+  return saved;
+}
+
+/**
+ * Validate a rubric definition
+ * @param {Object} rubric - Rubric
+ * @throws {ValidationError} If invalid
+ */
+function validateReviewRubric(rubric) {
+  if (!rubric || !/^[a-z0-9_-]+$/.test(rubric.id || '')) {
+    throw new ValidationError('Rubric id must be lowercase letters, digits, _ or -', 'id', rubric && rubric.id);
+  }
+
+  if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    throw new ValidationError('Rubric needs at least one criterion', 'criteria', rubric.criteria);
+  }
+
+  const keys = new Set();
+
+  rubric.criteria.forEach(criterion => {
+    if (!/^[a-z0-9_]+$/.test(criterion.key || '')) {
+      throw new ValidationError('Criterion key must be lowercase letters, digits or _', 'key', criterion.key);
+    }
+
+    if (keys.has(criterion.key)) {
+      throw new ValidationError(`Duplicate criterion: ${criterion.key}`, 'key', criterion.key);
+    }
+    keys.add(criterion.key);
+
+    if (!(Number(criterion.weight) > 0)) {
+      throw new ValidationError(`Weight for ${criterion.key} must be above 0`, 'weight', criterion.weight);
+    }
+
+    if (criterion.minimum !== undefined && criterion.minimum !== null) {
+      const minimum = Number(criterion.minimum);
+      if (isNaN(minimum) || minimum < 0 || minimum > 100) {
+        throw new ValidationError(`Minimum for ${criterion.key} must be 0-100`, 'minimum', criterion.minimum);
+      }
+    }
+
+    if (criterion.hard === true && (criterion.minimum === undefined || criterion.minimum === null)) {
+      throw new ValidationError(`Hard criterion ${criterion.key} needs a minimum`, 'minimum', null);
+    }
+  });
+}
+
+/**
+ * Score a review against a rubric
+ * @param {Object} rubric - Rubric
+ * @param {Object} criteriaScores - Map of criterion key to 0-100 score
+ * @returns {Object} {rubricId, rubricName, weightedScore, criteria, failedHardMinimums, belowMinimum}
+ * @throws {ValidationError} On missing, unknown or out-of-range scores
+ */
+function scoreReviewRubric(rubric, criteriaScores) {
+  if (!criteriaScores || typeof criteriaScores !== 'object' || Array.isArray(criteriaScores)) {
+    throw new ValidationError('criteria must be an object of criterion scores', 'criteria', criteriaScores);
+  }
+
+  const known = rubric.criteria.map(criterion => criterion.key);
+  const unknown = Object.keys(criteriaScores).filter(key => !known.includes(key));
+
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Unknown criteria for rubric ${rubric.id}: ${unknown.join(', ')}`,
+      'criteria',
+      unknown
+    );
+  }
+
+  let totalWeight = 0;
+  let weightedSum = 0;
+
+  const criteria = rubric.criteria.map(criterion => {
+    const score = parseFloat(criteriaScores[criterion.key]);
+
+    if (isNaN(score) || score < 0 || score > 100) {
+      throw new ValidationError(
+        `Score for ${criterion.key} must be a number between 0 and 100`,
+        'criteria',
+        criteriaScores[criterion.key]
+      );
+    }
+
+    totalWeight += criterion.weight;
+    weightedSum += score * criterion.weight;
+
+    return {
+      key: criterion.key,
+      score: score,
+      weight: criterion.weight,
+      minimum: criterion.minimum,
+      hard: criterion.hard,
+      meetsMinimum: criterion.minimum === null || score >= criterion.minimum
+    };
+  });
+
+  return {
+    rubricId: rubric.id,
+    rubricName: rubric.name,
+    weightedScore: Math.round(weightedSum / totalWeight * 100) / 100,
+    criteria: criteria,
+    failedHardMinimums: criteria.filter(c => c.hard && !c.meetsMinimum).map(c => c.key),
+    belowMinimum: criteria.filter(c => !c.meetsMinimum).map(c => c.key)
+  };
+}
+
+/**
+ * Menu: add or replace a rubric from JSON
+ */
+function configureReviewRubric() {
+  const ui = SpreadsheetApp.getUi();
+  const active = getReviewRubric();
+
+  const result = ui.prompt(
+    'Configure Review Rubric',
+    `Paste a rubric as JSON. It becomes the active rubric.\n\n` +
+    `Criteria need key and weight; minimum (0-100) is optional and hard: true makes it a pass requirement.\n\n` +
+    `Active rubric:\n${JSON.stringify(active)}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+
+  const rubric = safeJsonParse(result.getResponseText().trim(), null);
+
+  if (!rubric) {
+    ui.alert('Error', 'Input is not valid JSON', ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const saved = saveReviewRubric(rubric, true);
+    ui.alert('Success', `Rubric "${saved.name}" saved with ${saved.criteria.length} criteria and set active`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
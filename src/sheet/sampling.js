@@ -0,0 +1,316 @@
+/**
+ * Review sampling
+ * Decides whether a completion goes to QC or is auto-passed, based on the
+ * agent's review track record
+ */
+
+/**
+ * Default sampling rules (disabled until configured, so every completion is reviewed)
+ * Agents are fully reviewed for their first `fullReviewCount` reviewed tasks. After that
+ * the first tier whose minPassRate the agent meets sets the share of completions reviewed.
+ */
+const DEFAULT_REVIEW_SAMPLING = {
+  enabled: false,
+  fullReviewCount: 10,
+  recentWindow: 20,
+  tiers: [
+    { minPassRate: 0.95, sampleRate: 0.25 },
+    { minPassRate: 0.9, sampleRate: 0.5 }
+  ],
+  defaultSampleRate: 1
+};
+
+// Agent review stats are cached per agent and dropped when a review entry changes
+const AGENT_REVIEW_STATS_CACHE_PREFIX = 'review_stats_';
+const AGENT_REVIEW_STATS_CACHE_SECONDS = 21600;
+
+const REVIEW_SAMPLING_REASONS = {
+  DISABLED: 'disabled',
+  REWORK: 'rework',
+  NEW_AGENT: 'new_agent',
+  SAMPLED: 'sampled',
+  NOT_SAMPLED: 'not_sampled'
+};
+
+/**
+ * Choose the review status for a task being completed
+ * Auto-passed completions get an 'auto_pass' revision history entry with the decision.
+ * @param {Object} task - Current task
+ * @param {string} agentEmail - Agent completing the task
+ * @param {Object} updates - Pending updates (reviewStatus is set)
+ * @param {Array<Object>} revisionEntries - Entries to append after the update (auto_pass is pushed)
+ * @returns {Object} Sampling decision {sampled, reason, sampleRate, passRate}
+ */
+function applyReviewSampling(task, agentEmail, updates, revisionEntries) {
+  const config = getReviewSamplingConfig();
+  const stats = config.enabled && agentEmail ?
+    getAgentReviewStats(agentEmail, config.recentWindow) :
+    null;
+
+  const decision = decideReviewSampling(task, stats, config);
+
+  if (decision.sampled) {
+    updates.reviewStatus = REVIEW_STATUS_VALUES.PENDING;
+    return decision;
+  }
+
+  revisionEntries.push({
+    type: 'auto_pass',
+    revision: task.revisionCount || 0,
+    agentEmail: agentEmail,
+    sampleRate: decision.sampleRate,
+    passRate: decision.passRate,
+    decidedAt: new Date().toISOString()
+  });
+
+  updates.reviewStatus = REVIEW_STATUS_VALUES.AUTO_PASSED;
+
+  info('Completion auto-passed by review sampling', {
+    taskId: task.taskId,
+    agentEmail: agentEmail,
+    sampleRate: decision.sampleRate,
+    passRate: decision.passRate
+  });
+
+  return decision;
+}
+
+/**
+ * Decide whether a completion is sampled for review
+ * @param {Object} task - Current task
+ * @param {Object|null} stats - Agent stats from getAgentReviewStats()
+ * @param {Object} config - Sampling config
+ * @param {number} random - Random number in [0, 1)
+ * @returns {Object} {sampled, reason, sampleRate, passRate}
+ */
+function decideReviewSampling(task, stats, config, random = Math.random()) {
+  if (!config.enabled || !stats) {
+    return { sampled: true, reason: REVIEW_SAMPLING_REASONS.DISABLED, sampleRate: 1, passRate: null };
+  }
+
+  // Rework completions are always reviewed
+  if ((task.revisionCount || 0) > 0 || task.reviewStatus === REVIEW_STATUS_VALUES.FAILED) {
+    return { sampled: true, reason: REVIEW_SAMPLING_REASONS.REWORK, sampleRate: 1, passRate: stats.passRate };
+  }
+
+  if (stats.reviewedCount < config.fullReviewCount) {
+    return { sampled: true, reason: REVIEW_SAMPLING_REASONS.NEW_AGENT, sampleRate: 1, passRate: stats.passRate };
+  }
+
+  const tier = config.tiers
+    .slice()
+    .sort((a, b) => b.minPassRate - a.minPassRate)
+    .find(candidate => stats.passRate !== null && stats.passRate >= candidate.minPassRate);
+
+  const sampleRate = tier ? tier.sampleRate : config.defaultSampleRate;
+  const sampled = random < sampleRate;
+
+  return {
+    sampled: sampled,
+    reason: sampled ? REVIEW_SAMPLING_REASONS.SAMPLED : REVIEW_SAMPLING_REASONS.NOT_SAMPLED,
+    sampleRate: sampleRate,
+    passRate: stats.passRate
+  };
+}
+
+/**
+ * Get an agent's review track record
+ * Built from the review outcomes in revision history, so it follows the agent whose
+ * work was reviewed (not the task's current assignee) and includes archived tasks.
+ * Cached per agent until one of the agent's review entries is appended or deleted.
+ * @param {string} agentEmail - Agent email
+ * @param {number} recentWindow - Number of most recent reviews used for the pass rate
+ * @returns {Object} {reviewedCount, recentCount, passRate}
+ */
+function getAgentReviewStats(agentEmail, recentWindow) {
+  const cache = CacheService.getScriptCache();
+  const cacheKey = getAgentReviewStatsCacheKey(agentEmail, recentWindow);
+  const cached = safeJsonParse(cache.get(cacheKey), null);
+
+  if (cached) {
+    return cached;
+  }
+
+  const stats = computeAgentReviewStats(getAgentRevisionEntries(agentEmail), agentEmail, recentWindow);
+
+  cache.put(cacheKey, JSON.stringify(stats), AGENT_REVIEW_STATS_CACHE_SECONDS);
+
+  return stats;
+}
+
+/**
+ * Compute review stats from revision records
+ * Only real reviews count (auto-passes are excluded). A review counts as a pass
+ * only if the work passed without rework. Failures overturned on dispute do not count.
+ * @param {Array<Object>} records - Revision records [{taskId, entry}]
+ * @param {string} agentEmail - Agent email
+ * @param {number} recentWindow - Number of most recent reviews used for the pass rate
+ * @returns {Object} {reviewedCount, recentCount, passRate}
+ */
+function computeAgentReviewStats(records, agentEmail, recentWindow) {
+  const overturned = new Set(records
+    .filter(record => isOverturnedDisputeEntry(record.entry))
+    .map(record => `${record.taskId}:${record.entry.revision}`));
+
+  const reviews = records
+    .filter(record =>
+      record.entry.agentEmail === agentEmail &&
+      isReviewOutcomeEntry(record.entry) &&
+      !(!record.entry.type && overturned.has(`${record.taskId}:${record.entry.revision}`))
+    )
+    .map(record => record.entry);
+
+  const recent = reviews
+    .slice()
+    .sort((a, b) => String(b.reviewedAt).localeCompare(String(a.reviewedAt)))
+    .slice(0, recentWindow);
+
+  const passes = recent.filter(entry =>
+    entry.type === 'review' && entry.reviewStatus === REVIEW_STATUS_VALUES.PASSED && !(entry.revision > 0)
+  ).length;
+
+  return {
+    reviewedCount: reviews.length,
+    recentCount: recent.length,
+    passRate: recent.length > 0 ? Math.round(passes / recent.length * 1000) / 1000 : null
+  };
+}
+
+/**
+ * Check whether a revision entry records a review outcome
+ * Passes are 'review' entries; failures are the work revision entries a failed
+ * review appends.
+ * @param {Object} entry - Revision entry
+ * @returns {boolean} True for review passes and failures
+ */
+function isReviewOutcomeEntry(entry) {
+  return Boolean(entry.reviewedBy && entry.reviewedAt) && (!entry.type || entry.type === 'review');
+}
+
+/**
+ * Check whether a revision entry overturns a failed review
+ * @param {Object} entry - Revision entry
+ * @returns {boolean} True for overturned dispute resolutions
+ */
+function isOverturnedDisputeEntry(entry) {
+  return entry.type === 'dispute_resolution' && entry.outcome === DISPUTE_OUTCOME_VALUES.OVERTURNED;
+}
+
+/**
+ * Drop cached review stats of the agents whose review entries changed
+ * @param {Array<Object>} entries - Appended or deleted revision entries
+ */
+function invalidateAgentReviewStats(entries) {
+  const agents = entries
+    .filter(entry => entry.agentEmail && (isReviewOutcomeEntry(entry) || isOverturnedDisputeEntry(entry)))
+    .map(entry => entry.agentEmail);
+
+  if (agents.length === 0) {
+    return;
+  }
+
+  const recentWindow = getReviewSamplingConfig().recentWindow;
+  CacheService.getScriptCache().removeAll(
+    [...new Set(agents)].map(agentEmail => getAgentReviewStatsCacheKey(agentEmail, recentWindow))
+  );
+}
+
+/**
+ * Cache key for an agent's review stats
+ * @param {string} agentEmail - Agent email
+ * @param {number} recentWindow - Pass rate window
+ * @returns {string} Cache key
+ */
+function getAgentReviewStatsCacheKey(agentEmail, recentWindow) {
+  return `${AGENT_REVIEW_STATS_CACHE_PREFIX}${recentWindow}_${hashApiKey(agentEmail).substring(0, 32)}`;
+}
+
+/**
+ * Get the review sampling config (defaults merged with REVIEW_SAMPLING property)
+ * @returns {Object} Sampling config
+ */
+function getReviewSamplingConfig() {
+  const configured = safeJsonParse(
+    PropertiesService.getScriptProperties().getProperty('REVIEW_SAMPLING'),
+    {}
+  ) || {};
+
+  return Object.assign({}, DEFAULT_REVIEW_SAMPLING, configured);
+}
+
+/**
+ * Validate and save the review sampling config
+ * @param {Object} config - Sampling config (missing fields keep their defaults)
+ * @returns {Object} Saved config
+ */
+function saveReviewSamplingConfig(config) {
+  const merged = Object.assign({}, DEFAULT_REVIEW_SAMPLING, config);
+  const isRate = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+  if (!(Number.isInteger(merged.fullReviewCount) && merged.fullReviewCount >= 0)) {
+    throw new ValidationError('fullReviewCount must be a whole number of 0 or more', 'fullReviewCount', merged.fullReviewCount);
+  }
+
+  if (!(Number.isInteger(merged.recentWindow) && merged.recentWindow >= 1)) {
+    throw new ValidationError('recentWindow must be a whole number of 1 or more', 'recentWindow', merged.recentWindow);
+  }
+
+  if (!isRate(merged.defaultSampleRate)) {
+    throw new ValidationError('defaultSampleRate must be between 0 and 1', 'defaultSampleRate', merged.defaultSampleRate);
+  }
+
+  if (!Array.isArray(merged.tiers) || merged.tiers.some(tier => !isRate(tier.minPassRate) || !isRate(tier.sampleRate))) {
+    throw new ValidationError('tiers must be a list of {minPassRate, sampleRate} between 0 and 1', 'tiers', merged.tiers);
+  }
+
+  const saved = {
+    enabled: merged.enabled === true,
+    fullReviewCount: merged.fullReviewCount,
+    recentWindow: merged.recentWindow,
+    tiers: merged.tiers.map(tier => ({ minPassRate: tier.minPassRate, sampleRate: tier.sampleRate })),
+    defaultSampleRate: merged.defaultSampleRate
+  };
+
+  PropertiesService.getScriptProperties().setProperty('REVIEW_SAMPLING', JSON.stringify(saved));
+
+  info('Review sampling updated', saved);
+
+  return saved;
+}
+
+/**
+ * Menu: configure review sampling from JSON
+ */
+function configureReviewSampling() {
+  const ui = SpreadsheetApp.getUi();
+
+  const result = ui.prompt(
+    'Configure Review Sampling',
+    `Paste the sampling rules as JSON. Set "enabled": false to review every completion.\n\n` +
+    `Agents are fully reviewed for their first fullReviewCount reviewed tasks. After that the first tier ` +
+    `whose minPassRate the agent's recent pass rate meets sets the share of completions reviewed ` +
+    `(defaultSampleRate otherwise). Rework completions are always reviewed.\n\n` +
+    `Current:\n${JSON.stringify(getReviewSamplingConfig())}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+
+  const config = safeJsonParse(result.getResponseText().trim(), null);
+
+  if (!config) {
+    ui.alert('Error', 'Input is not valid JSON', ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const saved = saveReviewSamplingConfig(config);
+    ui.alert(
+      'Success',
+      saved.enabled ? 'Review sampling enabled' : 'Review sampling disabled; every completion is reviewed',
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    ui.alert('Error', e.message, ui.ButtonSet.OK);
+  }
+}
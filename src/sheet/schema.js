@@ -34,7 +34,18 @@ const COLUMNS = {
   REVIEW_STATUS: 'Review Status',
   REVIEW_SCORE: 'Review Score',
   REVIEWER_EMAIL: 'Reviewer Email',
-  REVIEW_TIME: 'Review Time'
+  REVIEW_TIME: 'Review Time',
+  VERSION: 'Version',
+  FLAG_REASON: 'Flag Reason',
+  FLAG_NOTE: 'Flag Note',
+  FLAGGED_BY: 'Flagged By',
+  FLAG_TIME: 'Flag Time',
+  FLAG_RESOLUTION: 'Flag Resolution',
+  REVIEW_RUBRIC: 'Review Rubric',
+  REVIEW_CLAIMED_BY: 'Review Claimed By',
+  REVIEW_CLAIM_EXPIRES: 'Review Claim Expires',
+  DELETED_AT: 'Deleted At',
+  DELETED_BY: 'Deleted By'
 };
 
 const COLUMN_ORDER = [
@@ -66,7 +77,18 @@ const COLUMN_ORDER = [
   'EXPORT_TIME',
   'EXPORT_BATCH_ID',
   'EXPORT_STATUS',
-  'STAGED_COUNT'
+  'STAGED_COUNT',
+  'VERSION',
+  'FLAG_REASON',
+  'FLAG_NOTE',
+  'FLAGGED_BY',
+  'FLAG_TIME',
+  'FLAG_RESOLUTION',
+  'REVIEW_RUBRIC',
+  'REVIEW_CLAIMED_BY',
+  'REVIEW_CLAIM_EXPIRES',
+  'DELETED_AT',
+  'DELETED_BY'
 ];
 
 const STATUS_VALUES = {
@@ -74,7 +96,47 @@ const STATUS_VALUES = {
   IN_PROGRESS: 'in_progress',
   COMPLETE: 'complete',
   FLAGGED: 'flagged',
-  REWORK: 'rework'
+  REWORK: 'rework',
+  REJECTED: 'rejected'  // Terminal: input unusable, resolved from flagged
+};
+
+const FLAG_REASON_VALUES = {
+  BAD_MASK: 'bad_mask',
+  CORRUPT_IMAGE: 'corrupt_image',
+  AMBIGUOUS_OBJECT: 'ambiguous_object',
+  MISSING_FILES: 'missing_files',
+  OTHER: 'other'
+};
+
+const FLAG_RESOLUTION_VALUES = {
+  REOPENED: 'reopened',
+  REJECTED: 'rejected'
+};
+
+// Adjudication outcomes for disputed reviews
+const DISPUTE_OUTCOME_VALUES = {
+  OVERTURNED: 'overturned', // Failure reversed, completion restored
+  UPHELD: 'upheld'          // Failure confirmed, task stays in rework
+};
+
+// Issue tags for structured review feedback
+const FEEDBACK_TAG_VALUES = {
+  MESH_HOLES: 'mesh_holes',
+  MESH_NOISE: 'mesh_noise',
+  MISALIGNMENT: 'misalignment',
+  SCALE_ERROR: 'scale_error',
+  TEXTURE_ISSUE: 'texture_issue',
+  MISSING_FRAMES: 'missing_frames',
+  INCOMPLETE_RECORDING: 'incomplete_recording',
+  WRONG_OBJECT: 'wrong_object',
+  OTHER: 'other'
+};
+
+// Output files a feedback annotation can point at
+const FEEDBACK_FILE_VALUES = {
+  OBJ: 'obj',
+  ALIGNMENT: 'alignment',
+  VIDEO: 'video'
 };
 
 const GROUP_VALUES = {
@@ -87,7 +149,9 @@ const GROUP_VALUES = {
 const REVIEW_STATUS_VALUES = {
   PENDING: 'pending',
   PASSED: 'passed',
-  FAILED: 'failed'
+  FAILED: 'failed',
+  AUTO_PASSED: 'auto_passed', // Not sampled for review
+  DISPUTED: 'disputed'        // Failed review disputed by the agent, awaiting adjudication
 };
 
 const EXPORT_STATUS_VALUES = {
@@ -122,6 +186,9 @@ function initializeSheet() {
     sheet = ss.insertSheet(SHEET_NAME);
     setupHeaders(sheet);
     applySheetFormatting(sheet);
+    
+    // A new sheet already has the current columns
+    setSchemaVersion(ss, getCurrentSchemaVersion());
   }
   
   return sheet;
@@ -223,6 +290,15 @@ function getColumnIndex(columnKey) {
   return COLUMN_ORDER.indexOf(columnKey) + 1;
 }
 
+/**
+ * Check whether a task row is a tombstone left by deleteTaskRecord
+ * @param {Array} row - Row values in COLUMN_ORDER
+ * @returns {boolean} True if the task is deleted
+ */
+function isTaskRowDeleted(row) {
+  return Boolean(row[getColumnIndex('DELETED_AT') - 1]);
+}
+
 /**
  * Get the tasks sheet
  */
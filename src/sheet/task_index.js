@@ -0,0 +1,351 @@
+/**
+ * Task index
+ * Maintained taskId → row index plus secondary indexes on status, agent and batch,
+ * so single-task reads and filtered queries touch only the rows they need.
+ * The index is kept in the script cache (split into chunks to stay under the
+ * 100KB value limit) and updated or invalidated by every write in sheet/writer.js.
+ */
+
+const TASK_INDEX_CACHE_KEY = 'task_index';
+
+// Bounds staleness from edits made outside sheet/writer.js
+const TASK_INDEX_CACHE_SECONDS = 3600;
+
+const TASK_INDEX_CHUNK_SIZE = 90000;
+
+// Indexed task field → column key
+const TASK_INDEX_FIELDS = {
+  status: 'STATUS',
+  agentEmail: 'AGENT_EMAIL',
+  batchId: 'BATCH_ID'
+};
+
+// Row runs are read one range each; above this many runs a full read is cheaper
+const MAX_INDEXED_ROW_RUNS = 50;
+
+// Loaded index for the current execution
+let activeTaskIndex = null;
+
+/**
+ * Get the task index, loading it from cache or rebuilding it from the sheet
+ * A cached index whose row count no longer matches the sheet is rebuilt.
+ * @returns {Object} {taskIds, fields, rowsByTaskId, buckets}
+ */
+function getTaskIndex() {
+  if (activeTaskIndex) {
+    return activeTaskIndex;
+  }
+
+  const sheet = getTasksSheet();
+  const cached = loadCachedTaskIndex();
+
+  if (cached && cached.taskIds.length === Math.max(sheet.getLastRow() - 1, 0)) {
+    activeTaskIndex = hydrateTaskIndex(cached);
+  } else {
+    activeTaskIndex = rebuildTaskIndex();
+  }
+
+  return activeTaskIndex;
+}
+
+/**
+ * Rebuild the task index from the indexed columns and cache it
+ * @returns {Object} Task index
+ */
+function rebuildTaskIndex() {
+  const sheet = getTasksSheet();
+  const rowCount = Math.max(sheet.getLastRow() - 1, 0);
+
+  const readColumn = columnKey => rowCount === 0 ? [] :
+    sheet.getRange(2, getColumnIndex(columnKey), rowCount, 1).getValues()
+      .map(row => normalizeTaskIndexValue(row[0]));
+
+  const stored = { taskIds: readColumn('TASK_ID'), fields: {} };
+
+  Object.entries(TASK_INDEX_FIELDS).forEach(([field, columnKey]) => {
+    stored.fields[field] = readColumn(columnKey);
+  });
+
+  saveTaskIndex(stored);
+
+  info('Task index rebuilt', { rows: rowCount });
+
+  activeTaskIndex = hydrateTaskIndex(stored);
+  return activeTaskIndex;
+}
+
+/**
+ * Drop the task index; the next lookup rebuilds it
+ * Call after writes that move rows (deletes, bulk writes, schema sync).
+ */
+function invalidateTaskIndex() {
+  activeTaskIndex = null;
+  CacheService.getScriptCache().remove(TASK_INDEX_CACHE_KEY);
+}
+
+/**
+ * Record a written task row in the index
+ * The cache is only rewritten when an indexed value changed.
+ * @param {number} rowIndex - Sheet row (1-based)
+ * @param {Array} row - Row values as written
+ */
+function indexTaskRow(rowIndex, row) {
+  const index = getTaskIndex();
+  const position = rowIndex - 2;
+
+  // Appends land directly after the indexed rows; anything else needs a rebuild
+  if (position > index.taskIds.length) {
+    invalidateTaskIndex();
+    return;
+  }
+
+  let changed = false;
+  const setValue = (values, value) => {
+    if (values[position] !== value) {
+      values[position] = value;
+      changed = true;
+    }
+  };
+
+  setValue(index.taskIds, normalizeTaskIndexValue(row[getColumnIndex('TASK_ID') - 1]));
+  Object.entries(TASK_INDEX_FIELDS).forEach(([field, columnKey]) => {
+    setValue(index.fields[field], normalizeTaskIndexValue(row[getColumnIndex(columnKey) - 1]));
+  });
+
+  if (changed) {
+    saveTaskIndex(index);
+    activeTaskIndex = hydrateTaskIndex(index);
+  }
+}
+
+/**
+ * Look up a task's row through the index
+ * The row is verified against the sheet; a mismatch rebuilds the index once.
+ * @param {string} taskId - Task ID
+ * @returns {number} Row index (1-based) or -1
+ */
+function lookupTaskRow(taskId) {
+  const sheet = getTasksSheet();
+  const taskIdColumn = getColumnIndex('TASK_ID');
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const index = attempt === 0 ? getTaskIndex() : rebuildTaskIndex();
+    const rowIndex = index.rowsByTaskId[taskId];
+
+    if (rowIndex === undefined) {
+      if (attempt === 0 && index.fromCache) continue;
+      return -1;
+    }
+
+    if (sheet.getRange(rowIndex, taskIdColumn).getValue() === taskId) {
+      return rowIndex;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Get candidate rows for query filters from the secondary indexes
+ * Candidates are a superset of the matches; callers still apply the full filters.
+ * @param {Object} filters - Query filters (status, agentEmail, batchId are indexed)
+ * @returns {Array<number>|null} Sorted row indexes, or null when no indexed filter is set
+ */
+function findIndexedTaskRows(filters) {
+  const wanted = {
+    status: parseListFilter(filters.status),
+    agentEmail: filters.agentEmail ? [filters.agentEmail] : null,
+    batchId: filters.batchId ? [filters.batchId] : null
+  };
+
+  const fields = Object.keys(wanted).filter(field => wanted[field]);
+
+  if (fields.length === 0) {
+    return null;
+  }
+
+  const index = getTaskIndex();
+
+  // Start from the smallest bucket and intersect the rest
+  const candidates = fields
+    .map(field => {
+      const rows = [];
+      wanted[field].forEach(value => {
+        const key = value === 'none' ? '' : value;
+        (index.buckets[field][key] || []).forEach(rowIndex => rows.push(rowIndex));
+      });
+      return rows;
+    })
+    .sort((a, b) => a.length - b.length);
+
+  const others = candidates.slice(1).map(rows => new Set(rows));
+
+  return candidates[0]
+    .filter(rowIndex => others.every(rows => rows.has(rowIndex)))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Read specific task rows, grouping adjacent rows into one range read
+ * @param {Array<number>} rowIndexes - Sorted row indexes (1-based)
+ * @returns {Array<Object>|null} [{rowIndex, row}], or null when a full read is cheaper
+ */
+function readTaskRows(rowIndexes) {
+  const runs = groupRowRuns(rowIndexes);
+
+  if (runs.length > MAX_INDEXED_ROW_RUNS) {
+    return null;
+  }
+
+  const sheet = getTasksSheet();
+  const rows = [];
+
+  runs.forEach(run => {
+    sheet.getRange(run.start, 1, run.length, COLUMN_ORDER.length).getValues()
+      .forEach((row, offset) => rows.push({ rowIndex: run.start + offset, row: row }));
+  });
+
+  return rows;
+}
+
+/**
+ * Group sorted row indexes into runs of adjacent rows
+ * @param {Array<number>} rowIndexes - Sorted row indexes (1-based)
+ * @returns {Array<Object>} [{start, length}]
+ */
+function groupRowRuns(rowIndexes) {
+  const runs = [];
+
+  rowIndexes.forEach(rowIndex => {
+    const last = runs[runs.length - 1];
+    if (last && rowIndex === last.start + last.length) {
+      last.length++;
+    } else {
+      runs.push({ start: rowIndex, length: 1 });
+    }
+  });
+
+  return runs;
+}
+
+/**
+ * Build lookup maps for a stored index
+ * @param {Object} stored - {taskIds, fields}
+ * @returns {Object} Index with rowsByTaskId and per-field buckets of row indexes
+ */
+function hydrateTaskIndex(stored) {
+  const index = {
+    taskIds: stored.taskIds,
+    fields: stored.fields,
+    fromCache: stored.fromCache === true,
+    rowsByTaskId: {},
+    buckets: {}
+  };
+
+  // Duplicate IDs resolve to the first row, as a top-down scan would
+  stored.taskIds.forEach((taskId, position) => {
+    if (taskId && index.rowsByTaskId[taskId] === undefined) {
+      index.rowsByTaskId[taskId] = position + 2;
+    }
+  });
+
+  Object.keys(TASK_INDEX_FIELDS).forEach(field => {
+    const buckets = {};
+    stored.fields[field].forEach((value, position) => {
+      (buckets[value] = buckets[value] || []).push(position + 2);
+    });
+    index.buckets[field] = buckets;
+  });
+
+  return index;
+}
+
+/**
+ * Write the index to the script cache
+ * Field values are dictionary-encoded; the JSON is split across chunk keys.
+ * @param {Object} index - {taskIds, fields}
+ */
+function saveTaskIndex(index) {
+  const encoded = { taskIds: index.taskIds, fields: {} };
+
+  Object.keys(TASK_INDEX_FIELDS).forEach(field => {
+    const values = [];
+    const codes = {};
+    encoded.fields[field] = {
+      values: values,
+      codes: index.fields[field].map(value => {
+        if (codes[value] === undefined) {
+          codes[value] = values.length;
+          values.push(value);
+        }
+        return codes[value];
+      })
+    };
+  });
+
+  const json = JSON.stringify(encoded);
+  const generation = Date.now().toString(36);
+  const chunks = {};
+  let count = 0;
+
+  for (let start = 0; start < json.length; start += TASK_INDEX_CHUNK_SIZE) {
+    chunks[`${TASK_INDEX_CACHE_KEY}_${generation}_${count}`] = json.substring(start, start + TASK_INDEX_CHUNK_SIZE);
+    count++;
+  }
+
+  const cache = CacheService.getScriptCache();
+
+  try {
+    cache.putAll(chunks, TASK_INDEX_CACHE_SECONDS);
+    cache.put(TASK_INDEX_CACHE_KEY, JSON.stringify({ generation: generation, chunks: count }), TASK_INDEX_CACHE_SECONDS);
+  } catch (err) {
+    // An uncached index still serves this execution
+    warn('Failed to cache task index', { error: err.message });
+    cache.remove(TASK_INDEX_CACHE_KEY);
+  }
+}
+
+/**
+ * Read the index from the script cache
+ * @returns {Object|null} {taskIds, fields, fromCache} or null if missing or incomplete
+ */
+function loadCachedTaskIndex() {
+  const cache = CacheService.getScriptCache();
+  const meta = safeJsonParse(cache.get(TASK_INDEX_CACHE_KEY), null);
+
+  if (!meta) {
+    return null;
+  }
+
+  const keys = [];
+  for (let i = 0; i < meta.chunks; i++) {
+    keys.push(`${TASK_INDEX_CACHE_KEY}_${meta.generation}_${i}`);
+  }
+
+  const chunks = cache.getAll(keys);
+  if (keys.some(key => chunks[key] === undefined || chunks[key] === null)) {
+    return null;
+  }
+
+  const encoded = safeJsonParse(keys.map(key => chunks[key]).join(''), null);
+  if (!encoded) {
+    return null;
+  }
+
+  const fields = {};
+  Object.keys(TASK_INDEX_FIELDS).forEach(field => {
+    const column = encoded.fields[field];
+    fields[field] = column.codes.map(code => column.values[code]);
+  });
+
+  return { taskIds: encoded.taskIds, fields: fields, fromCache: true };
+}
+
+/**
+ * Normalize a cell value for indexing
+ * @param {*} value - Cell value
+ * @returns {string} Value as string ('' for empty)
+ */
+function normalizeTaskIndexValue(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
@@ -7,13 +7,21 @@
  * Update task record
  * @param {string} taskId - Task ID to update
  * @param {Object} updates - Fields to update
+ * @param {Object} options - Write options
+ * @param {number} options.expectedVersion - Reject with 409 if the row version differs
+ * @param {boolean} options.skipTransitionCheck - Bypass the lifecycle table (manual override only)
+ * @param {string} options.changeSetId - Group this write with others for revertChangeSet()
+ * @param {string} options.journalOperation - Operation recorded in the change journal
  * @returns {Object} Updated task
  */
-function updateTaskRecord(taskId, updates) {
+function updateTaskRecord(taskId, updates, options = {}) {
   const sheet = getTasksSheet();
   const rowIndex = findTaskRowIndex(taskId);
   
   if (rowIndex === -1) {
+    if (isTaskArchived(taskId)) {
+      throw new ApiError(`Task ${taskId} is archived; restore it before changing it`, 409);
+    }
     throw new ApiError(`Task not found: ${taskId}`, 404);
   }
   
@@ -24,6 +32,20 @@ function updateTaskRecord(taskId, updates) {
   const originalRow = sheet.getRange(rowIndex, 1, 1, COLUMN_ORDER.length).getValues()[0];
   const newRow = [...originalRow];
   
+  if (isTaskRowDeleted(originalRow)) {
+    throw new ApiError(`Task ${taskId} is deleted; undo the deletion before changing it`, 409);
+  }
+  
+  // Optimistic concurrency check against the row version
+  const versionIndex = getColumnIndex('VERSION') - 1;
+  const currentVersion = parseInt(originalRow[versionIndex]) || 0;
+  assertTaskVersion(taskId, currentVersion, options.expectedVersion);
+  
+  // Status and review status changes must follow the lifecycle table
+  if (!options.skipTransitionCheck) {
+    assertTaskTransition(formatTaskResponse(originalRow, rowIndex, COLUMN_ORDER), updates);
+  }
+  
   // Apply all updates to working copy in memory first
   Object.entries(updates).forEach(([field, value]) => {
     // Convert camelCase to UPPER_SNAKE_CASE
@@ -35,8 +57,19 @@ function updateTaskRecord(taskId, updates) {
     }
   });
   
+  // Version is server-managed; every write bumps it
+  newRow[versionIndex] = currentVersion + 1;
+  
   // ATOMIC WRITE - Single sheet operation
   sheet.getRange(rowIndex, 1, 1, COLUMN_ORDER.length).setValues([newRow]);
+  indexTaskRow(rowIndex, newRow);
+  
+  // Capture before/after for the API audit trail and the change journal
+  recordAuditChange(taskId, originalRow, newRow);
+  recordJournalChange(taskId, originalRow, newRow, {
+    operation: options.journalOperation,
+    changeSetId: options.changeSetId
+  });
   
   // Log update
   info('Task updated', {
@@ -48,6 +81,26 @@ function updateTaskRecord(taskId, updates) {
   return formatTaskResponse(newRow, rowIndex, COLUMN_ORDER);
 }
 
+/**
+ * Check a client-supplied task version against the stored one
+ * @param {string} taskId - Task ID
+ * @param {number} currentVersion - Version stored in the sheet
+ * @param {number|string} expectedVersion - Version the client last read (optional)
+ * @throws {ApiError} 409 if the versions differ
+ */
+function assertTaskVersion(taskId, currentVersion, expectedVersion) {
+  if (expectedVersion === undefined || expectedVersion === null || expectedVersion === '') {
+    return;
+  }
+  
+  if (parseInt(expectedVersion) !== currentVersion) {
+    throw new ApiError(
+      `Task ${taskId} was modified by another request (expected version ${expectedVersion}, current version ${currentVersion})`,
+      409
+    );
+  }
+}
+
 /**
  * Create new task record
  * @param {Object} taskData - Task data
@@ -74,6 +127,8 @@ function createTaskRecord(taskData) {
     taskData.status = STATUS_VALUES.OPEN;
   }
   
+  taskData.version = 1;
+  
   // Map data to columns
   // Map taskData to row
   Object.entries(taskData).forEach(([field, value]) => {
@@ -92,6 +147,7 @@ function createTaskRecord(taskData) {
   // Append row
   sheet.appendRow(row);
   const newRowIndex = sheet.getLastRow();
+  indexTaskRow(newRowIndex, row);
   
   info('Task created', {
     taskId: taskData.taskId,
@@ -131,11 +187,14 @@ function batchUpdateTasks(updates) {
     taskRowMap[data[i][taskIdColumn]] = i;
   }
   
+  const changeSetId = generateShortId();
+  const journalChanges = [];
+  
   // Process updates
   updates.forEach(update => {
     const rowIndex = taskRowMap[update.taskId];
     
-    if (!rowIndex) {
+    if (!rowIndex || isTaskRowDeleted(data[rowIndex])) {
       results.push({
         taskId: update.taskId,
         success: false,
@@ -145,6 +204,9 @@ function batchUpdateTasks(updates) {
     }
     
     try {
+      assertTaskTransition(formatTaskResponse(data[rowIndex], rowIndex + 1, COLUMN_ORDER), update.updates);
+      const beforeRow = [...data[rowIndex]];
+      
       // Apply updates to data array
       Object.entries(update.updates).forEach(([field, value]) => {
         // Convert camelCase to UPPER_SNAKE_CASE
@@ -156,6 +218,20 @@ function batchUpdateTasks(updates) {
         }
       });
       
+      // Bump row version (skipped until schema sync adds the Version column)
+      const versionIndex = getColumnIndex('VERSION') - 1;
+      if (versionIndex < data[rowIndex].length) {
+        data[rowIndex][versionIndex] = (parseInt(data[rowIndex][versionIndex]) || 0) + 1;
+      }
+      
+      journalChanges.push({
+        taskId: update.taskId,
+        beforeRow: beforeRow,
+        afterRow: data[rowIndex],
+        operation: JOURNAL_OPERATIONS.BATCH_UPDATE,
+        changeSetId: changeSetId
+      });
+      
       results.push({
         taskId: update.taskId,
         success: true
@@ -172,10 +248,13 @@ function batchUpdateTasks(updates) {
   // Write all updates at once
   const range = sheet.getRange(1, 1, data.length, COLUMN_ORDER.length);
   range.setValues(data);
+  invalidateTaskIndex();
+  recordJournalChanges(journalChanges);
   
   info('Batch update complete', {
     total: updates.length,
-    successful: results.filter(r => r.success).length
+    successful: results.filter(r => r.success).length,
+    changeSetId: changeSetId
   });
   
   return results;
@@ -183,10 +262,33 @@ function batchUpdateTasks(updates) {
 
 /**
  * Delete task record
+ * The row stays as a tombstone (DELETED_AT/DELETED_BY) that reads skip by default;
+ * undoTaskChanges() brings it back. Use purgeTaskRecord() to remove the row.
  * @param {string} taskId - Task ID to delete
  * @returns {boolean} Success
+ * @throws {ApiError} 404 if the task does not exist, 409 if it is already deleted
  */
 function deleteTaskRecord(taskId) {
+  updateTaskRecord(taskId, {
+    deletedAt: new Date().toISOString(),
+    deletedBy: getJournalActor()
+  }, {
+    skipTransitionCheck: true,
+    journalOperation: JOURNAL_OPERATIONS.DELETE
+  });
+  
+  info('Task deleted', { taskId: taskId });
+  
+  return true;
+}
+
+/**
+ * Permanently remove a task row and its revision history
+ * Not journaled and cannot be undone.
+ * @param {string} taskId - Task ID to remove
+ * @returns {boolean} Success
+ */
+function purgeTaskRecord(taskId) {
   const sheet = getTasksSheet();
   const rowIndex = findTaskRowIndex(taskId);
   
@@ -194,10 +296,12 @@ function deleteTaskRecord(taskId) {
     throw new ApiError(`Task not found: ${taskId}`, 404);
   }
   
-  // Delete row
+  // Delete row and its revision history; later rows shift up
   sheet.deleteRow(rowIndex);
+  invalidateTaskIndex();
+  deleteRevisionEntries(taskId);
   
-  info('Task deleted', {
+  info('Task purged', {
     taskId: taskId,
     rowIndex: rowIndex
   });
@@ -221,14 +325,16 @@ function markTaskExported(taskId, exportBatchId) {
 /**
  * Clear task assignment
  * @param {string} taskId - Task ID
+ * @param {Object} updates - Extra updates (e.g. status REWORK)
+ * @param {Object} options - Write options passed to updateTaskRecord
  * @returns {Object} Updated task
  */
-function clearTaskAssignment(taskId) {
-  return updateTaskRecord(taskId, {
+function clearTaskAssignment(taskId, updates = {}, options = {}) {
+  return updateTaskRecord(taskId, Object.assign({
     agentEmail: '',
     startTime: '',
     status: STATUS_VALUES.OPEN
-  });
+  }, updates), options);
 }
 
 /**
@@ -240,6 +346,7 @@ function clearTaskAssignment(taskId) {
 function completeTask(taskId, artifacts) {
   const updates = {
     status: STATUS_VALUES.COMPLETE,
+    reviewStatus: REVIEW_STATUS_VALUES.PENDING,
     endTime: new Date().toISOString()
   };
   
@@ -286,6 +393,7 @@ function bulkCreateTaskRecords(tasksData) {
     if (!taskData.status) {
       taskData.status = STATUS_VALUES.OPEN;
     }
+    taskData.version = 1;
     
     // Map data to row
     Object.entries(taskData).forEach(([field, value]) => {
@@ -306,6 +414,7 @@ function bulkCreateTaskRecords(tasksData) {
       const lastRow = sheet.getLastRow();
       sheet.getRange(lastRow + 1, 1, rows.length, COLUMN_ORDER.length)
         .setValues(rows);
+      invalidateTaskIndex();
     }
     
     info('Bulk task creation complete', {
@@ -352,11 +461,14 @@ function batchUpdateTasksOptimized(updates) {
     taskRowMap[data[i][taskIdColumn]] = i;
   }
   
+  const changeSetId = generateShortId();
+  const journalChanges = [];
+  
   // Apply all updates to data array
   updates.forEach(update => {
     const rowIndex = taskRowMap[update.taskId];
     
-    if (!rowIndex) {
+    if (!rowIndex || isTaskRowDeleted(data[rowIndex])) {
       results.push({
         taskId: update.taskId,
         success: false,
@@ -366,6 +478,9 @@ function batchUpdateTasksOptimized(updates) {
     }
     
     try {
+      assertTaskTransition(formatTaskResponse(data[rowIndex], rowIndex + 1, COLUMN_ORDER), update.updates);
+      const beforeRow = [...data[rowIndex]];
+      
       Object.entries(update.updates).forEach(([field, value]) => {
         const columnKey = field.replace(/([A-Z])/g, '_$1').toUpperCase();
         const columnIndex = getColumnIndex(columnKey) - 1;
@@ -375,6 +490,20 @@ function batchUpdateTasksOptimized(updates) {
         }
       });
       
+      // Bump row version (skipped until schema sync adds the Version column)
+      const versionIndex = getColumnIndex('VERSION') - 1;
+      if (versionIndex < data[rowIndex].length) {
+        data[rowIndex][versionIndex] = (parseInt(data[rowIndex][versionIndex]) || 0) + 1;
+      }
+      
+      journalChanges.push({
+        taskId: update.taskId,
+        beforeRow: beforeRow,
+        afterRow: data[rowIndex],
+        operation: JOURNAL_OPERATIONS.BATCH_UPDATE,
+        changeSetId: changeSetId
+      });
+      
       results.push({
         taskId: update.taskId,
         success: true
@@ -390,10 +519,13 @@ function batchUpdateTasksOptimized(updates) {
   
   // Single write for all updates
   range.setValues(data);
+  invalidateTaskIndex();
+  recordJournalChanges(journalChanges);
   
   info('Optimized batch update complete', {
     total: updates.length,
-    successful: results.filter(r => r.success).length
+    successful: results.filter(r => r.success).length,
+    changeSetId: changeSetId
   });
   
   return results;
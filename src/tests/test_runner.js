@@ -32,6 +32,7 @@ function runAllTests() {
     { name: 'Export Reporting', tests: testExportReporting },
     { name: 'API Endpoints', tests: testApiEndpoints },
     { name: 'Validation', tests: testValidation },
+    { name: 'Task Lifecycle', tests: testTaskLifecycle },
     { name: 'Video Utilities', tests: testVideoUtilities },
     { name: 'Auto Time Taken', tests: testAutoTimeTaken }
   ];
@@ -184,6 +185,29 @@ function testSheetOperations() {
           assertEquals(updated.agentEmail, 'test@example.com', 'Agent email');
         }
       }
+    },
+    {
+      name: 'Task sort keys and cursors',
+      func: () => {
+        const sortSpec = parseTaskSort('status,-revisionCount');
+        
+        assertEquals(formatTaskSort(sortSpec), 'status,-revisionCount', 'Sort round-trips');
+        assert(compareTaskSortKeys(['open', 2, 'a'], ['open', 1, 'b'], sortSpec) < 0, 'Descending key');
+        assert(compareTaskSortKeys(['open', 1, 'a'], ['open', 1, 'b'], sortSpec) < 0, 'Task ID breaks ties');
+        assert(compareTaskSortKeys([null, 1, 'a'], ['open', 1, 'a'], sortSpec) > 0, 'Empty values sort last');
+        
+        const cursor = decodeTaskCursor(encodeTaskCursor('status,-revisionCount', ['open', 2, 'a']));
+        assertEquals(cursor.sort, 'status,-revisionCount', 'Cursor keeps sort');
+        assertEquals(cursor.key[1], 2, 'Cursor keeps key');
+        
+        let rejected = false;
+        try {
+          parseTaskSort('revisionHistory');
+        } catch (e) {
+          rejected = e instanceof ValidationError;
+        }
+        assert(rejected, 'Unsortable field rejected');
+      }
     }
   ];
   
@@ -343,6 +367,201 @@ function testApiEndpoints() {
         assertEquals(key.length, 35, 'API key length');
       }
     },
+    {
+      name: 'API key scopes',
+      func: () => {
+        const reader = { scopes: [API_SCOPES.TASKS_READ] };
+        const admin = { scopes: [API_SCOPES.ADMIN] };
+        
+        assert(hasApiScope(reader, API_SCOPES.TASKS_READ), 'Reader can read');
+        assert(!hasApiScope(reader, API_SCOPES.TASKS_WRITE), 'Reader cannot write');
+        assert(hasApiScope(admin, API_SCOPES.REVIEW), 'Admin grants every scope');
+      }
+    },
+    {
+      name: 'API key lookup and revocation',
+      func: () => {
+        const created = createApiKey('test reader', 'reader@example.com', [API_SCOPES.TASKS_READ]);
+        const request = { method: 'GET', path: '/api/tasks', headers: { 'X-API-Key': created.key }, params: {}, body: {} };
+        const scriptProperties = PropertiesService.getScriptProperties();
+        
+        try {
+          assertEquals(findApiKeyRecord(created.key).id, created.record.id, 'Raw key finds its record');
+          assertEquals(findApiKeyRecord(created.key + 'x'), null, 'Unknown key finds nothing');
+          assertEquals(validateApiKey(request, API_SCOPES.TASKS_READ).keyId, created.record.id, 'Granted scope passes');
+          
+          let errorCode = 0;
+          try {
+            validateApiKey(request, API_SCOPES.TASKS_WRITE);
+          } catch (error) {
+            errorCode = error.statusCode || 0;
+          }
+          assertEquals(errorCode, 403, 'Missing scope is rejected');
+          
+          // A stale record from an in-flight request must not undo the revocation
+          const inFlight = findApiKeyRecord(created.key);
+          inFlight.lastUsed = null;
+          revokeApiKey(created.record.id);
+          touchApiKeyRecord(inFlight);
+          assert(findApiKeyRecord(created.key).revoked, 'Revocation survives a concurrent touch');
+          
+          errorCode = 0;
+          try {
+            validateApiKey(request, API_SCOPES.TASKS_READ);
+          } catch (error) {
+            errorCode = error.statusCode || 0;
+          }
+          assertEquals(errorCode, 401, 'Revoked key is rejected');
+        } finally {
+          scriptProperties.deleteProperty(API_KEY_RECORD_PREFIX + created.record.keyHash);
+          scriptProperties.deleteProperty(API_KEY_LAST_USED_PREFIX + created.record.keyHash);
+        }
+      }
+    },
+    {
+      name: 'Rate limit token bucket',
+      func: () => {
+        const limit = { capacity: 10, perMinute: 60 };
+        const fresh = refillBucket(null, limit, 1000);
+        
+        assertEquals(fresh.tokens, 10, 'New bucket starts full');
+        assertEquals(refillBucket({ tokens: 0, updatedAt: 0 }, limit, 5000).tokens, 5, 'Refills at perMinute rate');
+        assertEquals(refillBucket({ tokens: 8, updatedAt: 0 }, limit, 60000).tokens, 10, 'Refill is capped at capacity');
+      }
+    },
+    {
+      name: 'Rate limit rejects an exhausted bucket',
+      func: () => {
+        const auth = { keyId: 'test_rate_limit' };
+        const bucketKey = RATE_BUCKET_CACHE_PREFIX + auth.keyId + '_' + RATE_LIMIT_CLASSES.QUERY;
+        const cache = CacheService.getScriptCache();
+        
+        try {
+          cache.put(bucketKey, JSON.stringify({ tokens: 0, updatedAt: Date.now() }), 60);
+          
+          let caught = null;
+          try {
+            enforceRateLimit(auth, RATE_LIMIT_CLASSES.QUERY);
+          } catch (error) {
+            caught = error;
+          }
+          
+          assert(caught instanceof RateLimitError, 'Exhausted bucket is rejected');
+          assertEquals(caught.statusCode, 429, 'Rejection is HTTP 429');
+          
+          const body = errorResponse(caught).error;
+          assert(body.retryAfterSeconds > 0, 'Response says when to retry');
+          assert(body.retryAt, 'Response carries the retry time');
+          
+          cache.remove(bucketKey);
+          assertEquals(enforceRateLimit(auth, RATE_LIMIT_CLASSES.QUERY).remaining,
+            getRateLimits().query.capacity - 1, 'Fresh bucket spends one token');
+        } finally {
+          cache.remove(bucketKey);
+          PropertiesService.getScriptProperties().deleteProperty(API_USAGE_PROPERTY_PREFIX + auth.keyId);
+          cache.remove(API_USAGE_CACHE_PREFIX + auth.keyId);
+        }
+      }
+    },
+    {
+      name: 'Audit row diff',
+      func: () => {
+        const before = COLUMN_ORDER.map(() => '');
+        const after = [...before];
+        before[getColumnIndex('STATUS') - 1] = STATUS_VALUES.OPEN;
+        after[getColumnIndex('STATUS') - 1] = STATUS_VALUES.IN_PROGRESS;
+        after[getColumnIndex('AGENT_EMAIL') - 1] = 'agent@test.com';
+        
+        const changes = diffTaskRows(before, after);
+        
+        assertEquals(Object.keys(changes).length, 2, 'Only changed fields are recorded');
+        assertEquals(changes.status.before, STATUS_VALUES.OPEN, 'Before value recorded');
+        assertEquals(changes.agentEmail.before, null, 'Empty cells recorded as null');
+        assertEquals(changes.agentEmail.after, 'agent@test.com', 'After value recorded');
+        assertEquals(
+          getAuditArchiveTime(AUDIT_ARCHIVE_PREFIX + '20250804_120000'),
+          '2025-08-04T12:00:00.000Z',
+          'Archive name encodes rotation time'
+        );
+      }
+    },
+    {
+      name: 'Idempotency key replay',
+      func: () => {
+        const idempotencyKey = 'test-idem-' + generateShortId();
+        const request = {
+          method: 'POST',
+          path: '/api/task/rework',
+          params: {},
+          headers: { 'Idempotency-Key': idempotencyKey },
+          body: { taskId: 'abc' },
+          rawBody: '{"taskId":"abc"}',
+          auth: { keyId: 'test' }
+        };
+        let executions = 0;
+        const operation = () => {
+          executions++;
+          return { success: true, count: executions };
+        };
+        
+        withIdempotency(request, operation);
+        const replay = withIdempotency(request, operation);
+        
+        assertEquals(executions, 1, 'Retry is not re-executed');
+        assertEquals(replay.count, 1, 'Stored response is replayed');
+        assert(replay.idempotentReplay, 'Replay is marked');
+        
+        let conflict = null;
+        try {
+          withIdempotency(Object.assign({}, request, { rawBody: '{"taskId":"xyz"}' }), operation);
+        } catch (e) {
+          conflict = e;
+        }
+        assert(conflict instanceof IdempotencyConflictError, 'Different payload is a conflict');
+        
+        // The sheet record answers retries after the cache evicts the entry
+        CacheService.getScriptCache().remove(IDEMPOTENCY_CACHE_PREFIX + hashIdempotencyKey(request, idempotencyKey));
+        assertEquals(withIdempotency(request, operation).count, 1, 'Replayed after cache eviction');
+        assertEquals(executions, 1, 'Evicted retry is not re-executed');
+        
+        // Client errors are replayed instead of running the handler again
+        const rejected = Object.assign({}, request, { headers: { 'Idempotency-Key': idempotencyKey + '-rejected' } });
+        const failing = () => {
+          executions++;
+          throw new ApiError('Task is not in rework', 409);
+        };
+        const statusCodes = [];
+        for (let i = 0; i < 2; i++) {
+          try {
+            withIdempotency(rejected, failing);
+          } catch (error) {
+            statusCodes.push(error.statusCode || 0);
+          }
+        }
+        assertEquals(statusCodes.join(','), '409,409', 'Stored error is replayed');
+        assertEquals(executions, 2, 'Rejected call is not re-executed');
+      }
+    },
+    {
+      name: 'Request signature',
+      func: () => {
+        const body = '{"taskId":"abc"}';
+        const sig = computeRequestSignature('secret', 'POST', '/api/task/update', 1700000000, 'n1', body);
+        
+        assertEquals(sig.length, 64, 'Signature is hex SHA-256');
+        assertEquals(
+          computeRequestSignature('secret', 'POST', '/api/task/update', 1700000000, 'n1', body),
+          sig,
+          'Signature is deterministic'
+        );
+        assert(
+          sig !== computeRequestSignature('secret', 'POST', '/api/task/update', 1700000000, 'n1', '{"taskId":"xyz"}'),
+          'Body changes the signature'
+        );
+        assert(constantTimeEquals(sig, sig), 'Equal strings compare equal');
+        assert(!constantTimeEquals(sig, sig.replace(/.$/, 'x')), 'Different strings compare unequal');
+      }
+    },
     {
       name: 'Task assignment conflict detection',
       func: () => {
@@ -360,6 +579,10 @@ function testApiEndpoints() {
         // Create the test task
         createTaskRecord(testTask);
         
+        // Both agents are allowed to work on group A
+        setAgentGroups('agent1@example.com', 'A');
+        setAgentGroups('agent2@example.com', 'A');
+        
         // First assignment should succeed
         const request1 = {
           body: {
@@ -398,7 +621,9 @@ function testApiEndpoints() {
         assertEquals(errorCode, 409, 'Error code should be 409 (Conflict)');
         
         // Clean up test task
-        deleteTaskRecord(testTaskId);
+        purgeTaskRecord(testTaskId);
+        removeAgent('agent1@example.com');
+        removeAgent('agent2@example.com');
       }
     },
     {
@@ -446,12 +671,12 @@ function testApiEndpoints() {
         assert(!reworkedTask.agentEmail, 'Agent email should be cleared');
         
         // Verify revision history
-        assert(reworkedTask.revisionHistory, 'Revision history should exist');
-        const history = JSON.parse(reworkedTask.revisionHistory);
+        const history = getRevisionHistory(reworkedTask);
         assertEquals(history.length, 1, 'Should have one revision entry');
         assertEquals(history[0].agentEmail, 'original@example.com', 'History should contain original agent');
         
         // Test assigning reworked task
+        setAgentGroups('newagent@example.com', 'B');
         const assignRequest = {
           body: {
             taskId: testTaskId,
@@ -482,7 +707,776 @@ function testApiEndpoints() {
         assert(errorCaught, 'Should not be able to rework non-completed task');
         
         // Clean up
-        deleteTaskRecord(testTaskId);
+        purgeTaskRecord(testTaskId);
+        removeAgent('newagent@example.com');
+      }
+    },
+    {
+      name: 'Task assignment group permissions',
+      func: () => {
+        const testTaskId = generateUUID();
+        createTaskRecord({
+          taskId: testTaskId,
+          batchId: 'TEST_BATCH_003',
+          status: STATUS_VALUES.OPEN,
+          folderName: 'test_group_folder',
+          group: 'C',
+          importTime: new Date().toISOString()
+        });
+        
+        try {
+          setAgentGroups('groupless@example.com', 'A,B');
+          
+          // Agent outside group C should be rejected
+          let errorCode = 0;
+          let errorMessage = '';
+          try {
+            assignTask({
+              body: {
+                taskId: testTaskId,
+                agentEmail: 'groupless@example.com'
+              }
+            });
+          } catch (error) {
+            errorCode = error.statusCode || 0;
+            errorMessage = error.message;
+          }
+          
+          assertEquals(errorCode, 403, 'Error code should be 403 (Forbidden)');
+          assert(errorMessage.includes('group C'), 'Error should name the task group');
+          assert(errorMessage.includes('A, B'), 'Error should list allowed groups');
+          
+          // Override from a non-admin key is rejected whatever overrideBy says
+          errorCode = 0;
+          try {
+            assignTask({
+              auth: { keyId: 'key_writer', name: 'writer', owner: 'writer@example.com', scopes: [API_SCOPES.TASKS_WRITE] },
+              body: {
+                taskId: testTaskId,
+                agentEmail: 'groupless@example.com',
+                overrideGroupCheck: true,
+                overrideBy: getAdminEmails()[0] || 'admin@example.com'
+              }
+            });
+          } catch (error) {
+            errorCode = error.statusCode || 0;
+          }
+          
+          assertEquals(errorCode, 403, 'Non-admin key override should be rejected');
+          
+          const overridden = assignTask({
+            auth: { keyId: 'key_admin', name: 'admin tool', owner: 'lead@example.com', scopes: [API_SCOPES.ADMIN] },
+            body: {
+              taskId: testTaskId,
+              agentEmail: 'groupless@example.com',
+              overrideGroupCheck: true,
+              overrideReason: 'Group C backlog'
+            }
+          });
+          assertEquals(overridden.task.agentEmail, 'groupless@example.com', 'Admin key override assigns the task');
+          
+          const overrideEntry = getRevisionHistory(testTaskId).find(entry => entry.type === 'group_override');
+          assertEquals(overrideEntry.overrideKeyId, 'key_admin', 'Override records the authenticating key');
+          assertEquals(overrideEntry.overrideBy, 'lead@example.com', 'overrideBy defaults to the key owner');
+        } finally {
+          purgeTaskRecord(testTaskId);
+          removeAgent('groupless@example.com');
+        }
+      }
+    },
+    {
+      name: 'Optimistic version conflict',
+      func: () => {
+        const testTaskId = generateUUID();
+        const created = createTaskRecord({
+          taskId: testTaskId,
+          batchId: 'TEST_BATCH_004',
+          status: STATUS_VALUES.OPEN,
+          folderName: 'test_version_folder',
+          group: 'A',
+          importTime: new Date().toISOString()
+        });
+        try {
+          assertEquals(created.version, 1, 'New task should start at version 1');
+          
+          const updated = updateTaskRecord(testTaskId, { agentEmail: 'first@example.com' }, { expectedVersion: 1 });
+          assertEquals(updated.version, 2, 'Write should bump version');
+          
+          // Stale write with the old version should conflict
+          let errorCode = 0;
+          try {
+            updateTaskRecord(testTaskId, { agentEmail: 'second@example.com' }, { expectedVersion: 1 });
+          } catch (error) {
+            errorCode = error.statusCode || 0;
+          }
+          
+          assertEquals(errorCode, 409, 'Stale version should return 409');
+          assertEquals(getTaskById(testTaskId).agentEmail, 'first@example.com', 'Stale write must not overwrite');
+        } finally {
+          purgeTaskRecord(testTaskId);
+        }
+      }
+    },
+    {
+      name: 'Review rubric scoring',
+      func: () => {
+        const rubric = DEFAULT_REVIEW_RUBRIC;
+        
+        const good = scoreReviewRubric(rubric, {
+          mesh_topology: 80,
+          alignment_accuracy: 90,
+          recording_completeness: 100
+        });
+        assertEquals(good.weightedScore, 88, 'Weighted score uses criterion weights');
+        assertEquals(good.failedHardMinimums.length, 0, 'No hard minimum failed');
+        
+        const hardFail = scoreReviewRubric(rubric, {
+          mesh_topology: 100,
+          alignment_accuracy: 45,
+          recording_completeness: 100
+        });
+        assertEquals(hardFail.failedHardMinimums[0], 'alignment_accuracy', 'Hard minimum failure reported');
+        
+        let caught = null;
+        try {
+          scoreReviewRubric(rubric, { mesh_topology: 90 });
+        } catch (error) {
+          caught = error;
+        }
+        assert(caught instanceof ValidationError, 'Every criterion must be scored');
+      }
+    },
+    {
+      name: 'Review threshold resolution',
+      func: () => {
+        const overrides = {
+          batches: { TEST_BATCH_STRICT: 95 },
+          groups: { B: 90 }
+        };
+        
+        const batchResult = resolveReviewThreshold({ batchId: 'TEST_BATCH_STRICT', group: 'B' }, overrides);
+        assertEquals(batchResult.threshold, 95, 'Batch override wins over group');
+        assertEquals(batchResult.source, 'batch', 'Batch source reported');
+        
+        const groupResult = resolveReviewThreshold({ batchId: 'TEST_BATCH_OTHER', group: 'B' }, overrides);
+        assertEquals(groupResult.threshold, 90, 'Group override applies without batch override');
+        
+        const globalResult = resolveReviewThreshold({ batchId: 'TEST_BATCH_OTHER', group: 'A' }, overrides);
+        assertEquals(globalResult.threshold, getReviewThreshold(), 'Falls back to global threshold');
+        assertEquals(globalResult.source, 'global', 'Global source reported');
+      }
+    },
+    {
+      name: 'Review sampling decision',
+      func: () => {
+        const config = Object.assign({}, DEFAULT_REVIEW_SAMPLING, { enabled: true });
+        const trusted = { reviewedCount: 50, recentCount: 20, passRate: 0.97 };
+        
+        const disabled = decideReviewSampling({}, trusted, DEFAULT_REVIEW_SAMPLING, 0.99);
+        assert(disabled.sampled, 'Every completion reviewed while sampling is disabled');
+        
+        const newAgent = decideReviewSampling({}, { reviewedCount: 3, recentCount: 3, passRate: 1 }, config, 0.99);
+        assertEquals(newAgent.reason, REVIEW_SAMPLING_REASONS.NEW_AGENT, 'First tasks always reviewed');
+        
+        const rework = decideReviewSampling({ revisionCount: 1 }, trusted, config, 0.99);
+        assertEquals(rework.reason, REVIEW_SAMPLING_REASONS.REWORK, 'Rework completions always reviewed');
+        
+        const skipped = decideReviewSampling({}, trusted, config, 0.5);
+        assertEquals(skipped.sampleRate, 0.25, 'Top tier sample rate applied');
+        assert(!skipped.sampled, 'Draw above sample rate is not sampled');
+        
+        const weak = decideReviewSampling({}, { reviewedCount: 50, recentCount: 20, passRate: 0.7 }, config, 0.99);
+        assertEquals(weak.sampleRate, 1, 'Default rate applies below every tier');
+        
+        // Stats follow the reviewed agent in revision history
+        const records = [
+          { type: 'review', revision: 0, agentEmail: 'a@example.com', reviewStatus: REVIEW_STATUS_VALUES.PASSED, reviewedBy: 'r@example.com', reviewedAt: '2025-01-03' },
+          { revision: 1, agentEmail: 'a@example.com', reviewedBy: 'r@example.com', reviewedAt: '2025-01-02' },
+          { type: 'review', revision: 1, agentEmail: 'r@example.com', reviewStatus: REVIEW_STATUS_VALUES.PASSED, reviewedBy: 'x@example.com', reviewedAt: '2025-01-04' },
+          { type: 'auto_pass', revision: 0, agentEmail: 'a@example.com' },
+          { type: 'release', revision: 0, agentEmail: 'a@example.com' }
+        ].map(entry => ({ taskId: 't1', entry: entry }));
+        const stats = computeAgentReviewStats(records, 'a@example.com', 20);
+        assertEquals(stats.reviewedCount, 2, 'Only the agent\'s review outcomes count');
+        assertEquals(stats.passRate, 0.5, 'Failed review counts against the agent who did the work');
+        
+        const overturned = computeAgentReviewStats(records.concat([
+          { taskId: 't1', entry: { type: 'dispute_resolution', revision: 1, agentEmail: 'a@example.com', outcome: DISPUTE_OUTCOME_VALUES.OVERTURNED, reviewedBy: 'r@example.com' } }
+        ]), 'a@example.com', 20);
+        assertEquals(overturned.reviewedCount, 1, 'Overturned failure does not count');
+        assertEquals(overturned.passRate, 1, 'Overturned failure does not lower the pass rate');
+        assertEquals(computeAgentReviewStats([], 'a@example.com', 20).passRate, null, 'No reviews, no pass rate');
+        
+        const transition = assertTaskTransition(
+          { taskId: 'test', status: STATUS_VALUES.IN_PROGRESS, reviewStatus: '' },
+          { status: STATUS_VALUES.COMPLETE, reviewStatus: REVIEW_STATUS_VALUES.AUTO_PASSED }
+        );
+        assertEquals(transition.action, 'complete_auto_passed', 'Auto-passed completion is a valid transition');
+      }
+    },
+    {
+      name: 'Review queue and claim',
+      func: () => {
+        const testTaskId = generateUUID();
+        createTaskRecord({
+          taskId: testTaskId,
+          batchId: 'TEST_BATCH_007',
+          status: STATUS_VALUES.COMPLETE,
+          reviewStatus: REVIEW_STATUS_VALUES.PENDING,
+          folderName: 'test_review_claim_folder',
+          group: 'A',
+          agentEmail: 'agent@example.com',
+          endTime: new Date().toISOString(),
+          importTime: new Date().toISOString()
+        });
+        const olderTaskId = generateUUID();
+        createTaskRecord({
+          taskId: olderTaskId,
+          batchId: 'TEST_BATCH_007',
+          status: STATUS_VALUES.COMPLETE,
+          reviewStatus: REVIEW_STATUS_VALUES.PENDING,
+          folderName: 'test_review_claim_older_folder',
+          group: 'A',
+          agentEmail: 'agent@example.com',
+          endTime: new Date(Date.now() - 86400000),
+          importTime: new Date().toISOString()
+        });
+        
+        try {
+          const inQueue = task => task.taskId === testTaskId;
+          const queued = getReviewQueue('first@example.com', { batchId: 'TEST_BATCH_007' }).map(task => task.taskId);
+          assertEquals(queued.join(','), [olderTaskId, testTaskId].join(','), 'Pending reviews are queued, oldest completion first');
+          assert(!getReviewQueue('agent@example.com', { batchId: 'TEST_BATCH_007' }).some(inQueue), 'Own work is excluded');
+          
+          // Reviews require a claim
+          let errorCode = 0;
+          try {
+            reviewTask({ body: { taskId: testTaskId, score: 90, reviewerEmail: 'first@example.com' } });
+          } catch (error) {
+            errorCode = error.statusCode || 0;
+          }
+          assertEquals(errorCode, 403, 'Unclaimed review is rejected');
+          
+          claimReview({ body: { taskId: testTaskId, reviewerEmail: 'first@example.com' } });
+          assert(!getReviewQueue('second@example.com', { batchId: 'TEST_BATCH_007' }).some(inQueue), 'Claimed review hidden from others');
+          
+          errorCode = 0;
+          try {
+            reviewTask({ body: { taskId: testTaskId, score: 90, reviewerEmail: 'second@example.com' } });
+          } catch (error) {
+            errorCode = error.statusCode || 0;
+          }
+          assertEquals(errorCode, 409, 'Non-claimant review is rejected');
+          
+          const reviewed = reviewTask({ body: { taskId: testTaskId, score: 100, reviewerEmail: 'first@example.com' } });
+          assertEquals(reviewed.task.reviewStatus, REVIEW_STATUS_VALUES.PASSED, 'Claimant can review');
+          assert(!reviewed.task.reviewClaimedBy, 'Claim cleared after review');
+        } finally {
+          purgeTaskRecord(testTaskId);
+          purgeTaskRecord(olderTaskId);
+        }
+      }
+    },
+    {
+      name: 'Review dispute and adjudication',
+      func: () => {
+        const testTaskId = generateUUID();
+        const objLink = 'https://drive.google.com/file/d/dispute_obj/view';
+        createTaskRecord({
+          taskId: testTaskId,
+          batchId: 'TEST_BATCH_008',
+          status: STATUS_VALUES.COMPLETE,
+          reviewStatus: REVIEW_STATUS_VALUES.PENDING,
+          folderName: 'test_dispute_folder',
+          group: 'A',
+          agentEmail: 'dispute_agent@example.com',
+          objLink: objLink,
+          endTime: new Date().toISOString(),
+          importTime: new Date().toISOString()
+        });
+        
+        try {
+          claimReview({ body: { taskId: testTaskId, reviewerEmail: 'first@example.com' } });
+          reviewTask({ body: { taskId: testTaskId, score: 0, reviewerEmail: 'first@example.com' } });
+          
+          const disputed = disputeReview({
+            body: { taskId: testTaskId, agentEmail: 'dispute_agent@example.com', comment: 'Mask matches the spec' }
+          });
+          assertEquals(disputed.task.reviewStatus, REVIEW_STATUS_VALUES.DISPUTED, 'Task is disputed');
+          
+          // Disputed rework is frozen until adjudicated
+          let caught = null;
+          try {
+            assertTaskTransition(disputed.task, { status: STATUS_VALUES.IN_PROGRESS });
+          } catch (error) {
+            caught = error;
+          }
+          assert(caught instanceof TransitionError, 'Disputed task cannot be started');
+          
+          let errorCode = 0;
+          try {
+            adjudicateDispute({
+              body: { taskId: testTaskId, adjudicatorEmail: 'first@example.com', outcome: DISPUTE_OUTCOME_VALUES.OVERTURNED }
+            });
+          } catch (error) {
+            errorCode = error.statusCode || 0;
+          }
+          assertEquals(errorCode, 403, 'Original reviewer cannot adjudicate');
+          
+          const adjudicated = adjudicateDispute({
+            body: { taskId: testTaskId, adjudicatorEmail: 'second@example.com', outcome: DISPUTE_OUTCOME_VALUES.OVERTURNED }
+          });
+          assertEquals(adjudicated.task.status, STATUS_VALUES.COMPLETE, 'Overturned task is complete');
+          assertEquals(adjudicated.task.objLink, objLink, 'Artifacts restored from revision history');
+          assertEquals(adjudicated.task.reviewScore, null, 'Failing score cleared');
+          assertEquals(getAgentReviewStats('dispute_agent@example.com', 20).passRate, null, 'Overturned failure leaves the agent\'s stats');
+          
+          const report = getDisputeReport({ batchId: 'TEST_BATCH_008', reviewerEmail: 'first@example.com' });
+          const stats = report.byReviewer['first@example.com'];
+          assertEquals(stats.disputeRate, 1, 'Dispute rate per reviewer');
+          assertEquals(stats.overturned, 1, 'Overturn counted');
+        } finally {
+          purgeTaskRecord(testTaskId);
+        }
+      }
+    },
+    {
+      name: 'Structured review feedback',
+      func: () => {
+        const feedback = validateReviewFeedback({
+          comment: 'Left side of the mesh is open',
+          tags: [FEEDBACK_TAG_VALUES.MESH_HOLES],
+          annotations: [
+            { videoTimestamp: '01:15', note: 'Object leaves frame' },
+            { file: FEEDBACK_FILE_VALUES.OBJ, note: 'Hole near the handle' }
+          ]
+        });
+        assertEquals(feedback.annotations[0].videoSeconds, 75, 'Timestamp normalized to seconds');
+        assertEquals(feedback.annotations[1].file, 'obj', 'File reference kept');
+        
+        let caught = null;
+        try {
+          validateReviewFeedback({ tags: ['not_a_tag'] });
+        } catch (error) {
+          caught = error;
+        }
+        assert(caught instanceof ValidationError, 'Unknown tags are rejected');
+        
+        const history = [
+          { revision: 1, agentEmail: 'agent@example.com', completedAt: '2025-01-01', reviewedBy: 'reviewer@example.com', reason: 'Failed review', feedback: feedback },
+          { type: 'release', revision: 1, agentEmail: 'agent@example.com' }
+        ];
+        const entries = getTaskFeedback(history, 'agent@example.com');
+        assertEquals(entries.length, 1, 'Only revisions with feedback are returned');
+        assertEquals(entries[0].feedback.tags[0], FEEDBACK_TAG_VALUES.MESH_HOLES, 'Feedback returned with revision');
+      }
+    },
+    {
+      name: 'Revision repository',
+      func: () => {
+        const testTaskId = generateUUID();
+        createTaskRecord({
+          taskId: testTaskId,
+          batchId: 'TEST_BATCH_009',
+          status: STATUS_VALUES.OPEN,
+          folderName: 'test_revisions_folder',
+          group: 'A',
+          importTime: new Date().toISOString(),
+          revisionHistory: JSON.stringify([{ revision: 1, agentEmail: 'legacy@example.com' }])
+        });
+
+        try {
+          appendRevisionEntry(testTaskId, { type: 'flag', revision: 1 });
+          appendRevisionEntries(testTaskId, [
+            { type: 'unflag', revision: 1 },
+            { revision: 2, agentEmail: 'agent@example.com' }
+          ]);
+
+          const history = getRevisionHistory(getTaskById(testTaskId));
+          assertEquals(history.length, 4, 'Legacy cell and sheet entries are combined');
+          assertEquals(history[0].agentEmail, 'legacy@example.com', 'Legacy entries come first');
+          assertEquals(history[3].revision, 2, 'Sheet entries keep append order');
+          assertEquals(getRevisionHistory(testTaskId).length, 3, 'Task ID reads only sheet entries');
+
+          const histories = getRevisionHistories([getTaskById(testTaskId)]);
+          assertEquals(histories[testTaskId].length, 4, 'Bulk read matches single read');
+        } finally {
+          purgeTaskRecord(testTaskId);
+        }
+        assertEquals(getRevisionHistory(testTaskId).length, 0, 'Entries deleted with the task');
+      }
+    },
+    {
+      name: 'Archive keys and row deletion',
+      func: () => {
+        assertEquals(getArchiveKey(new Date('2025-08-31T23:00:00Z')), '2025-08', 'Archive key is the delivery month');
+
+        const deleted = [];
+        const sheet = { deleteRows: (start, count) => deleted.push(`${start}+${count}`) };
+        deleteSheetRows(sheet, [3, 4, 5, 9, 12, 13]);
+        assertEquals(deleted.join(','), '12+2,9+1,3+3', 'Adjacent rows deleted together, bottom-up');
+
+        assertEquals(getArchivedTask(generateUUID()), null, 'Unknown task is not archived');
+      }
+    },
+    {
+      name: 'Schema migration steps',
+      func: () => {
+        const table = {
+          headers: ['Task ID', 'Agent Email', 'Legacy'],
+          rows: [['t1', 'ann@example.com', 'x'], ['', '', '']]
+        };
+
+        backfillSchemaColumn(table, 'Version', record => record['Task ID'] ? 1 : '');
+        assertEquals(table.rows[0][3], 1, 'Backfill sets rows with a task ID');
+        assertEquals(table.rows[1][3], '', 'Backfill skips rows without a value');
+
+        alignSchemaColumns(table, ['Version', 'Task ID', 'Status']);
+        assertEquals(table.headers.slice(0, 4).join(','), 'Version,Task ID,Status,Agent Email', 'Aligned with extras kept after');
+        assertEquals(table.rows[0][1], 't1', 'Row values follow their columns');
+
+        const aligned = JSON.stringify(table);
+        const output = { revisionRows: [], failures: [] };
+        getSchemaMigrations().forEach(migration => migration.up(table, output));
+        const migrated = JSON.stringify(table);
+        getSchemaMigrations().forEach(migration => migration.up(table, output));
+        assertEquals(JSON.stringify(table), migrated, 'Registered migrations are idempotent');
+        assert(aligned !== migrated, 'Registered migrations change an old table');
+        assertEquals(getCurrentSchemaVersion(), getSchemaMigrations().slice(-1)[0].version, 'Code version is the last migration');
+
+        // The frozen steps must end on the schema the code reads
+        const expected = COLUMN_ORDER.map(key => COLUMNS[key]);
+        assertEquals(table.headers.slice(0, expected.length).join(','), expected.join(','), 'Migrations end on COLUMN_ORDER');
+
+        // Legacy revision history cells move to Revisions rows
+        const legacy = {
+          headers: ['Task ID', 'Revision History'],
+          rows: [
+            ['t1', JSON.stringify([{ revision: 1 }, { type: 'flag', revision: 1 }])],
+            ['t2', 'not json'],
+            ['t3', '']
+          ]
+        };
+        const moved = { revisionRows: [], failures: [] };
+        moveLegacyRevisionHistory(legacy, 'Task ID', 'Revision History', moved);
+        assertEquals(moved.revisionRows.map(row => row[1]).join(','), '-1,0', 'Legacy entries sort ahead of sheet entries');
+        assertEquals(legacy.rows[0][1], '', 'Moved cell cleared');
+        assertEquals(legacy.rows[1][1], 'not json', 'Invalid cell left in place');
+        assertEquals(moved.failures.length, 1, 'Invalid cell reported');
+        assertEquals(parseLegacyRevisionHistory({ taskId: 't2', revisionHistory: 'not json' }).length, 0, 'Reads skip an invalid cell');
+      }
+    },
+    {
+      name: 'Integrity findings',
+      func: () => {
+        const row = fields => COLUMN_ORDER.map(key => {
+          const field = key.toLowerCase().replace(/_([a-z])/g, (g) => g[1].toUpperCase());
+          return fields[field] === undefined ? '' : fields[field];
+        });
+
+        const complete = { taskId: 't1', folderName: 'f1', status: STATUS_VALUES.COMPLETE, agentEmail: 'known@example.com',
+          objLink: 'o', alignmentLink: 'a', videoLink: 'v', revisionCount: 1 };
+        const rows = [
+          row(complete),
+          row(complete),
+          row({ taskId: 't2', folderName: 'f1', status: STATUS_VALUES.OPEN, reviewStatus: REVIEW_STATUS_VALUES.PASSED,
+            agentEmail: 'stranger@example.com', group: 'B', exportStatus: EXPORT_STATUS_VALUES.STAGED }),
+          row({ taskId: 't3', batchId: 'B1', folderName: 'f3', status: STATUS_VALUES.COMPLETE, agentEmail: 'known@example.com',
+            reviewStatus: REVIEW_STATUS_VALUES.PENDING, reviewClaimedBy: 'lead@example.com', objLink: 'o', alignmentLink: 'a' })
+        ];
+
+        const findings = buildIntegrityFindings(rows, {
+          histories: { t1: [{ revision: 1 }, { type: 'flag' }], t2: [{ revision: 1 }] },
+          agentEmails: ['known@example.com'],
+          adminEmails: []
+        });
+        const byId = {};
+        findings.forEach(finding => { byId[finding.id] = finding; });
+
+        assertEquals(byId['duplicate_task_id:row3'].fix.action, 'delete_row', 'Identical duplicate can be deleted');
+        assert(byId['duplicate_folder_name:row4'], 'Duplicate folder reported');
+        assertEquals(byId['review_fields_on_open_work:t2'].fix.updates.reviewStatus, '', 'Review fields cleared');
+        assertEquals(byId['revision_count_mismatch:t2'].fix.updates.revisionCount, 1, 'Count follows work revisions');
+        assert(!byId['revision_count_mismatch:row2'], 'Typed entries are not work revisions');
+        assertEquals(byId['export_status_without_batch:t2'].severity, INTEGRITY_SEVERITY.ERROR, 'Export without batch is an error');
+        assertEquals(byId['unknown_agent:stranger@example.com'].fix.groups.join(','), 'B', 'Unknown agent added with task group');
+        assertEquals(findings[0].severity, INTEGRITY_SEVERITY.ERROR, 'Errors listed first');
+        
+        assertEquals(byId['missing_batch_id:t2'].fix.action, 'manual', 'Missing batch ID needs a manual fix');
+        assert(!byId['missing_batch_id:t3'], 'Rows with a batch ID pass');
+        
+        const missingOutputs = byId['missing_outputs:t3'].fix;
+        assertEquals(missingOutputs.updates.status, STATUS_VALUES.REWORK, 'Missing outputs go back to rework');
+        assertEquals(missingOutputs.updates.revisionCount, 1, 'Rework counts as a revision');
+        assertEquals(missingOutputs.updates.reviewStatus, '', 'Review of the void completion is cleared');
+        assertEquals(missingOutputs.updates.reviewClaimedBy, '', 'Review claim is cleared');
+        assertEquals(missingOutputs.revisionEntry.revision, 1, 'Completion kept as a work revision');
+      }
+    },
+    {
+      name: 'Task index lookup',
+      func: () => {
+        const testTaskId = generateUUID();
+        createTaskRecord({
+          taskId: testTaskId,
+          batchId: 'TEST_BATCH_010',
+          status: STATUS_VALUES.OPEN,
+          folderName: 'test_index_folder',
+          group: 'A',
+          importTime: new Date().toISOString()
+        });
+
+        try {
+          assertEquals(getTaskById(testTaskId).folderName, 'test_index_folder', 'New task found through the index');
+          assertEquals(queryTasks({ batchId: 'TEST_BATCH_010' }).length, 1, 'Batch index includes the new row');
+
+          updateTaskRecord(testTaskId, { status: STATUS_VALUES.IN_PROGRESS, agentEmail: 'index@example.com' });
+          const byStatus = queryTasks({ batchId: 'TEST_BATCH_010', status: STATUS_VALUES.IN_PROGRESS });
+          assertEquals(byStatus.length, 1, 'Status index follows updates');
+          assertEquals(queryTasks({ batchId: 'TEST_BATCH_010', status: STATUS_VALUES.OPEN }).length, 0, 'Old status bucket no longer matches');
+          assertEquals(queryTasks({ agentEmail: 'index@example.com' })[0].taskId, testTaskId, 'Agent index follows updates');
+
+          const rowIndex = findTaskRowIndex(testTaskId);
+          invalidateTaskIndex();
+          assertEquals(findTaskRowIndex(testTaskId), rowIndex, 'Rebuilt index finds the same row');
+        } finally {
+          purgeTaskRecord(testTaskId);
+        }
+        assertEquals(getTaskById(testTaskId), null, 'Deleted task is no longer indexed');
+      }
+    },
+    {
+      name: 'Soft delete and undo',
+      func: () => {
+        const changes = diffJournalRows(['a', 1, ''], ['a', 2, 'x']);
+        assertEquals(Object.keys(changes).length, 2, 'Only changed cells are journaled');
+        assert(journalValueMatches(42, '42'), 'Number cell matches journaled string');
+
+        const testTaskId = generateUUID();
+        createTaskRecord({
+          taskId: testTaskId,
+          batchId: 'TEST_BATCH_011',
+          status: STATUS_VALUES.OPEN,
+          folderName: 'test_undo_folder',
+          group: 'A',
+          importTime: new Date().toISOString()
+        });
+
+        try {
+          updateTaskRecord(testTaskId, { status: STATUS_VALUES.IN_PROGRESS, agentEmail: 'undo@example.com' });
+          deleteTaskRecord(testTaskId);
+
+          assertEquals(getTaskById(testTaskId), null, 'Deleted task is hidden');
+          assert(getTaskById(testTaskId, { includeDeleted: true }).deletedAt, 'Tombstone keeps the row');
+          assertEquals(queryTasks({ batchId: 'TEST_BATCH_011' }).length, 0, 'Queries exclude deleted tasks');
+
+          let errorCode = 0;
+          try {
+            updateTaskRecord(testTaskId, { agentEmail: 'other@example.com' });
+          } catch (error) {
+            errorCode = error.statusCode || 0;
+          }
+          assertEquals(errorCode, 409, 'Deleted task cannot be updated');
+
+          undoTaskChanges(testTaskId, 1);
+          assertEquals(getTaskById(testTaskId).agentEmail, 'undo@example.com', 'Undoing the delete restores the task');
+
+          undoTaskChanges(testTaskId, 1);
+          const restored = getTaskById(testTaskId);
+          assertEquals(restored.status, STATUS_VALUES.OPEN, 'Undoing the update restores the status');
+          assertEquals(restored.agentEmail, null, 'Undoing the update clears the agent');
+
+          updateTaskRecord(testTaskId, { status: STATUS_VALUES.IN_PROGRESS, agentEmail: 'undo@example.com' });
+          appendRevisionEntry(testTaskId, { type: 'release', revision: 0, agentEmail: 'undo@example.com' });
+          undoTaskChanges(testTaskId, 1);
+          assertEquals(getRevisionHistory(testTaskId).length, 0, 'Undo deletes the revision entries the change appended');
+        } finally {
+          purgeTaskRecord(testTaskId);
+        }
+      }
+    },
+    {
+      name: 'Task flag and resolution',
+      func: () => {
+        const testTaskId = generateUUID();
+        createTaskRecord({
+          taskId: testTaskId,
+          batchId: 'TEST_BATCH_006',
+          status: STATUS_VALUES.OPEN,
+          folderName: 'test_flag_folder',
+          group: 'A',
+          importTime: new Date().toISOString()
+        });
+        
+        try {
+          const flagged = flagTask({
+            body: {
+              taskId: testTaskId,
+              flaggedBy: 'agent@example.com',
+              reason: FLAG_REASON_VALUES.BAD_MASK,
+              note: 'Mask covers background'
+            }
+          });
+          assertEquals(flagged.task.status, STATUS_VALUES.FLAGGED, 'Task is flagged');
+          assertEquals(flagged.task.flagReason, FLAG_REASON_VALUES.BAD_MASK, 'Reason stored');
+          
+          const report = getFlagReport({ batchId: 'TEST_BATCH_006' });
+          assertEquals(report.byBatch.TEST_BATCH_006.byReason.bad_mask, 1, 'Reason counted per batch');
+          assertEquals(report.byBatch.TEST_BATCH_006.unresolved, 1, 'Flag is unresolved');
+          
+          const rejected = unflagTask({
+            body: {
+              taskId: testTaskId,
+              resolvedBy: 'lead@example.com',
+              resolution: FLAG_RESOLUTION_VALUES.REJECTED
+            }
+          });
+          assertEquals(rejected.task.status, STATUS_VALUES.REJECTED, 'Task rejected');
+          
+          // Rejected is terminal
+          let caught = null;
+          try {
+            assertTaskTransition(rejected.task, { status: STATUS_VALUES.OPEN });
+          } catch (error) {
+            caught = error;
+          }
+          assert(caught instanceof TransitionError, 'Rejected task cannot be reopened');
+        } finally {
+          purgeTaskRecord(testTaskId);
+        }
+      }
+    },
+    {
+      name: 'Task release and reassignment',
+      func: () => {
+        const testTaskId = generateUUID();
+        createTaskRecord({
+          taskId: testTaskId,
+          batchId: 'TEST_BATCH_005',
+          status: STATUS_VALUES.OPEN,
+          folderName: 'test_release_folder',
+          group: 'A',
+          importTime: new Date().toISOString()
+        });
+        
+        try {
+          setAgentGroups('owner@example.com', 'A');
+          setAgentGroups('other@example.com', 'A');
+          assignTask({ body: { taskId: testTaskId, agentEmail: 'owner@example.com' } });
+          
+          // Only the owner may release
+          let errorCode = 0;
+          try {
+            releaseTask({ body: { taskId: testTaskId, agentEmail: 'other@example.com' } });
+          } catch (error) {
+            errorCode = error.statusCode || 0;
+          }
+          assertEquals(errorCode, 403, 'Non-owner release should be rejected');
+          
+          const reassigned = reassignTask({
+            body: {
+              taskId: testTaskId,
+              agentEmail: 'other@example.com',
+              reassignedBy: 'lead@example.com',
+              reason: 'Owner out sick'
+            }
+          });
+          assertEquals(reassigned.task.agentEmail, 'other@example.com', 'Task moves to new agent');
+          assertEquals(reassigned.previousAgent, 'owner@example.com', 'Previous owner returned');
+          
+          const history = getRevisionHistory(testTaskId);
+          assertEquals(history[history.length - 1].type, 'reassign', 'Reassignment kept in history');
+          
+          const released = releaseTask({ body: { taskId: testTaskId, agentEmail: 'other@example.com' } });
+          assertEquals(released.task.status, STATUS_VALUES.OPEN, 'Released task returns to open');
+          assertEquals(released.task.agentEmail, null, 'Released task has no agent');
+          
+          // Released rework stays with its assignee
+          updateTaskRecord(testTaskId, { revisionCount: 1 }, { skipTransitionCheck: true });
+          assignTask({ body: { taskId: testTaskId, agentEmail: 'owner@example.com' } });
+          const releasedRework = releaseTask({ body: { taskId: testTaskId, agentEmail: 'owner@example.com' } });
+          assertEquals(releasedRework.task.status, STATUS_VALUES.REWORK, 'Released rework returns to rework');
+          assertEquals(releasedRework.task.agentEmail, 'owner@example.com', 'Released rework keeps its assignee');
+          assertEquals(releasedRework.task.startTime, null, 'Released rework has no start time');
+        } finally {
+          purgeTaskRecord(testTaskId);
+          removeAgent('owner@example.com');
+          removeAgent('other@example.com');
+        }
+      }
+    },
+    {
+      name: 'Claim next task ordering',
+      func: () => {
+        const agentEmail = 'claimer@example.com';
+        const create = (status, batchId, importTime, extra = {}) => {
+          const taskId = generateUUID();
+          createTaskRecord(Object.assign({
+            taskId: taskId,
+            batchId: batchId,
+            status: status,
+            folderName: 'test_claim_folder',
+            group: 'D',
+            importTime: importTime
+          }, extra));
+          return taskId;
+        };
+        
+        // Test batches outrank any real batch
+        setBatchPriority('TEST_CLAIM_HIGH', 1000);
+        setBatchPriority('TEST_CLAIM_LOW', 999);
+        setAgentGroups(agentEmail, 'D');
+        
+        const lowOld = create(STATUS_VALUES.OPEN, 'TEST_CLAIM_LOW', '2000-01-01T00:00:00.000Z');
+        const highNew = create(STATUS_VALUES.OPEN, 'TEST_CLAIM_HIGH', '2000-01-03T00:00:00.000Z');
+        const highOld = create(STATUS_VALUES.OPEN, 'TEST_CLAIM_HIGH', '2000-01-02T00:00:00.000Z');
+        const ownRework = create(STATUS_VALUES.REWORK, 'TEST_CLAIM_LOW', '2000-01-05T00:00:00.000Z',
+          { agentEmail: agentEmail, revisionCount: 1 });
+        const otherRework = create(STATUS_VALUES.REWORK, 'TEST_CLAIM_HIGH', '1999-01-01T00:00:00.000Z',
+          { agentEmail: 'someone-else@example.com', revisionCount: 1 });
+        
+        try {
+          const groups = getAgentGroups(agentEmail);
+          assertEquals(groups.join(','), 'D', 'Groups come from the Agents sheet');
+          
+          const order = [];
+          [ownRework, highOld, highNew].forEach(() => {
+            const next = findNextTaskForAgent(agentEmail, groups);
+            order.push(next.taskId);
+            purgeTaskRecord(next.taskId);
+          });
+          assertEquals(order[0], ownRework, 'Rework assigned to the agent comes first');
+          assertEquals(order[1], highOld, 'Then the highest batch priority, oldest import first');
+          assertEquals(order[2], highNew, 'Then newer imports of that batch');
+          
+          const claimed = claimNextTask({ body: { agentEmail: agentEmail } });
+          assertEquals(claimed.task.taskId, lowOld, 'Lower priority batch follows');
+          assertEquals(claimed.task.status, STATUS_VALUES.IN_PROGRESS, 'Claimed task is assigned');
+          assertEquals(claimed.noWorkAvailable, false, 'Work was available');
+          assertEquals(getTaskById(otherRework).status, STATUS_VALUES.REWORK, 'Rework of another agent is not claimed');
+          
+          // A group without tasks has no work
+          setAgentGroups(agentEmail, 'TEST_EMPTY_GROUP');
+          const empty = claimNextTask({ body: { agentEmail: agentEmail } });
+          assertEquals(empty.task, null, 'No task returned');
+          assertEquals(empty.noWorkAvailable, true, 'No work available reported');
+          
+          removeAgent(agentEmail);
+          let errorCode = 0;
+          try {
+            claimNextTask({ body: { agentEmail: agentEmail } });
+          } catch (error) {
+            errorCode = error.statusCode || 0;
+          }
+          assertEquals(errorCode, 403, 'Agent without groups is rejected');
+        } finally {
+          [lowOld, highNew, highOld, ownRework, otherRework].forEach(taskId => {
+            if (getTaskById(taskId, { includeDeleted: true })) purgeTaskRecord(taskId);
+          });
+          removeAgent(agentEmail);
+          setBatchPriority('TEST_CLAIM_HIGH', 0);
+          setBatchPriority('TEST_CLAIM_LOW', 0);
+        }
       }
     }
   ];
@@ -561,6 +1555,144 @@ function testValidation() {
   return runTestGroup('Validation', tests);
 }
 
+/**
+ * Test Task Lifecycle transitions
+ */
+function testTaskLifecycle() {
+  const tests = [
+    {
+      name: 'Allowed transitions',
+      func: () => {
+        const openTask = { taskId: 't1', status: STATUS_VALUES.OPEN, reviewStatus: null };
+        const assign = assertTaskTransition(openTask, { status: STATUS_VALUES.IN_PROGRESS });
+        assertEquals(assign.action, 'assign', 'Open task can be assigned');
+        
+        const pendingTask = { taskId: 't2', status: STATUS_VALUES.COMPLETE, reviewStatus: REVIEW_STATUS_VALUES.PENDING };
+        const fail = assertTaskTransition(pendingTask, {
+          status: STATUS_VALUES.REWORK,
+          reviewStatus: REVIEW_STATUS_VALUES.FAILED
+        });
+        assertEquals(fail.action, 'review_fail', 'Pending review can fail into rework');
+        
+        const reworkInProgress = { taskId: 't4', status: STATUS_VALUES.IN_PROGRESS, reviewStatus: REVIEW_STATUS_VALUES.FAILED };
+        const release = assertTaskTransition(reworkInProgress, { status: STATUS_VALUES.REWORK });
+        assertEquals(release.action, 'release_rework', 'Rework in progress can be released back to rework');
+        
+        // Non-state updates are always allowed
+        assertEquals(assertTaskTransition(pendingTask, { timeTaken: '00:10:00' }), null, 'No state change');
+      }
+    },
+    {
+      name: 'Rejected transition lists allowed states',
+      func: () => {
+        const openTask = { taskId: 't3', status: STATUS_VALUES.OPEN, reviewStatus: null };
+        let caught = null;
+        try {
+          assertTaskTransition(openTask, { status: STATUS_VALUES.COMPLETE });
+        } catch (error) {
+          caught = error;
+        }
+        
+        assert(caught instanceof TransitionError, 'Open → complete should be rejected');
+        assertEquals(caught.statusCode, 409, 'Transition errors are conflicts');
+        const allowedStatuses = caught.details.allowed.map(t => t.status);
+        assert(allowedStatuses.includes(STATUS_VALUES.IN_PROGRESS), 'Allowed list includes in_progress');
+        assert(allowedStatuses.includes(STATUS_VALUES.FLAGGED), 'Allowed list includes flagged');
+      }
+    },
+    {
+      name: 'Client updates cannot set review status',
+      func: () => {
+        let caught = null;
+        try {
+          assertTaskTransition(
+            { taskId: 't5', status: STATUS_VALUES.IN_PROGRESS, reviewStatus: '' },
+            { status: STATUS_VALUES.COMPLETE, reviewStatus: REVIEW_STATUS_VALUES.PASSED }
+          );
+        } catch (error) {
+          caught = error;
+        }
+        assert(caught instanceof TransitionError, 'Unreviewed work cannot jump to complete/passed');
+        
+        const testTaskId = generateUUID();
+        createTaskRecord({
+          taskId: testTaskId,
+          batchId: 'TEST_BATCH_012',
+          status: STATUS_VALUES.IN_PROGRESS,
+          folderName: 'test_client_fields_folder',
+          group: 'A',
+          agentEmail: 'agent@example.com',
+          revisionCount: 1,
+          importTime: new Date().toISOString()
+        });
+        
+        try {
+          const updates = buildClientTaskUpdates({
+            taskId: testTaskId,
+            status: STATUS_VALUES.COMPLETE,
+            reviewStatus: REVIEW_STATUS_VALUES.PASSED,
+            reviewerEmail: 'agent@example.com',
+            revisionHistory: '[]'
+          }, []);
+          
+          assertEquals(updates.reviewStatus, REVIEW_STATUS_VALUES.PENDING, 'Server decides the review status');
+          assert(!('reviewerEmail' in updates), 'Review fields are dropped');
+          assert(!('revisionHistory' in updates), 'Fields outside the whitelist are dropped');
+        } finally {
+          purgeTaskRecord(testTaskId);
+        }
+      }
+    },
+    {
+      name: 'Reviewer completes own rework',
+      func: () => {
+        const testTaskId = generateUUID();
+        createTaskRecord({
+          taskId: testTaskId,
+          batchId: 'TEST_BATCH_013',
+          status: STATUS_VALUES.REWORK,
+          reviewStatus: REVIEW_STATUS_VALUES.FAILED,
+          folderName: 'test_reviewer_rework_folder',
+          group: 'A',
+          agentEmail: 'reviewer@example.com',
+          reviewerEmail: 'reviewer@example.com',
+          revisionCount: 2,
+          importTime: new Date().toISOString()
+        });
+        
+        try {
+          const response = updateTask({ body: { taskId: testTaskId, status: STATUS_VALUES.COMPLETE } });
+          assert(response.success === true, 'Completion from rework should succeed');
+          assertEquals(response.task.status, STATUS_VALUES.COMPLETE, 'Task is complete');
+          assertEquals(response.task.reviewStatus, REVIEW_STATUS_VALUES.PASSED, 'Reviewer-owned rework is passed');
+          assertEquals(response.task.reviewerEmail, 'reviewer@example.com', 'Reviewer is kept');
+        } finally {
+          purgeTaskRecord(testTaskId);
+        }
+      }
+    },
+    {
+      name: 'Stale assignment expiry thresholds',
+      func: () => {
+        const task = { taskId: 't5', status: STATUS_VALUES.IN_PROGRESS, startTime: new Date().toISOString() };
+        
+        assertEquals(processStaleAssignment(task, 1, 72, []), null, 'Fresh assignment is left alone');
+
+        const warning = { type: 'expiry_warning', agentEmail: 'agent@example.com', startedAt: '2025-01-01T08:00:00.000Z' };
+        const assigned = { agentEmail: 'agent@example.com', startTime: new Date('2025-01-01T08:00:00.000Z') };
+        assert(hasExpiryWarning([warning], assigned), 'Warning matches a start time read back as a Date');
+        assert(!hasExpiryWarning([warning], { agentEmail: 'agent@example.com', startTime: '2025-01-02T08:00:00.000Z' }),
+          'A new assignment needs a new warning');
+        assertEquals(getExpiredTaskStatus({ revisionCount: 0 }), STATUS_VALUES.OPEN, 'Expired task returns to open');
+        assertEquals(getExpiredTaskStatus({ revisionCount: 2 }), STATUS_VALUES.REWORK, 'Expired rework returns to rework');
+        assert(getAssignmentMaxAges().default > 0, 'Default max age is set');
+      }
+    }
+  ];
+  
+  return runTestGroup('Task Lifecycle', tests);
+}
+
 /**
  * Test Review System Rework Assignment Logic
  * Tests the recent fix for rework assignment when task has already been reworked
@@ -607,6 +1739,7 @@ function testReviewReworkAssignment() {
       }
     };
     
+    claimReview({ body: { taskId: testTaskId, reviewerEmail: reviewerEmail } });
     const result1 = reviewTask(reviewRequest1);
     const task1 = getTaskById(testTaskId);
     
@@ -614,7 +1747,7 @@ function testReviewReworkAssignment() {
     assert(task1.agentEmail === originalAgent, `First rework should assign to original agent. Expected: ${originalAgent}, Got: ${task1.agentEmail}`);
     assert(task1.status === STATUS_VALUES.REWORK, 'Status should be REWORK');
     assert(task1.revisionCount === 1, 'Revision count should be 1');
-    assert(task1.revisionHistory !== null, 'Revision history should exist');
+    assert(getRevisionHistory(task1).length === 1, 'Revision history should exist');
     
     // Test Case 2: Complete the rework and submit for review again
     info('Test Case 2: Complete rework and resubmit');
@@ -640,6 +1773,7 @@ function testReviewReworkAssignment() {
       }
     };
     
+    claimReview({ body: { taskId: testTaskId, reviewerEmail: reviewerEmail } });
     const result2 = reviewTask(reviewRequest2);
     const task2 = getTaskById(testTaskId);
     
@@ -649,7 +1783,7 @@ function testReviewReworkAssignment() {
     assert(task2.revisionCount === 2, 'Revision count should be 2');
     
     // Verify revision history contains both entries
-    const history = JSON.parse(task2.revisionHistory);
+    const history = getRevisionHistory(task2);
     assert(history.length === 2, 'Should have 2 revision entries');
     assert(history[0].agentEmail === originalAgent, 'First revision should be from original agent');
     assert(history[1].agentEmail === originalAgent, 'Second revision should also show original agent work');
@@ -669,7 +1803,7 @@ function testReviewReworkAssignment() {
   } finally {
     // Clean up test task
     try {
-      deleteTaskRecord(testTaskId);
+      purgeTaskRecord(testTaskId);
       info('Test data cleaned up');
     } catch (e) {
       info(`Cleanup error: ${e.message}`);
@@ -718,6 +1852,7 @@ function testReviewReworkAssignmentConfigurable(config = {}) {
     createTaskRecord(initialTask);
     
     // Test first review failure
+    claimReview({ body: { taskId: testTaskId, reviewerEmail: testConfig.reviewerEmail } });
     const firstReviewResult = reviewTask({
       body: {
         taskId: testTaskId,
@@ -746,6 +1881,7 @@ function testReviewReworkAssignmentConfigurable(config = {}) {
         reviewStatus: REVIEW_STATUS_VALUES.PENDING
       });
       
+      claimReview({ body: { taskId: testTaskId, reviewerEmail: testConfig.reviewerEmail } });
       const secondReviewResult = reviewTask({
         body: {
           taskId: testTaskId,
@@ -784,7 +1920,7 @@ function testReviewReworkAssignmentConfigurable(config = {}) {
   } finally {
     // Clean up
     try {
-      deleteTaskRecord(testTaskId);
+      purgeTaskRecord(testTaskId);
     } catch (e) {
       info(`Cleanup error: ${e.message}`);
     }
@@ -903,7 +2039,7 @@ function testAutoTimeTaken() {
           assertEquals(res2.task.timeTaken, '00:00:05', 'Client-provided timeTaken wins');
         } finally {
           parallelFetch = original;
-          deleteTaskRecord(taskId);
+          purgeTaskRecord(taskId);
         }
       }
     }
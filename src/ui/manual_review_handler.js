@@ -114,6 +114,7 @@ function applyManualReview(taskId, reviewStatus, reviewScore, reviewerEmail, ove
   }
   
   const reviewTime = new Date().toISOString();
+  const revisionEntries = [];
   let updates = {};
   let action = '';
   
@@ -125,7 +126,7 @@ function applyManualReview(taskId, reviewStatus, reviewScore, reviewerEmail, ove
       break;
       
     case REVIEW_STATUS_VALUES.FAILED:
-      updates = handleFailedReview(currentTask, reviewScore, reviewerEmail, reviewTime);
+      updates = handleFailedReview(currentTask, reviewScore, reviewerEmail, reviewTime, revisionEntries);
       action = determineFailedAction(currentTask);
       break;
       
@@ -138,8 +139,9 @@ function applyManualReview(taskId, reviewStatus, reviewScore, reviewerEmail, ove
       throw new Error(`Invalid review status: ${reviewStatus}`);
   }
   
-  // Apply updates
-  updateTaskRecord(taskId, updates);
+  // Apply updates (override mode bypasses the lifecycle transition table)
+  updateTaskRecord(taskId, updates, { skipTransitionCheck: overrideMode === true });
+  appendRevisionEntries(taskId, revisionEntries);
   
   return { action: action };
 }
@@ -156,9 +158,10 @@ function handlePassedReview(currentTask, reviewScore, reviewerEmail, reviewTime)
   };
   
   // If task is in rework, restore it to complete with artifacts from revision history
-  if (currentTask.status === STATUS_VALUES.REWORK && currentTask.revisionHistory) {
+  if (currentTask.status === STATUS_VALUES.REWORK) {
     try {
-      const history = JSON.parse(currentTask.revisionHistory);
+      // Annotation entries (reviews, releases, flags) carry a type and hold no artifacts
+      const history = getRevisionHistory(currentTask).filter(entry => !entry.type);
       const lastRevision = history[history.length - 1];
       
       if (lastRevision) {
@@ -180,8 +183,9 @@ function handlePassedReview(currentTask, reviewScore, reviewerEmail, reviewTime)
 
 /**
  * Handle failed review logic
+ * The rework revision entry is pushed onto revisionEntries for appending after the update.
  */
-function handleFailedReview(currentTask, reviewScore, reviewerEmail, reviewTime) {
+function handleFailedReview(currentTask, reviewScore, reviewerEmail, reviewTime, revisionEntries) {
   // If task is currently passed, need to trigger rework
   if (currentTask.reviewStatus === REVIEW_STATUS_VALUES.PASSED || 
       currentTask.status === STATUS_VALUES.COMPLETE) {
@@ -202,16 +206,7 @@ function handleFailedReview(currentTask, reviewScore, reviewerEmail, reviewTime)
       reason: `Manual review override: Changed to failed`
     };
     
-    // Parse existing history or create new array
-    let revisionHistory = [];
-    if (currentTask.revisionHistory) {
-      try {
-        revisionHistory = JSON.parse(currentTask.revisionHistory);
-      } catch (e) {
-        revisionHistory = [];
-      }
-    }
-    revisionHistory.push(revisionEntry);
+    revisionEntries.push(revisionEntry);
     
     // Determine rework assignee based on revision count
     const isFirstRework = !currentTask.revisionCount || currentTask.revisionCount === '';
@@ -220,7 +215,6 @@ function handleFailedReview(currentTask, reviewScore, reviewerEmail, reviewTime)
     const updates = {
       status: STATUS_VALUES.REWORK,
       revisionCount: (currentTask.revisionCount || 0) + 1,
-      revisionHistory: JSON.stringify(revisionHistory),
       previousAgentEmail: currentTask.agentEmail,
       agentEmail: reworkAssignee,
       startTime: reviewTime,
@@ -21,17 +21,38 @@ function createMenu() {
     .addSubMenu(ui.createMenu('Data Management')
       .addItem('View Statistics', 'showStatistics')
       .addItem('Validate Data', 'validateData')
+      .addItem('Assignment Expiry Report', 'showAssignmentExpiryReport')
+      .addItem('Archive Delivered Tasks', 'showArchiveDialog')
+      .addItem('Restore Archived Task', 'showRestoreArchivedTaskDialog')
+      .addItem('Undo Task Changes', 'showUndoTaskChangesDialog')
+      .addItem('Revert Batch Update', 'showRevertChangeSetDialog')
       .addItem('Refresh Sheet', 'refreshSheet'))
     .addSeparator()
     .addSubMenu(ui.createMenu('Configuration')
       .addItem('Configure Production Folder', 'configureProductionFolder')
       .addItem('Configure Staging Folder', 'configureStagingFolder')
+      .addItem('Configure Admin Emails', 'configureAdminEmails')
+      .addItem('Configure Batch Priority', 'configureBatchPriority')
+      .addItem('Configure Assignment Expiry', 'configureAssignmentExpiry')
+      .addItem('Configure Task Archive', 'configureTaskArchive')
+      .addItem('Configure Review Rubric', 'configureReviewRubric')
+      .addItem('Configure Review Threshold', 'configureReviewThreshold')
+      .addItem('Configure Review Threshold Overrides', 'configureReviewThresholdOverrides')
+      .addItem('Configure Review Sampling', 'configureReviewSampling')
+      .addItem('Configure Review Claim Window', 'configureReviewClaimWindow')
       .addSeparator()
       .addItem('Check Schema Order', 'checkSchemaOrder')
-      .addItem('Fix Schema Order', 'fixSchemaOrder'))
+      .addItem('Fix Schema Order', 'fixSchemaOrder')
+      .addItem('Preview Schema Migrations', 'previewSchemaMigrations')
+      .addItem('Run Schema Migrations', 'applySchemaMigrations'))
     .addSeparator()
     .addSubMenu(ui.createMenu('Advanced')
-      .addItem('Show API Key', 'showApiKey')
+      .addItem('Create API Key', 'showCreateApiKeyDialog')
+      .addItem('List API Keys', 'showApiKeyList')
+      .addItem('Revoke API Key', 'showRevokeApiKeyDialog')
+      .addItem('Enable Request Signing', 'showEnableRequestSigningDialog')
+      .addItem('Configure Rate Limits', 'configureRateLimits')
+      .addItem('Show Legacy API Key', 'showApiKey')
       .addItem('Run Tests', 'runAllTests')
       .addItem('Clean Test Data', 'cleanupTestData'))
     .addSeparator()
@@ -74,43 +95,64 @@ function refreshSheet() {
 }
 
 /**
- * Validate sheet data
+ * Menu: run the integrity check and apply selected fixes
  */
 function validateData() {
-  const sheet = getTasksSheet();
-  const lastRow = sheet.getLastRow();
+  const ui = SpreadsheetApp.getUi();
+  const report = runIntegrityCheck();
   
-  if (lastRow <= 1) {
-    SpreadsheetApp.getUi().alert('No data to validate');
+  if (report.findings.length === 0) {
+    ui.alert('Validation passed! No errors found.');
     return;
   }
   
-  const errors = [];
-  const data = sheet.getRange(2, 1, lastRow - 1, COLUMN_ORDER.length).getValues();
+  const fixable = report.findings.filter(finding => finding.fix.action !== 'manual');
   
-  data.forEach((row, index) => {
-    const rowNum = index + 2;
-    const taskId = row[0];
-    
-    if (!taskId) {
-      errors.push(`Row ${rowNum}: Missing Task ID`);
-    }
+  let message = `${report.findings.length} findings in ${report.rows} rows ` +
+    `(${fixable.length} can be fixed automatically):\n\n`;
+  
+  report.findings.slice(0, INTEGRITY_REPORT_LIMIT).forEach((finding, index) => {
+    message += `${index + 1}. [${finding.severity}] Row ${finding.rowIndex}: ${finding.message}\n` +
+      `    Fix${finding.fix.action === 'manual' ? ' (manual)' : ''}: ${finding.fix.description}\n`;
+  });
+  
+  if (report.findings.length > INTEGRITY_REPORT_LIMIT) {
+    message += `...and ${report.findings.length - INTEGRITY_REPORT_LIMIT} more (see the log)\n`;
+    info('Integrity findings', { findings: report.findings });
+  }
+  
+  if (fixable.length === 0) {
+    ui.alert('Validation Findings', message, ui.ButtonSet.OK);
+    return;
+  }
+  
+  const response = ui.prompt(
+    'Validation Findings',
+    message + '\nEnter the numbers of the fixes to apply (e.g. 1,3,5), or "all" for every automatic fix:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  const selection = response.getResponseText().trim();
+  if (response.getSelectedButton() !== ui.Button.OK || !selection) return;
+  
+  const selected = selection.toLowerCase() === 'all' ? fixable :
+    selection.split(',')
+      .map(part => report.findings[parseInt(part.trim()) - 1])
+      .filter(finding => finding);
+  
+  try {
+    const result = applyIntegrityFixes(selected.map(finding => finding.id));
     
-    if (!row[1]) {
-      errors.push(`Row ${rowNum}: Missing Batch ID`);
+    let summary = `Applied ${result.applied.length} fixes (change set ${result.changeSetId}; ` +
+      'Data Management → Revert Batch Update undoes them).';
+    if (result.skipped.length > 0) {
+      summary += `\n\nSkipped ${result.skipped.length}:\n` +
+        result.skipped.map(skip => `${skip.id}: ${skip.reason}`).join('\n');
     }
     
-    const status = row[5];
-    if (status && !Object.values(STATUS_VALUES).includes(status)) {
-      errors.push(`Row ${rowNum}: Invalid status '${status}'`);
-    }
-  });
-  
-  if (errors.length > 0) {
-    const ui = SpreadsheetApp.getUi();
-    ui.alert('Validation Errors', errors.join('\\n'), ui.ButtonSet.OK);
-  } else {
-    SpreadsheetApp.getUi().alert('Validation passed! No errors found.');
+    ui.alert('Fixes Applied', summary, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', 'Applying fixes failed: ' + e.message, ui.ButtonSet.OK);
   }
 }
 
@@ -126,7 +168,8 @@ function showStatistics() {
     return;
   }
   
-  const data = sheet.getRange(2, 1, lastRow - 1, COLUMN_ORDER.length).getValues();
+  const data = sheet.getRange(2, 1, lastRow - 1, COLUMN_ORDER.length).getValues()
+    .filter(row => !isTaskRowDeleted(row));
   const stats = calculateStatistics(data);
   
   const message = `
@@ -135,6 +178,12 @@ Open: ${stats.open}
 In Progress: ${stats.inProgress}
 Complete: ${stats.complete}
 Flagged: ${stats.flagged}
+Rejected: ${stats.rejected}
+
+Review Pending: ${stats.reviewPending}
+Review Passed: ${stats.reviewPassed}
+Auto-Passed (not sampled): ${stats.reviewAutoPassed}
+Review Failed: ${stats.reviewFailed}
 
 Unique Batches: ${stats.uniqueBatches}
 Unique Agents: ${stats.uniqueAgents}
@@ -153,6 +202,11 @@ function calculateStatistics(data) {
     inProgress: 0,
     complete: 0,
     flagged: 0,
+    rejected: 0,
+    reviewPending: 0,
+    reviewPassed: 0,
+    reviewAutoPassed: 0,
+    reviewFailed: 0,
     uniqueBatches: new Set(),
     uniqueAgents: new Set()
   };
@@ -161,11 +215,18 @@ function calculateStatistics(data) {
     const status = row[5];
     const batchId = row[1];
     const agent = row[6];
+    const reviewStatus = row[COLUMN_ORDER.indexOf('REVIEW_STATUS')];
     
     if (status === STATUS_VALUES.OPEN) stats.open++;
     else if (status === STATUS_VALUES.IN_PROGRESS) stats.inProgress++;
     else if (status === STATUS_VALUES.COMPLETE) stats.complete++;
     else if (status === STATUS_VALUES.FLAGGED) stats.flagged++;
+    else if (status === STATUS_VALUES.REJECTED) stats.rejected++;
+    
+    if (reviewStatus === REVIEW_STATUS_VALUES.PENDING) stats.reviewPending++;
+    else if (reviewStatus === REVIEW_STATUS_VALUES.PASSED) stats.reviewPassed++;
+    else if (reviewStatus === REVIEW_STATUS_VALUES.AUTO_PASSED) stats.reviewAutoPassed++;
+    else if (reviewStatus === REVIEW_STATUS_VALUES.FAILED) stats.reviewFailed++;
     
     if (batchId) stats.uniqueBatches.add(batchId);
     if (agent) stats.uniqueAgents.add(agent);
@@ -202,6 +202,22 @@ function showCurrentSettings() {
   if (allowedBatches) {
     message += `Allowed Batches: ${allowedBatches}\n`;
   }
+
+  const adminEmails = scriptProperties.getProperty('ADMIN_EMAILS');
+  if (adminEmails) {
+    message += `Admins: ${adminEmails}\n`;
+  }
+  
+  // Review thresholds
+  message += `Review Pass Threshold: ${getReviewThreshold()}\n`;
+  
+  const thresholdOverrides = getReviewThresholdOverrides();
+  Object.entries(thresholdOverrides.batches).forEach(([batchId, threshold]) => {
+    message += `  Batch ${batchId}: ${threshold}\n`;
+  });
+  Object.entries(thresholdOverrides.groups).forEach(([group, threshold]) => {
+    message += `  Group ${group}: ${threshold}\n`;
+  });
   
   ui.alert('System Settings', message, ui.ButtonSet.OK);
 }
@@ -250,6 +266,222 @@ function getReviewThreshold() {
   return threshold ? parseInt(threshold) : 80;
 }
 
+/**
+ * Resolve the review pass threshold for a task
+ * Import batch override wins over group override, which wins over the global threshold.
+ * @param {Object} task - Task (batchId and group are used)
+ * @param {Object} overrides - Threshold overrides (default: stored overrides)
+ * @returns {Object} {threshold, source} where source is 'batch', 'group' or 'global'
+ */
+function resolveReviewThreshold(task, overrides = getReviewThresholdOverrides()) {
+  if (task.batchId && overrides.batches[task.batchId] !== undefined) {
+    return { threshold: overrides.batches[task.batchId], source: 'batch' };
+  }
+
+  if (task.group && overrides.groups[task.group] !== undefined) {
+    return { threshold: overrides.groups[task.group], source: 'group' };
+  }
+
+  return { threshold: getReviewThreshold(), source: 'global' };
+}
+
+/**
+ * Get review threshold overrides
+ * @returns {Object} {batches: {batchId: threshold}, groups: {group: threshold}}
+ */
+function getReviewThresholdOverrides() {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const overrides = safeJsonParse(scriptProperties.getProperty('REVIEW_THRESHOLD_OVERRIDES'), {}) || {};
+
+  return {
+    batches: overrides.batches || {},
+    groups: overrides.groups || {}
+  };
+}
+
+/**
+ * Set or clear a review threshold override
+ * @param {string} level - 'batch' or 'group'
+ * @param {string} id - Import batch ID or group letter
+ * @param {number|null} threshold - Threshold 0-100, or null to clear the override
+ */
+function setReviewThresholdOverride(level, id, threshold) {
+  if (level !== 'batch' && level !== 'group') {
+    throw new ValidationError('Override level must be batch or group', 'level', level);
+  }
+
+  if (level === 'group' && !Object.values(GROUP_VALUES).includes(id)) {
+    throw new ValidationError(
+      `Group must be one of: ${Object.values(GROUP_VALUES).join(', ')}`,
+      'group',
+      id
+    );
+  }
+
+  if (threshold !== null && (isNaN(threshold) || threshold < 0 || threshold > 100)) {
+    throw new ValidationError('Threshold must be a number between 0 and 100', 'threshold', threshold);
+  }
+
+  const overrides = getReviewThresholdOverrides();
+  const target = level === 'batch' ? overrides.batches : overrides.groups;
+
+  if (threshold === null) {
+    delete target[id];
+  } else {
+    target[id] = threshold;
+  }
+
+  PropertiesService.getScriptProperties()
+    .setProperty('REVIEW_THRESHOLD_OVERRIDES', JSON.stringify(overrides));
+
+  info('Review threshold override updated', { level: level, id: id, threshold: threshold });
+}
+
+/**
+ * Configure review threshold overrides per import batch or group
+ */
+function configureReviewThresholdOverrides() {
+  const ui = SpreadsheetApp.getUi();
+  const overrides = getReviewThresholdOverrides();
+
+  const current = [
+    ...Object.entries(overrides.batches).map(([batchId, threshold]) => `batch:${batchId} = ${threshold}`),
+    ...Object.entries(overrides.groups).map(([group, threshold]) => `group:${group} = ${threshold}`)
+  ].join('\n') || 'None';
+
+  const result = ui.prompt(
+    'Configure Review Threshold Overrides',
+    `Enter batch:BATCH_ID=SCORE or group:GROUP=SCORE. Leave the score empty to remove an override.\n\n` +
+    `Batch overrides win over group overrides, which win over the global threshold (${getReviewThreshold()}).\n\n` +
+    `Current overrides:\n${current}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (result.getSelectedButton() === ui.Button.OK) {
+    const match = result.getResponseText().trim().match(/^(batch|group):([^=\s]+)\s*=\s*(\d*)$/);
+
+    if (!match) {
+      ui.alert('Error', 'Expected format batch:BATCH_ID=SCORE or group:GROUP=SCORE, e.g. group:A=90', ui.ButtonSet.OK);
+      return;
+    }
+
+    const threshold = match[3] === '' ? null : parseInt(match[3]);
+
+    try {
+      setReviewThresholdOverride(match[1], match[2], threshold);
+
+      ui.alert(
+        'Success',
+        threshold === null ?
+          `Review threshold override removed for ${match[1]} ${match[2]}` :
+          `Review threshold for ${match[1]} ${match[2]} set to ${threshold}`,
+        ui.ButtonSet.OK
+      );
+    } catch (e) {
+      ui.alert('Error', e.message, ui.ButtonSet.OK);
+    }
+  }
+}
+
+/**
+ * Configure import batch priority
+ */
+function configureBatchPriority() {
+  const ui = SpreadsheetApp.getUi();
+  const priorities = getBatchPriorities();
+
+  const current = Object.entries(priorities)
+    .map(([batchId, priority]) => `${batchId}: ${priority}`)
+    .join('\n') || 'None (all batches priority 0)';
+
+  const result = ui.prompt(
+    'Configure Batch Priority',
+    `Enter BATCH_ID=PRIORITY (higher numbers are claimed first, 0 removes the override):\n\nCurrent priorities:\n${current}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (result.getSelectedButton() === ui.Button.OK) {
+    const match = result.getResponseText().trim().match(/^([^=\s]+)\s*=\s*(-?\d+)$/);
+
+    if (!match) {
+      ui.alert('Error', 'Expected format BATCH_ID=PRIORITY, e.g. IMP_20250801_120000_AB12=5', ui.ButtonSet.OK);
+      return;
+    }
+
+    setBatchPriority(match[1], parseInt(match[2]));
+
+    ui.alert('Success', `Priority for ${match[1]} set to ${parseInt(match[2])}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Get import batch priorities
+ * @returns {Object} Map of batch ID to priority (missing batches are 0)
+ */
+function getBatchPriorities() {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  return safeJsonParse(scriptProperties.getProperty('BATCH_PRIORITIES'), {}) || {};
+}
+
+/**
+ * Set import batch priority
+ * @param {string} batchId - Import batch ID
+ * @param {number} priority - Priority (higher is claimed first, 0 clears)
+ */
+function setBatchPriority(batchId, priority) {
+  const priorities = getBatchPriorities();
+
+  if (priority) {
+    priorities[batchId] = priority;
+  } else {
+    delete priorities[batchId];
+  }
+
+  PropertiesService.getScriptProperties()
+    .setProperty('BATCH_PRIORITIES', JSON.stringify(priorities));
+
+  info('Batch priority updated', { batchId: batchId, priority: priority });
+}
+
+/**
+ * Configure admin emails allowed to override group permissions
+ */
+function configureAdminEmails() {
+  const ui = SpreadsheetApp.getUi();
+  const scriptProperties = PropertiesService.getScriptProperties();
+
+  const currentAdmins = scriptProperties.getProperty('ADMIN_EMAILS') || 'None';
+
+  const result = ui.prompt(
+    'Configure Admin Emails',
+    `Enter comma-separated admin emails. Admins may override group permissions when assigning tasks.\n\nCurrent admins: ${currentAdmins}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (result.getSelectedButton() === ui.Button.OK) {
+    const emails = result.getResponseText()
+      .split(',')
+      .map(e => e.trim())
+      .filter(e => e);
+
+    const invalid = emails.filter(e => !isValidEmail(e));
+    if (invalid.length > 0) {
+      ui.alert('Error', `Invalid email format: ${invalid.join(', ')}`, ui.ButtonSet.OK);
+      return;
+    }
+
+    scriptProperties.setProperty('ADMIN_EMAILS', emails.join(','));
+
+    info('Admin emails configured', { count: emails.length });
+
+    ui.alert(
+      'Success',
+      emails.length > 0 ? `Admins set to: ${emails.join(', ')}` : 'All admins removed',
+      ui.ButtonSet.OK
+    );
+  }
+}
+
 /**
  * Clear all settings (use with caution!)
  */
@@ -67,6 +67,42 @@ class ApiError extends AppError {
   }
 }
 
+/**
+ * Invalid task lifecycle transition
+ */
+class TransitionError extends ApiError {
+  constructor(message, from = null, to = null, allowed = []) {
+    super(message, 409);
+    this.name = 'TransitionError';
+    this.code = 'INVALID_TRANSITION';
+    this.details = { statusCode: 409, from, to, allowed };
+  }
+}
+
+/**
+ * Idempotency key reused with a different request
+ */
+class IdempotencyConflictError extends ApiError {
+  constructor(message, idempotencyKey = null) {
+    super(message, 409);
+    this.name = 'IdempotencyConflictError';
+    this.code = 'IDEMPOTENCY_CONFLICT';
+    this.details = { statusCode: 409, idempotencyKey };
+  }
+}
+
+/**
+ * API rate limit exceeded
+ */
+class RateLimitError extends ApiError {
+  constructor(message, limitClass = null, retryAfterSeconds = 60) {
+    super(message, 429);
+    this.name = 'RateLimitError';
+    this.code = 'RATE_LIMITED';
+    this.details = { statusCode: 429, limitClass, retryAfterSeconds };
+  }
+}
+
 /**
  * Handle errors consistently
  * @param {Function} func - Function to wrap
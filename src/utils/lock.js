@@ -0,0 +1,42 @@
+/**
+ * Script lock utilities
+ * Serializes concurrent writes across web app executions
+ */
+
+const SCRIPT_LOCK_TIMEOUT_MS = 30000;
+
+/**
+ * Lock depth for the current execution (allows nested lock calls)
+ */
+let scriptLockDepth = 0;
+
+/**
+ * Run an operation while holding the script lock
+ * @param {Function} operation - Operation to run
+ * @param {number} timeoutMs - Max time to wait for the lock
+ * @returns {*} Operation result
+ * @throws {ApiError} 503 if the lock cannot be acquired in time
+ */
+function withScriptLock(operation, timeoutMs = SCRIPT_LOCK_TIMEOUT_MS) {
+  // Already holding the lock in this execution
+  if (scriptLockDepth > 0) {
+    return operation();
+  }
+  
+  const lock = LockService.getScriptLock();
+  
+  if (!lock.tryLock(timeoutMs)) {
+    warn('Script lock timeout', { timeoutMs: timeoutMs });
+    throw new ApiError('Server busy: could not acquire lock, please retry', 503);
+  }
+  
+  scriptLockDepth++;
+  try {
+    return operation();
+  } finally {
+    scriptLockDepth--;
+    // Flush pending sheet writes before other executions read
+    SpreadsheetApp.flush();
+    lock.releaseLock();
+  }
+}
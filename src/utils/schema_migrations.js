@@ -0,0 +1,459 @@
+/**
+ * Schema migrations
+ * Ordered, idempotent up-steps that bring a Tasks sheet to the schema this code
+ * expects. Each spreadsheet records the version it is on in developer metadata;
+ * the live spreadsheet and every archive spreadsheet are migrated separately.
+ * Steps work on an in-memory table ({headers, rows}) so a dry run can report the
+ * rows a step would change without writing anything. A step that moves data out of
+ * the Tasks sheet collects it in an output object, written only on a real run.
+ */
+
+const SCHEMA_VERSION_METADATA_KEY = 'schemaVersion';
+
+// Rows listed per step in the menu preview
+const SCHEMA_PREVIEW_ROW_LIMIT = 20;
+
+// Schema version of the live spreadsheet, read once per execution
+let activeSchemaVersion = null;
+
+/**
+ * Get the migration registry, oldest first
+ * Versions must increase; a step must leave an already-migrated table unchanged.
+ * Steps name their headers literally: a step's effect must not change when
+ * COLUMNS/COLUMN_ORDER move on, so never reference them here.
+ * @returns {Array<Object>} [{version, description, up(table, output)}]
+ */
+function getSchemaMigrations() {
+  return [
+    {
+      version: 1,
+      description: 'Align columns to the schema order, adding missing columns',
+      up: table => alignSchemaColumns(table, [
+        'Task ID', 'Batch ID', 'Group', 'Folder Name', 'Import Time', 'Production Folder',
+        'Status', 'Agent Email', 'Start Time', 'End Time', 'Time Taken', 'Review Status',
+        'Review Score', 'Reviewer Email', 'Review Time', 'Revision Count', 'Revision History',
+        'Original Completion', 'Previous Agent', 'Image', 'Image Mask', 'Mask', '3D Object',
+        'Alignment', 'Task Video', 'Export Time', 'Export Batch', 'Export Status',
+        'Staged Count', 'Version', 'Flag Reason', 'Flag Note', 'Flagged By', 'Flag Time',
+        'Flag Resolution', 'Review Rubric', 'Review Claimed By', 'Review Claim Expires'
+      ])
+    },
+    {
+      version: 2,
+      description: 'Backfill Version 1 on rows written before row versioning',
+      up: table => backfillSchemaColumn(table, 'Version', record => record['Task ID'] ? 1 : '')
+    },
+    {
+      version: 3,
+      description: 'Add Deleted At and Deleted By columns for soft delete',
+      up: table => alignSchemaColumns(table, [
+        'Task ID', 'Batch ID', 'Group', 'Folder Name', 'Import Time', 'Production Folder',
+        'Status', 'Agent Email', 'Start Time', 'End Time', 'Time Taken', 'Review Status',
+        'Review Score', 'Reviewer Email', 'Review Time', 'Revision Count', 'Revision History',
+        'Original Completion', 'Previous Agent', 'Image', 'Image Mask', 'Mask', '3D Object',
+        'Alignment', 'Task Video', 'Export Time', 'Export Batch', 'Export Status',
+        'Staged Count', 'Version', 'Flag Reason', 'Flag Note', 'Flagged By', 'Flag Time',
+        'Flag Resolution', 'Review Rubric', 'Review Claimed By', 'Review Claim Expires',
+        'Deleted At', 'Deleted By'
+      ])
+    },
+    {
+      version: 4,
+      description: 'Move Revision History cells into the Revisions sheet',
+      up: (table, output) => moveLegacyRevisionHistory(table, 'Task ID', 'Revision History', output)
+    }
+  ];
+}
+
+/**
+ * Schema version the code expects
+ * @returns {number} Version of the last registered migration
+ */
+function getCurrentSchemaVersion() {
+  const migrations = getSchemaMigrations();
+  return migrations[migrations.length - 1].version;
+}
+
+/**
+ * Read a spreadsheet's recorded schema version
+ * @param {Spreadsheet} spreadsheet - Spreadsheet (defaults to the active one)
+ * @returns {number} Recorded version, 0 when none is recorded
+ */
+function getSchemaVersion(spreadsheet) {
+  const ss = spreadsheet || SpreadsheetApp.getActiveSpreadsheet();
+  const metadata = findSchemaVersionMetadata(ss);
+
+  return metadata ? parseInt(metadata.getValue()) || 0 : 0;
+}
+
+/**
+ * Record a spreadsheet's schema version
+ * @param {Spreadsheet} spreadsheet - Spreadsheet
+ * @param {number} version - Schema version
+ */
+function setSchemaVersion(spreadsheet, version) {
+  const metadata = findSchemaVersionMetadata(spreadsheet);
+
+  if (metadata) {
+    metadata.setValue(String(version));
+  } else {
+    spreadsheet.addDeveloperMetadata(
+      SCHEMA_VERSION_METADATA_KEY,
+      String(version),
+      SpreadsheetApp.DeveloperMetadataVisibility.PROJECT
+    );
+  }
+
+  if (spreadsheet.getId() === SpreadsheetApp.getActiveSpreadsheet().getId()) {
+    activeSchemaVersion = version;
+  }
+}
+
+/**
+ * Find the spreadsheet-level schema version metadata
+ * @param {Spreadsheet} spreadsheet - Spreadsheet
+ * @returns {DeveloperMetadata|null} Metadata entry
+ */
+function findSchemaVersionMetadata(spreadsheet) {
+  const found = spreadsheet.createDeveloperMetadataFinder()
+    .withLocationType(SpreadsheetApp.DeveloperMetadataLocationType.SPREADSHEET)
+    .withKey(SCHEMA_VERSION_METADATA_KEY)
+    .find();
+
+  return found.length > 0 ? found[0] : null;
+}
+
+/**
+ * Refuse to write to a spreadsheet whose schema is behind the code
+ * @param {Spreadsheet} spreadsheet - Spreadsheet (defaults to the active one)
+ * @throws {ApiError} 503 if schema migrations are pending
+ */
+function assertSchemaCurrent(spreadsheet) {
+  const expected = getCurrentSchemaVersion();
+  let version;
+
+  if (spreadsheet) {
+    version = getSchemaVersion(spreadsheet);
+  } else {
+    if (activeSchemaVersion === null) {
+      activeSchemaVersion = getSchemaVersion();
+    }
+    version = activeSchemaVersion;
+  }
+
+  if (version < expected) {
+    throw new ApiError(
+      `Spreadsheet schema is at version ${version} but the code expects ${expected}; ` +
+      'run Schema Migrations before writing',
+      503
+    );
+  }
+}
+
+/**
+ * Apply pending migrations to the live spreadsheet and every archive spreadsheet
+ * Each target is rewritten once after all of its pending steps have run, then its
+ * version is recorded; a failed write leaves the old version so a re-run is safe.
+ * @param {boolean} dryRun - If true, report the changes without writing
+ * @returns {Object} {currentVersion, dryRun, targets: [{name, fromVersion, toVersion, steps}]}
+ */
+function runSchemaMigrations(dryRun = false) {
+  return withScriptLock(() => {
+    const summary = { currentVersion: getCurrentSchemaVersion(), dryRun: dryRun, targets: [] };
+
+    getSchemaMigrationTargets().forEach(target => {
+      const result = migrateSchemaTarget(target, dryRun);
+      if (result) {
+        summary.targets.push(result);
+      }
+    });
+
+    info('Schema migrations ' + (dryRun ? 'previewed' : 'applied'), {
+      currentVersion: summary.currentVersion,
+      targets: summary.targets.map(target => `${target.name}: ${target.fromVersion} → ${target.toVersion}`)
+    });
+
+    return summary;
+  });
+}
+
+/**
+ * List the spreadsheets whose Tasks sheet is migrated
+ * @returns {Array<Object>} [{name, spreadsheet, sheet, live}]
+ */
+function getSchemaMigrationTargets() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const targets = [{ name: 'Live', spreadsheet: ss, sheet: getTasksSheet(), live: true }];
+
+  const archives = safeJsonParse(
+    PropertiesService.getScriptProperties().getProperty('ARCHIVE_SPREADSHEETS'), {}
+  ) || {};
+
+  Object.keys(archives).sort().forEach(key => {
+    const sheet = openArchiveSheet(archives[key]);
+    if (sheet) {
+      targets.push({ name: `Archive ${key}`, spreadsheet: sheet.getParent(), sheet: sheet, live: false });
+    }
+  });
+
+  return targets;
+}
+
+/**
+ * Run pending migrations on one spreadsheet
+ * Revision rows moved out of the Tasks sheet go to the live Revisions sheet and are
+ * written before the Tasks sheet, so a failed run never clears a cell it has not moved.
+ * @param {Object} target - Migration target
+ * @param {boolean} dryRun - If true, report the changes without writing
+ * @returns {Object|null} {name, fromVersion, toVersion, steps}, or null when current
+ */
+function migrateSchemaTarget(target, dryRun) {
+  const fromVersion = getSchemaVersion(target.spreadsheet);
+  const pending = getSchemaMigrations().filter(migration => migration.version > fromVersion);
+
+  if (pending.length === 0) {
+    return null;
+  }
+
+  const data = target.sheet.getDataRange().getValues();
+  const table = { headers: data[0].slice(), rows: data.slice(1).map(row => row.slice()) };
+  const originalWidth = table.headers.length;
+  const output = { revisionRows: [], failures: [] };
+  const steps = [];
+
+  pending.forEach(migration => {
+    const before = {
+      headers: table.headers.slice(),
+      rows: table.rows.map(row => schemaRowKey(row)),
+      failures: output.failures.length
+    };
+
+    migration.up(table, output);
+
+    const taskIdIndex = table.headers.indexOf(COLUMNS.TASK_ID);
+    const affectedRows = [];
+
+    table.rows.forEach((row, i) => {
+      if (schemaRowKey(row) !== before.rows[i]) {
+        affectedRows.push({ row: i + 2, taskId: taskIdIndex === -1 ? '' : row[taskIdIndex] });
+      }
+    });
+
+    steps.push({
+      version: migration.version,
+      description: migration.description,
+      headersChanged: schemaRowKey(before.headers) !== schemaRowKey(table.headers),
+      affectedRows: affectedRows,
+      failures: output.failures.slice(before.failures)
+    });
+  });
+
+  const toVersion = pending[pending.length - 1].version;
+  const result = { name: target.name, fromVersion: fromVersion, toVersion: toVersion, steps: steps };
+
+  if (dryRun) {
+    return result;
+  }
+
+  if (output.revisionRows.length > 0) {
+    const revisionsSheet = initializeRevisionsSheet();
+    revisionsSheet.getRange(revisionsSheet.getLastRow() + 1, 1, output.revisionRows.length, REVISION_COLUMN_ORDER.length)
+      .setValues(output.revisionRows);
+  }
+
+  const width = table.headers.length;
+  const values = [table.headers].concat(table.rows.map(row => {
+    const padded = row.slice(0, width);
+    while (padded.length < width) padded.push('');
+    return padded;
+  }));
+
+  target.sheet.getRange(1, 1, values.length, width).setValues(values);
+
+  if (originalWidth > width) {
+    target.sheet.getRange(1, width + 1, values.length, originalWidth - width).clearContent();
+  }
+
+  if (steps.some(step => step.headersChanged)) {
+    applySheetFormatting(target.sheet);
+  }
+
+  setSchemaVersion(target.spreadsheet, toVersion);
+
+  if (target.live) {
+    invalidateTaskIndex();
+  }
+
+  return result;
+}
+
+/**
+ * Comparable key for a row, ignoring trailing empty cells
+ * @param {Array} row - Row values
+ * @returns {string} Key
+ */
+function schemaRowKey(row) {
+  const values = row.map(value => value instanceof Date ? value.toISOString() : value);
+  while (values.length > 0 && values[values.length - 1] === '') values.pop();
+  return JSON.stringify(values);
+}
+
+/**
+ * Map a table row to {header: value}
+ * @param {Object} table - {headers, rows}
+ * @param {Array} row - Row values
+ * @returns {Object} Row record
+ */
+function getSchemaRowRecord(table, row) {
+  const record = {};
+  table.headers.forEach((header, i) => {
+    record[header] = row[i] === undefined ? '' : row[i];
+  });
+  return record;
+}
+
+/**
+ * Add a column at the end of the table if it is missing
+ * @param {Object} table - {headers, rows}
+ * @param {string} header - Column header
+ * @returns {number} Column index (0-based)
+ */
+function addSchemaColumn(table, header) {
+  const existing = table.headers.indexOf(header);
+
+  if (existing !== -1) {
+    return existing;
+  }
+
+  table.headers.push(header);
+  table.rows.forEach(row => {
+    while (row.length < table.headers.length) row.push('');
+  });
+
+  return table.headers.length - 1;
+}
+
+/**
+ * Fill empty cells of a column with a computed value
+ * The column is added if missing; compute may return '' to leave a row empty.
+ * @param {Object} table - {headers, rows}
+ * @param {string} header - Column header
+ * @param {Function} compute - Row record → value
+ */
+function backfillSchemaColumn(table, header, compute) {
+  const index = addSchemaColumn(table, header);
+
+  table.rows.forEach(row => {
+    if (row[index] !== '' && row[index] !== null && row[index] !== undefined) return;
+
+    const value = compute(getSchemaRowRecord(table, row));
+    if (value !== '' && value !== null && value !== undefined) {
+      row[index] = value;
+    }
+  });
+}
+
+/**
+ * Reorder columns to the given headers, adding any that are missing
+ * Columns not in the list are kept after them so no data is dropped.
+ * @param {Object} table - {headers, rows}
+ * @param {Array<string>} headers - Expected headers in order
+ */
+function alignSchemaColumns(table, headers) {
+  const extras = table.headers.filter(header => !headers.includes(header));
+  const order = headers.concat(extras);
+  const sourceIndexes = order.map(header => table.headers.indexOf(header));
+
+  table.rows = table.rows.map(row => sourceIndexes.map(index =>
+    index === -1 || row[index] === undefined ? '' : row[index]
+  ));
+  table.headers = order;
+}
+
+/**
+ * Menu: list pending migrations and the rows they would change
+ */
+function previewSchemaMigrations() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const summary = runSchemaMigrations(true);
+
+    if (summary.targets.length === 0) {
+      ui.alert('Schema Migrations', `All spreadsheets are at schema version ${summary.currentVersion}.`, ui.ButtonSet.OK);
+      return;
+    }
+
+    ui.alert('Schema Migration Preview', formatSchemaMigrationSummary(summary), ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', 'Migration preview failed: ' + e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu: preview, confirm and apply pending migrations
+ */
+function applySchemaMigrations() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const preview = runSchemaMigrations(true);
+
+    if (preview.targets.length === 0) {
+      ui.alert('Schema Migrations', `All spreadsheets are at schema version ${preview.currentVersion}.`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const confirm = ui.alert(
+      'Run Schema Migrations',
+      formatSchemaMigrationSummary(preview) + '\n\nApply these migrations?',
+      ui.ButtonSet.YES_NO
+    );
+
+    if (confirm !== ui.Button.YES) return;
+
+    const summary = runSchemaMigrations(false);
+    ui.alert(
+      'Migrations Complete',
+      `Migrated ${summary.targets.length} spreadsheets to schema version ${summary.currentVersion}.`,
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    ui.alert('Error', 'Migration failed: ' + e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Format a migration summary for a dialog
+ * @param {Object} summary - Result of runSchemaMigrations()
+ * @returns {string} Message
+ */
+function formatSchemaMigrationSummary(summary) {
+  let message = '';
+
+  summary.targets.forEach(target => {
+    message += `${target.name}: version ${target.fromVersion} → ${target.toVersion}\n`;
+
+    target.steps.forEach(step => {
+      message += `  ${step.version}. ${step.description}`;
+      message += step.headersChanged ? ' (headers change)' : '';
+      message += ` — ${step.affectedRows.length} rows\n`;
+
+      step.affectedRows.slice(0, SCHEMA_PREVIEW_ROW_LIMIT).forEach(affected => {
+        message += `      Row ${affected.row}${affected.taskId ? ` (${affected.taskId})` : ''}\n`;
+      });
+
+      if (step.affectedRows.length > SCHEMA_PREVIEW_ROW_LIMIT) {
+        message += `      …and ${step.affectedRows.length - SCHEMA_PREVIEW_ROW_LIMIT} more\n`;
+      }
+
+      step.failures.slice(0, SCHEMA_PREVIEW_ROW_LIMIT).forEach(failure => {
+        message += `      Left in place: ${failure.error}\n`;
+      });
+    });
+
+    message += '\n';
+  });
+
+  return message.trim();
+}
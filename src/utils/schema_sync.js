@@ -184,6 +184,7 @@ function syncSchemaOrder(sheet, dryRun = false) {
     
     // Reapply formatting
     applySheetFormatting(sheet);
+    invalidateTaskIndex();
     
     info('Schema sync completed', {
       changes: changes.length,